@@ -1,32 +1,657 @@
 const dataUrl = "robots.json";
+const previewsUrl = "previews.json";
+const tagsUrl = "tags.json";
+const changelogUrl = "changelog.json";
 const issueUrl =
   "https://github.com/urdf-studio/urdf-robot-gallery/issues/new?template=robot-repo-submission.yml";
+const studioUrl = "https://www.urdfstudio.com/";
+const pageTitle = document.title;
 
 const grid = document.getElementById("grid");
 const emptyState = document.getElementById("empty");
+const noMatches = document.getElementById("no-matches");
+const noMatchesText = document.getElementById("no-matches-text");
+const clearFiltersButton = document.getElementById("clear-filters");
+const repoCountEl = document.getElementById("repo-count");
 const countEl = document.getElementById("robot-count");
+const resultSummary = document.getElementById("result-summary");
 const searchInput = document.getElementById("search-input");
+const controls = document.getElementById("controls");
+const facetsEl = document.getElementById("tag-facets");
+const facetList = document.getElementById("tag-facet-list");
+const tagModeButton = document.getElementById("tag-mode");
+const clearTagsButton = document.getElementById("tag-clear");
+const sortSelect = document.getElementById("sort-select");
+const relevanceOption = sortSelect.querySelector('option[value="relevance"]');
+const detail = document.getElementById("detail");
+const recentEl = document.getElementById("recent");
+const recentList = document.getElementById("recent-list");
 
 const state = {
   robots: [],
+  previews: new Map(),
   query: "",
+  tags: new Set(),
+  tagMode: "any",
+  sort: "",
+  allowedTags: [],
+  changelog: [],
+  index: [],
+  loaded: false,
+};
+
+const timestamp = (value) => {
+  const time = Date.parse(value || "");
+  return Number.isFinite(time) ? time : 0;
+};
+
+const displayName = (robot) =>
+  robot.name || (robot.repo ? robot.repo.split("/").slice(-2).join("/") : "Robot Repo");
+
+const byName = (a, b) => displayName(a).localeCompare(displayName(b), undefined, { sensitivity: "base" });
+
+// Each comparator falls back to name order so ties are stable across reloads.
+const SORTS = {
+  recent: (a, b) =>
+    Math.max(timestamp(b.updatedAt), timestamp(b.repoUpdatedAt)) -
+      Math.max(timestamp(a.updatedAt), timestamp(a.repoUpdatedAt)) || byName(a, b),
+  stars: (a, b) => (Number(b.stars) || 0) - (Number(a.stars) || 0) || byName(a, b),
+  robots: (a, b) => listedRobots(b).length - listedRobots(a).length || byName(a, b),
+  name: byName,
+};
+const DEFAULT_SORT = "recent";
+// Search results rank by match score unless the visitor picks another sort.
+const RELEVANCE = "relevance";
+
+const activeSort = (searching) => {
+  const sort = state.sort || (searching ? RELEVANCE : DEFAULT_SORT);
+  return sort === RELEVANCE && !searching ? DEFAULT_SORT : sort;
+};
+
+// Filters live in the query string (?q=&tags=&match=&sort=) so the hash stays
+// free for routing and a shared link reproduces the same filtered grid.
+const readUrlState = () => {
+  const params = new URLSearchParams(window.location.search);
+  state.query = params.get("q") || "";
+  state.tags = new Set(
+    (params.get("tags") || "")
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean)
+  );
+  state.tagMode = params.get("match") === "all" ? "all" : "any";
+  const sort = params.get("sort") || "";
+  state.sort = Object.hasOwn(SORTS, sort) || sort === RELEVANCE ? sort : "";
+};
+
+const writeUrlState = () => {
+  const params = new URLSearchParams();
+  if (state.query) params.set("q", state.query);
+  if (state.tags.size) params.set("tags", [...state.tags].join(","));
+  if (state.tags.size && state.tagMode === "all") params.set("match", "all");
+  if (state.sort) params.set("sort", state.sort);
+  const search = params.toString();
+  const url = `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`;
+  window.history.replaceState(window.history.state, "", url);
 };
 
 const normalize = (value) => (value || "").toString().toLowerCase();
 
-const matchesQuery = (robot, query) => {
-  if (!query) return true;
-  const haystack = [
-    robot.name,
-    robot.org,
-    robot.summary,
-    robot.repo,
-    robot.demo,
-    ...(robot.tags || []),
-  ]
-    .map(normalize)
-    .join(" ");
-  return haystack.includes(query);
+const previewKey = (repoKey, fileBase) => `${normalize(repoKey)}::${normalize(fileBase)}`;
+
+const normalizeRepoKey = (value) =>
+  value
+    ? value
+        .replace(/^https?:\/\/github\.com\//, "")
+        .split("/")
+        .slice(0, 2)
+        .join("/")
+        .toLowerCase()
+    : "";
+
+const entryRepoKey = (entry) => normalizeRepoKey(entry.repoKey || entry.repo);
+
+const robotHref = (repoKey, fileBase) =>
+  `#/r/${repoKey.split("/").map(encodeURIComponent).join("/")}/${encodeURIComponent(fileBase)}`;
+
+// Same query string render-thumbnails.mjs uses, minus the thumbnail flag.
+const studioHref = (repoUrl, fileTarget) =>
+  `${studioUrl}?github=${encodeURIComponent(repoUrl)}&urdf=${encodeURIComponent(fileTarget)}`;
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+// Routes: "#/" (grid) and "#/r/<owner>/<repo>/<fileBase>" (robot detail).
+const parseRoute = (hash) => {
+  const parts = hash.replace(/^#\/?/, "").split("/").filter(Boolean).map(safeDecode);
+  if (parts[0] === "r" && parts.length >= 4) {
+    return {
+      view: "robot",
+      repoKey: `${parts[1]}/${parts[2]}`.toLowerCase(),
+      fileBase: parts.slice(3).join("/"),
+    };
+  }
+  return { view: "grid" };
+};
+
+const robotFileBase = (robot) => (robot && typeof robot !== "string" ? robot.fileBase || "" : "");
+
+// Repo-relative file path; older entries only carry the bare filename.
+const robotPath = (robot) =>
+  typeof robot === "string" ? robot : robot.path || robot.file || "";
+
+const robotLabel = (robot) =>
+  typeof robot === "string" ? robot : robot.name || robot.file || robot.fileBase || "Robot";
+
+const FORMAT_LABELS = { urdf: "URDF", sdf: "SDF", mjcf: "MJCF" };
+
+const robotFormat = (robot) => (robot && typeof robot !== "string" && robot.format) || "urdf";
+
+// "robot", "variant" or "fragment" (classified by refresh-robots.mjs).
+const robotKind = (robot) => (robot && typeof robot !== "string" && robot.kind) || "robot";
+
+// Fragments (shared materials, gazebo includes) stay reachable by direct link
+// but are left out of search, cards and counts.
+const listedRobots = (entry) =>
+  (Array.isArray(entry.robots) ? entry.robots : []).filter((robot) => robot && robotKind(robot) !== "fragment");
+
+// Accepts the exact fileBase, or its slug part so links such as
+// "#/r/unitreerobotics/unitree_ros/g1_29dof_mode_15" still resolve.
+const findRobot = (repoKey, fileBase) => {
+  const entry = state.robots.find((item) => entryRepoKey(item) === repoKey);
+  if (!entry) return null;
+  const robots = Array.isArray(entry.robots) ? entry.robots : [];
+  const wanted = normalize(fileBase);
+  const robot =
+    robots.find((item) => normalize(robotFileBase(item)) === wanted) ||
+    robots.find((item) => normalize(robotFileBase(item).split("--")[0]) === wanted) ||
+    robots.find((item) => normalize(robotLabel(item)) === wanted);
+  return robot ? { entry, robot } : null;
+};
+
+const supportsWebm = document.createElement("video").canPlayType("video/webm") !== "";
+
+const indexPreviews = (manifest) => {
+  const previews = new Map();
+  const entries = Array.isArray(manifest?.previews) ? manifest.previews : [];
+  for (const entry of entries) {
+    if (!entry?.repoKey || !entry?.fileBase) continue;
+    previews.set(previewKey(entry.repoKey, entry.fileBase), entry);
+  }
+  return previews;
+};
+
+// Search works on individual robots rather than repo entries. Every robot
+// carries its repo's fields so "unitree g1" or "tag:Humanoid" both resolve
+// to the matching URDFs.
+const SEARCH_FIELDS = {
+  name: 3,
+  file: 2,
+  tags: 2,
+  repo: 1.5,
+  org: 1.5,
+  summary: 1,
+  format: 1,
+};
+
+const FIELD_PREFIXES = {
+  tag: "tags",
+  tags: "tags",
+  org: "org",
+  repo: "repo",
+  name: "name",
+  file: "file",
+  format: "format",
+};
+
+// Numeric prefixes filter on URDF stats from extract-robot-stats.mjs, e.g.
+// "dof:>=12", "mass:<5" or "links:10..30". Robots without stats never match.
+const STAT_PREFIXES = {
+  dof: (stats) => stats.dof,
+  links: (stats) => stats.links,
+  mass: (stats) => stats.mass,
+  depth: (stats) => stats.depth,
+};
+
+const parseRange = (value) => {
+  const range = value.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+  if (range) {
+    const [min, max] = [Number(range[1]), Number(range[2])];
+    return Number.isFinite(min) && Number.isFinite(max) ? (n) => n >= min && n <= max : null;
+  }
+  const compare = value.match(/^(>=|<=|>|<|=)?(-?[\d.]+)$/);
+  if (!compare) return null;
+  const target = Number(compare[2]);
+  if (!Number.isFinite(target)) return null;
+  switch (compare[1]) {
+    case ">=":
+      return (n) => n >= target;
+    case "<=":
+      return (n) => n <= target;
+    case ">":
+      return (n) => n > target;
+    case "<":
+      return (n) => n < target;
+    default:
+      return (n) => n === target;
+  }
+};
+
+const robotStats = (robot) => (robot && typeof robot !== "string" && robot.stats ? robot.stats : null);
+
+const formatStats = (stats) => {
+  const parts = [`${stats.dof} DOF`, `${stats.links} links`];
+  if (stats.mass > 0) parts.push(`${stats.mass} kg`);
+  return parts.join(" · ");
+};
+
+const tokenize = (text) => text.split(/[^a-z0-9]+/).filter(Boolean);
+
+const buildSearchIndex = (repos) => {
+  const index = [];
+  for (const entry of repos) {
+    const repoKey = entryRepoKey(entry);
+    for (const robot of listedRobots(entry)) {
+      const fields = {
+        name: normalize(robotLabel(robot)),
+        file: normalize(typeof robot === "string" ? robot : `${robotPath(robot)} ${robot.fileBase || ""}`),
+        tags: normalize((entry.tags || []).join(" ")),
+        repo: normalize(`${repoKey} ${entry.name || ""}`),
+        org: normalize(`${entry.org || ""} ${repoKey.split("/")[0]}`),
+        summary: normalize(entry.summary),
+        format: normalize(robotFormat(robot)),
+      };
+      const tokens = {};
+      for (const field of Object.keys(fields)) {
+        tokens[field] = tokenize(fields[field]);
+      }
+      index.push({ entry, robot, repoKey, tags: entry.tags || [], fields, tokens });
+    }
+  }
+  return index;
+};
+
+// "tag:Humanoid org:unitree g1" -> field filters plus free terms; every part
+// has to match for a robot to be listed.
+const parseQuery = (query) => {
+  const filters = [];
+  const ranges = [];
+  const terms = [];
+  for (const part of normalize(query).split(/\s+/).filter(Boolean)) {
+    const match = part.match(/^([a-z]+):(.+)$/);
+    const test = match && STAT_PREFIXES[match[1]] ? parseRange(match[2]) : null;
+    if (test) {
+      ranges.push({ read: STAT_PREFIXES[match[1]], test });
+    } else if (match && FIELD_PREFIXES[match[1]]) {
+      filters.push({ field: FIELD_PREFIXES[match[1]], term: match[2] });
+    } else {
+      terms.push(part);
+    }
+  }
+  return { filters, ranges, terms };
+};
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps), bailing
+// out as soon as every path exceeds `max`.
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+      if (before && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, before[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    before = previous;
+    previous = row;
+  }
+  return previous[b.length];
+};
+
+const scoreTerm = (term, text, tokens) => {
+  if (!text) return 0;
+  let best = 0;
+  for (const token of tokens) {
+    if (token === term) return 1;
+    if (token.startsWith(term)) best = 0.8;
+  }
+  if (best) return best;
+  if (text.includes(term)) return 0.6;
+
+  const maxTypos = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  if (!maxTypos) return 0;
+  for (const token of tokens) {
+    const whole = editDistance(term, token, maxTypos);
+    const prefix =
+      token.length > term.length ? editDistance(term, token.slice(0, term.length), maxTypos) : whole;
+    const distance = Math.min(whole, prefix);
+    if (distance <= maxTypos) {
+      best = Math.max(best, distance === 1 ? 0.4 : 0.25);
+    }
+  }
+  return best;
+};
+
+const scoreRobot = (doc, parsed) => {
+  let total = 0;
+  if (parsed.ranges.length) {
+    const stats = robotStats(doc.robot);
+    if (!stats || !parsed.ranges.every(({ read, test }) => test(read(stats)))) return 0;
+    total += parsed.ranges.length;
+  }
+  for (const { field, term } of parsed.filters) {
+    const score = scoreTerm(term, doc.fields[field], doc.tokens[field]);
+    if (!score) return 0;
+    total += score * SEARCH_FIELDS[field];
+  }
+  for (const term of parsed.terms) {
+    let best = 0;
+    for (const [field, weight] of Object.entries(SEARCH_FIELDS)) {
+      best = Math.max(best, scoreTerm(term, doc.fields[field], doc.tokens[field]) * weight);
+    }
+    if (!best) return 0;
+    total += best;
+  }
+  return total;
+};
+
+const robotCount = (repos) => repos.reduce((sum, entry) => sum + listedRobots(entry).length, 0);
+
+const matchesTags = (robot) => {
+  if (state.tags.size === 0) return true;
+  const tags = new Set(robot.tags || []);
+  const selected = [...state.tags];
+  return state.tagMode === "all"
+    ? selected.every((tag) => tags.has(tag))
+    : selected.some((tag) => tags.has(tag));
+};
+
+const facetTags = () => {
+  if (state.allowedTags.length) return state.allowedTags;
+  const seen = new Set();
+  state.robots.forEach((robot) => (robot.tags || []).forEach((tag) => seen.add(tag)));
+  return [...seen].sort();
+};
+
+// Counts are taken over the query matches only, so each number reads as
+// "robots you would see with this tag" regardless of the other selections.
+const renderFacets = (queryMatches) => {
+  const counts = new Map();
+  queryMatches.forEach((robot) =>
+    new Set(robot.tags || []).forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1))
+  );
+
+  facetList.innerHTML = "";
+  for (const tag of facetTags()) {
+    const count = counts.get(tag) || 0;
+    const selected = state.tags.has(tag);
+    if (!count && !selected) continue;
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "facet";
+    button.dataset.tag = tag;
+    button.setAttribute("aria-pressed", String(selected));
+    button.textContent = tag;
+    const badge = document.createElement("span");
+    badge.className = "count";
+    badge.textContent = count.toString();
+    button.appendChild(badge);
+    facetList.appendChild(button);
+  }
+
+  facetsEl.classList.toggle("hidden", facetList.childElementCount === 0);
+  tagModeButton.textContent = state.tagMode === "all" ? "Match all" : "Match any";
+  tagModeButton.setAttribute("aria-pressed", String(state.tagMode === "all"));
+  clearTagsButton.classList.toggle("hidden", state.tags.size === 0);
+};
+
+const createAnimation = (preview) => {
+  if (preview.webm && supportsWebm) {
+    const video = document.createElement("video");
+    video.className = "animation";
+    video.src = preview.webm;
+    video.muted = true;
+    video.loop = true;
+    video.playsInline = true;
+    video.preload = "auto";
+    if (preview.png) {
+      video.poster = preview.png;
+    }
+    return video;
+  }
+  if (preview.webp) {
+    const image = document.createElement("img");
+    image.className = "animation";
+    image.src = preview.webp;
+    image.alt = "";
+    image.decoding = "async";
+    return image;
+  }
+  return null;
+};
+
+// The PNG poster is lazy-loaded; the animation is only fetched once the
+// tile is hovered or focused, so large repos don't pull every WebM up front.
+const renderPreviewTile = (label, preview, href) => {
+  const tile = document.createElement("a");
+  tile.className = "preview";
+  tile.href = href;
+  tile.title = label;
+
+  const poster = document.createElement("img");
+  poster.className = "poster";
+  poster.src = preview.png || preview.webp;
+  poster.alt = label;
+  poster.loading = "lazy";
+  poster.decoding = "async";
+  poster.width = 256;
+  poster.height = 256;
+  tile.appendChild(poster);
+
+  const caption = document.createElement("span");
+  caption.className = "caption";
+  caption.textContent = label;
+  tile.appendChild(caption);
+
+  let animation = null;
+  const play = () => {
+    if (!animation && preview.png) {
+      animation = createAnimation(preview);
+      if (animation) {
+        tile.insertBefore(animation, caption);
+      }
+    }
+    if (!animation) return;
+    tile.classList.add("playing");
+    if (animation instanceof HTMLVideoElement) {
+      animation.play().catch(() => {});
+    }
+  };
+  const stop = () => {
+    tile.classList.remove("playing");
+    if (animation instanceof HTMLVideoElement) {
+      animation.pause();
+      animation.currentTime = 0;
+    }
+  };
+
+  tile.addEventListener("mouseenter", play);
+  tile.addEventListener("mouseleave", stop);
+  tile.addEventListener("focus", play);
+  tile.addEventListener("blur", stop);
+
+  return tile;
+};
+
+// Variants are grouped under the robot they were derived from; a variant
+// whose base isn't listed heads a family of its own.
+const robotFamilies = (entry) => {
+  const listed = listedRobots(entry);
+  const families = new Map();
+  for (const robot of listed) {
+    if (robotKind(robot) !== "variant") families.set(robotFileBase(robot) || robot, { base: robot, variants: [] });
+  }
+  for (const robot of listed) {
+    if (robotKind(robot) !== "variant") continue;
+    const family = families.get(robot.variantOf);
+    if (family) {
+      family.variants.push(robot);
+    } else {
+      families.set(robot, { base: robot, variants: [] });
+    }
+  }
+  return [...families.values()];
+};
+
+const countLabel = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+// "+2 joints · −1 link · 1 joint changed", from the refresh-time variantDiff.
+const variantSummary = (robot) => {
+  const diff = (robot && typeof robot !== "string" && robot.variantDiff) || {};
+  const parts = [];
+  for (const [field, noun] of [
+    ["joints", "joint"],
+    ["links", "link"],
+  ]) {
+    const { added = [], removed = [], changed = [] } = diff[field] || {};
+    if (added.length) parts.push(`+${countLabel(added.length, noun)}`);
+    if (removed.length) parts.push(`−${countLabel(removed.length, noun)}`);
+    if (changed.length) parts.push(`${countLabel(changed.length, noun)} changed`);
+  }
+  return parts.join(" · ");
+};
+
+// The names behind variantSummary, for the detail page.
+const variantDetail = (robot) => {
+  const diff = robot.variantDiff || {};
+  const parts = [];
+  for (const field of ["joints", "links"]) {
+    const { added = [], removed = [], changed = [] } = diff[field] || {};
+    if (added.length) parts.push(`${field} added: ${added.join(", ")}`);
+    if (removed.length) parts.push(`${field} removed: ${removed.join(", ")}`);
+    if (changed.length) parts.push(`${field} changed: ${changed.join(", ")}`);
+  }
+  return parts.join("; ");
+};
+
+const variantOptionLabel = (robot) => {
+  const summary = variantSummary(robot);
+  const label = robot.variantLabel || robotLabel(robot);
+  return summary ? `${label} (${summary})` : label;
+};
+
+// One tile per family, showing whichever member `selected` holds.
+const renderPreviewStrip = (repoKey, selected) => {
+  const strip = document.createElement("div");
+  strip.className = "previews";
+  const tiles = selected.map((robot) => {
+    const fileBase = robotFileBase(robot);
+    const preview = fileBase ? state.previews.get(previewKey(repoKey, fileBase)) : null;
+    if (!preview || (!preview.png && !preview.webp)) return null;
+    return renderPreviewTile(robotLabel(robot), preview, robotHref(repoKey, fileBase));
+  });
+  strip.replaceChildren(...tiles.filter(Boolean));
+  strip.hidden = strip.childElementCount === 0;
+  return strip;
+};
+
+// A family's entry in the "Robots:" line: its base name, plus a switcher
+// over the variants when it has any. Switching swaps the family's tile.
+const renderFamily = (family, onSelect) => {
+  const item = document.createElement("span");
+  item.className = "family";
+  item.append(robotLabel(family.base));
+  if (family.variants.length === 0) return item;
+
+  const select = document.createElement("select");
+  select.className = "variant-switcher";
+  select.setAttribute("aria-label", `${robotLabel(family.base)} variant`);
+  const members = [family.base, ...family.variants];
+  members.forEach((robot, index) => {
+    const option = document.createElement("option");
+    option.value = index.toString();
+    option.textContent = index === 0 ? "base" : variantOptionLabel(robot);
+    select.appendChild(option);
+  });
+  select.title = countLabel(family.variants.length, "variant");
+  select.addEventListener("change", () => onSelect(members[Number(select.value)]));
+  item.append(" ", select);
+  return item;
+};
+
+const renderRobotResult = (doc) => {
+  const { entry, robot, repoKey } = doc;
+  const fileBase = robotFileBase(robot);
+  const label = robotLabel(robot);
+  const href = fileBase ? robotHref(repoKey, fileBase) : "";
+
+  const card = document.createElement("div");
+  card.className = "card robot-result";
+
+  const preview = fileBase ? state.previews.get(previewKey(repoKey, fileBase)) : null;
+  if (preview && (preview.png || preview.webp)) {
+    const tile = renderPreviewTile(label, preview, href);
+    tile.classList.add("large");
+    card.appendChild(tile);
+  }
+
+  const heading = document.createElement("div");
+  const name = document.createElement("h3");
+  name.textContent = label;
+  heading.appendChild(name);
+  const origin = document.createElement("div");
+  origin.className = "org";
+  origin.textContent = entry.org ? `${entry.org} · ${repoKey}` : repoKey;
+  heading.appendChild(origin);
+  card.appendChild(heading);
+
+  if (typeof robot !== "string" && robot.file) {
+    const file = document.createElement("p");
+    file.className = "robots";
+    const stats = robotStats(robot);
+    file.textContent = stats ? `${robot.file} · ${formatStats(stats)}` : robot.file;
+    card.appendChild(file);
+  }
+
+  if (entry.tags && entry.tags.length) {
+    const tags = document.createElement("div");
+    tags.className = "tags";
+    entry.tags.forEach((tag) => {
+      const badge = document.createElement("span");
+      badge.className = "tag";
+      badge.textContent = tag;
+      tags.appendChild(badge);
+    });
+    card.appendChild(tags);
+  }
+
+  const links = document.createElement("div");
+  links.className = "links";
+  if (href) {
+    const detailLink = document.createElement("a");
+    detailLink.href = href;
+    detailLink.textContent = "Details →";
+    links.appendChild(detailLink);
+  }
+  if (entry.repo) {
+    links.appendChild(externalLink(entry.repo, "GitHub →", "secondary"));
+  }
+  card.appendChild(links);
+
+  return card;
 };
 
 const renderCard = (robot) => {
@@ -45,15 +670,30 @@ const renderCard = (robot) => {
     heading.appendChild(org);
   }
 
+  const repoKey = entryRepoKey(robot);
+  const families = robotFamilies(robot);
+  const selected = families.map((family) => family.base);
+  let previews = renderPreviewStrip(repoKey, selected);
+
   const summary = document.createElement("p");
   summary.textContent = robot.summary;
 
   let robotsLine = null;
-  if (Array.isArray(robot.robots) && robot.robots.length > 0) {
-    const names = robot.robots.map((entry) => entry.name || entry).join(", ");
+  if (families.length > 0) {
     robotsLine = document.createElement("p");
     robotsLine.className = "robots";
-    robotsLine.textContent = `Robots: ${names}`;
+    robotsLine.append("Robots: ");
+    families.forEach((family, index) => {
+      if (index > 0) robotsLine.append(", ");
+      robotsLine.appendChild(
+        renderFamily(family, (member) => {
+          selected[index] = member;
+          const strip = renderPreviewStrip(repoKey, selected);
+          previews.replaceWith(strip);
+          previews = strip;
+        })
+      );
+    });
   }
 
   const tags = document.createElement("div");
@@ -86,6 +726,7 @@ const renderCard = (robot) => {
   }
 
   card.appendChild(heading);
+  card.appendChild(previews);
   card.appendChild(summary);
   if (robotsLine) {
     card.appendChild(robotsLine);
@@ -98,36 +739,453 @@ const renderCard = (robot) => {
   return card;
 };
 
-const render = () => {
-  const query = normalize(state.query);
-  const filtered = state.robots.filter((robot) => matchesQuery(robot, query));
+const externalLink = (href, text, className) => {
+  const link = document.createElement("a");
+  link.href = href;
+  link.target = "_blank";
+  link.rel = "noopener noreferrer";
+  link.textContent = text;
+  if (className) {
+    link.className = className;
+  }
+  return link;
+};
+
+const datasetHref = (value) =>
+  /^https?:\/\//i.test(value) ? value : `https://huggingface.co/datasets/${value.replace(/^\/+/, "")}`;
+
+const renderDetailMedia = (preview, label) => {
+  const media = document.createElement("div");
+  media.className = "detail-media";
+  if (preview?.webm && supportsWebm) {
+    const video = document.createElement("video");
+    video.src = preview.webm;
+    video.muted = true;
+    video.loop = true;
+    video.autoplay = true;
+    video.playsInline = true;
+    video.controls = true;
+    if (preview.png) {
+      video.poster = preview.png;
+    }
+    media.appendChild(video);
+  } else if (preview?.webp || preview?.png) {
+    const image = document.createElement("img");
+    image.src = preview.webp || preview.png;
+    image.alt = label;
+    media.appendChild(image);
+  } else {
+    media.classList.add("empty");
+    media.textContent = "No preview yet";
+  }
+  return media;
+};
+
+const renderDetailSection = (title, content) => {
+  const section = document.createElement("section");
+  section.className = "detail-section";
+  const heading = document.createElement("h3");
+  heading.textContent = title;
+  section.appendChild(heading);
+  section.appendChild(content);
+  return section;
+};
+
+const renderSiblings = (entry, current) => {
+  const repoKey = entryRepoKey(entry);
+  const list = document.createElement("div");
+  list.className = "siblings";
+  for (const robot of entry.robots || []) {
+    const fileBase = robotFileBase(robot);
+    if (!fileBase || robot === current || robotKind(robot) === "fragment") continue;
+    const label = robotLabel(robot);
+    const href = robotHref(repoKey, fileBase);
+    const preview = state.previews.get(previewKey(repoKey, fileBase));
+    if (preview && (preview.png || preview.webp)) {
+      list.appendChild(renderPreviewTile(label, preview, href));
+    } else {
+      const link = document.createElement("a");
+      link.className = "sibling";
+      link.href = href;
+      link.textContent = label;
+      list.appendChild(link);
+    }
+  }
+  return list.childElementCount > 0 ? list : null;
+};
+
+const renderDetail = (entry, robot) => {
+  const repoKey = entryRepoKey(entry);
+  const fileBase = robotFileBase(robot);
+  const label = robotLabel(robot);
+  const file = robotPath(robot);
+  const container = document.createElement("article");
+  container.className = "detail-card";
+
+  const back = document.createElement("a");
+  back.className = "back";
+  back.href = "#/";
+  back.textContent = "← All robots";
+  container.appendChild(back);
+
+  const heading = document.createElement("div");
+  heading.className = "detail-heading";
+  const name = document.createElement("h2");
+  name.textContent = label;
+  heading.appendChild(name);
+  const origin = document.createElement("div");
+  origin.className = "org";
+  origin.textContent = entry.org ? `${entry.org} · ${repoKey}` : repoKey;
+  heading.appendChild(origin);
+  container.appendChild(heading);
+
+  container.appendChild(
+    renderDetailMedia(state.previews.get(previewKey(repoKey, fileBase)), label)
+  );
+
+  const info = document.createElement("dl");
+  info.className = "detail-info";
+  const addInfo = (term, value) => {
+    const dt = document.createElement("dt");
+    dt.textContent = term;
+    const dd = document.createElement("dd");
+    dd.textContent = value;
+    info.appendChild(dt);
+    info.appendChild(dd);
+  };
+  const format = robotFormat(robot);
+  addInfo(`${FORMAT_LABELS[format] || format.toUpperCase()} file`, file || "—");
+  if (robot.source) addInfo("Generated from", robot.source);
+  if (robotKind(robot) === "fragment") addInfo("Kind", "Fragment (included by other files)");
+  if (robotKind(robot) === "variant") {
+    const base = (entry.robots || []).find((item) => robotFileBase(item) === robot.variantOf);
+    addInfo("Variant of", base ? robotLabel(base) : robot.variantOf);
+    if (robot.variantLabel) addInfo("Variant", robot.variantLabel);
+    addInfo("Differences", variantDetail(robot) || "Same links and joints");
+  }
+  const family = robotFamilies(entry).find((item) => item.base === robot);
+  if (family?.variants.length) {
+    addInfo("Variants", family.variants.map((item) => item.variantLabel || robotLabel(item)).join(", "));
+  }
+  addInfo("Preview key", fileBase || "—");
+  const stats = robotStats(robot);
+  if (stats) {
+    const jointSummary = Object.entries(stats.joints || {})
+      .filter(([, count]) => count > 0)
+      .map(([type, count]) => `${count} ${type}`)
+      .join(" · ");
+    addInfo("Actuated DOF", stats.dof.toString());
+    addInfo("Links", stats.links.toString());
+    addInfo("Joints", jointSummary || "none");
+    addInfo("Total mass", stats.mass > 0 ? `${stats.mass} kg` : "—");
+    addInfo("Tree depth", stats.depth.toString());
+    if (stats.endEffectors?.length) {
+      addInfo("End effectors", stats.endEffectors.join(", "));
+    }
+  }
+  container.appendChild(info);
+
+  const actions = document.createElement("div");
+  actions.className = "detail-actions";
+  if (entry.repo && file && format === "urdf") {
+    actions.appendChild(externalLink(studioHref(entry.repo, file), "Open in URDF Studio", "btn primary"));
+  }
+  if (entry.repo) {
+    actions.appendChild(externalLink(entry.repo, "GitHub →", "btn ghost"));
+  }
+  if (entry.demo) {
+    actions.appendChild(externalLink(entry.demo, "Demo →", "btn ghost"));
+  }
+  container.appendChild(actions);
+
+  if (entry.summary) {
+    const summary = document.createElement("p");
+    summary.className = "detail-summary";
+    summary.textContent = entry.summary;
+    container.appendChild(summary);
+  }
+
+  if (Array.isArray(entry.tags) && entry.tags.length) {
+    const tags = document.createElement("div");
+    tags.className = "tags";
+    entry.tags.forEach((tag) => {
+      const badge = document.createElement("span");
+      badge.className = "tag";
+      badge.textContent = tag;
+      tags.appendChild(badge);
+    });
+    container.appendChild(renderDetailSection("Tags", tags));
+  }
+
+  if (Array.isArray(entry.hfDatasets) && entry.hfDatasets.length) {
+    const datasets = document.createElement("ul");
+    datasets.className = "link-list";
+    entry.hfDatasets.forEach((dataset) => {
+      const item = document.createElement("li");
+      item.appendChild(externalLink(datasetHref(dataset), dataset));
+      datasets.appendChild(item);
+    });
+    container.appendChild(renderDetailSection("Hugging Face datasets", datasets));
+  }
+
+  const authorLinks = [
+    ["Website", entry.authorWebsite],
+    ["X", entry.authorX],
+    ["LinkedIn", entry.authorLinkedin],
+    ["GitHub", entry.authorGithub],
+  ].filter(([, href]) => href);
+  if (authorLinks.length) {
+    const authors = document.createElement("div");
+    authors.className = "links";
+    authorLinks.forEach(([text, href]) => authors.appendChild(externalLink(href, `${text} →`)));
+    container.appendChild(renderDetailSection("Author", authors));
+  }
+
+  const siblings = renderSiblings(entry, robot);
+  if (siblings) {
+    container.appendChild(renderDetailSection(`More from ${repoKey}`, siblings));
+  }
+
+  return container;
+};
+
+const renderNotFound = () => {
+  const container = document.createElement("article");
+  container.className = "detail-card";
+  const back = document.createElement("a");
+  back.className = "back";
+  back.href = "#/";
+  back.textContent = "← All robots";
+  const message = document.createElement("p");
+  message.textContent = "This robot is not in the gallery (it may have been renamed or removed).";
+  container.appendChild(back);
+  container.appendChild(message);
+  return container;
+};
+
+const describeFilters = () => {
+  const parts = [];
+  const query = state.query.trim();
+  if (query) parts.push(`"${query}"`);
+  if (state.tags.size > 0) {
+    const joiner = state.tagMode === "all" ? " and " : " or ";
+    parts.push(`${state.tags.size === 1 ? "tag" : "tags"} ${[...state.tags].join(joiner)}`);
+  }
+  return parts.length > 0 ? parts.join(" with ") : "these filters";
+};
+
+const RECENT_LIMIT = 8;
+
+// Robots added in the latest changelog entries that are still catalogued,
+// newest first.
+const recentRobots = () => {
+  const recent = [];
+  const seen = new Set();
+  for (const change of state.changelog) {
+    for (const added of change?.changes?.robots?.added || []) {
+      const key = previewKey(added.repoKey, added.fileBase);
+      if (added.kind === "fragment" || seen.has(key)) continue;
+      seen.add(key);
+      const match = findRobot(added.repoKey, added.fileBase);
+      if (match && robotKind(match.robot) !== "fragment") recent.push({ ...match, date: change.date });
+      if (recent.length === RECENT_LIMIT) return recent;
+    }
+  }
+  return recent;
+};
+
+const renderRecent = (visible) => {
+  recentList.innerHTML = "";
+  const recent = visible ? recentRobots() : [];
+  for (const { entry, robot, date } of recent) {
+    const repoKey = entryRepoKey(entry);
+    const fileBase = robotFileBase(robot);
+    const label = robotLabel(robot);
+    const added = new Date(date);
+    const title = Number.isNaN(added.getTime()) ? label : `${label} · added ${added.toLocaleDateString()}`;
+    const preview = state.previews.get(previewKey(repoKey, fileBase));
+    if (preview && (preview.png || preview.webp)) {
+      const tile = renderPreviewTile(label, preview, robotHref(repoKey, fileBase));
+      tile.title = title;
+      recentList.appendChild(tile);
+    } else {
+      const link = document.createElement("a");
+      link.className = "sibling";
+      link.href = robotHref(repoKey, fileBase);
+      link.title = title;
+      link.textContent = label;
+      recentList.appendChild(link);
+    }
+  }
+  recentEl.classList.toggle("hidden", recent.length === 0);
+};
+
+const renderGrid = () => {
+  const parsed = parseQuery(state.query);
+  const searching = parsed.filters.length > 0 || parsed.ranges.length > 0 || parsed.terms.length > 0;
 
   grid.innerHTML = "";
-  filtered.forEach((robot) => grid.appendChild(renderCard(robot)));
+  let shown = 0;
+  if (searching) {
+    const matches = state.index
+      .map((doc) => ({ doc, score: scoreRobot(doc, parsed) }))
+      .filter((match) => match.score > 0);
+    renderFacets(matches.map((match) => match.doc));
+    const sort = activeSort(true);
+    const byLabel = (a, b) => robotLabel(a.doc.robot).localeCompare(robotLabel(b.doc.robot));
+    const filtered = matches
+      .filter((match) => matchesTags(match.doc))
+      .sort((a, b) =>
+        sort === RELEVANCE
+          ? b.score - a.score || SORTS[DEFAULT_SORT](a.doc.entry, b.doc.entry) || byLabel(a, b)
+          : SORTS[sort](a.doc.entry, b.doc.entry) || b.score - a.score || byLabel(a, b)
+      );
+    filtered.forEach((match) => grid.appendChild(renderRobotResult(match.doc)));
+    shown = filtered.length;
+  } else {
+    renderFacets(state.robots);
+    const filtered = state.robots.filter(matchesTags).sort(SORTS[activeSort(false)]);
+    filtered.forEach((robot) => grid.appendChild(renderCard(robot)));
+    shown = filtered.length;
+  }
 
-  countEl.textContent = state.robots.length.toString();
-  emptyState.classList.toggle("hidden", filtered.length > 0);
+  renderRecent(!searching && state.tags.size === 0);
+  repoCountEl.textContent = state.robots.length.toString();
+  countEl.textContent = state.index.length.toString();
+  resultSummary.textContent = searching ? `${shown} matching robot${shown === 1 ? "" : "s"}` : "";
+  resultSummary.classList.toggle("hidden", !searching);
+  relevanceOption.disabled = !searching;
+  sortSelect.value = activeSort(searching);
+  // The submit prompt is for an empty catalog; filters that match nothing get a way back instead.
+  emptyState.classList.toggle("hidden", state.robots.length > 0);
+  noMatches.classList.toggle("hidden", state.robots.length === 0 || shown > 0);
+  noMatchesText.textContent = `No robots match ${describeFilters()}.`;
 
   if (state.robots.length === 0) {
     emptyState.querySelector("a").href = issueUrl;
   }
 };
 
+const render = () => {
+  const route = parseRoute(window.location.hash);
+  const showDetail = route.view === "robot";
+
+  controls.classList.toggle("hidden", showDetail);
+  grid.classList.toggle("hidden", showDetail);
+  if (showDetail) recentEl.classList.add("hidden");
+  detail.classList.toggle("hidden", !showDetail);
+
+  if (!showDetail) {
+    document.title = pageTitle;
+    detail.innerHTML = "";
+    renderGrid();
+    return;
+  }
+
+  emptyState.classList.add("hidden");
+  noMatches.classList.add("hidden");
+  if (!state.loaded) return;
+  const match = findRobot(route.repoKey, route.fileBase);
+  detail.innerHTML = "";
+  detail.appendChild(match ? renderDetail(match.entry, match.robot) : renderNotFound());
+  document.title = match ? `${robotLabel(match.robot)} · ${pageTitle}` : pageTitle;
+};
+
 searchInput.addEventListener("input", (event) => {
   state.query = event.target.value;
+  writeUrlState();
+  render();
+});
+
+sortSelect.addEventListener("change", (event) => {
+  const sort = event.target.value;
+  state.sort = Object.hasOwn(SORTS, sort) || sort === RELEVANCE ? sort : "";
+  writeUrlState();
+  render();
+});
+
+facetList.addEventListener("click", (event) => {
+  const button = event.target.closest(".facet");
+  if (!button) return;
+  const tag = button.dataset.tag;
+  if (state.tags.has(tag)) {
+    state.tags.delete(tag);
+  } else {
+    state.tags.add(tag);
+  }
+  writeUrlState();
+  render();
+  [...facetList.children].find((item) => item.dataset.tag === tag)?.focus();
+});
+
+tagModeButton.addEventListener("click", () => {
+  state.tagMode = state.tagMode === "all" ? "any" : "all";
+  writeUrlState();
   render();
 });
 
-fetch(dataUrl)
-  .then((response) => response.json())
-  .then((robots) => {
+clearTagsButton.addEventListener("click", () => {
+  state.tags.clear();
+  writeUrlState();
+  render();
+});
+
+clearFiltersButton.addEventListener("click", () => {
+  state.query = "";
+  state.tags.clear();
+  searchInput.value = "";
+  writeUrlState();
+  render();
+  searchInput.focus();
+});
+
+window.addEventListener("hashchange", () => {
+  render();
+  if (parseRoute(window.location.hash).view === "robot") {
+    window.scrollTo(0, 0);
+  }
+});
+
+// Previews are optional: a missing or broken previews.json should still
+// leave the text-only gallery usable.
+const loadPreviews = () =>
+  fetch(previewsUrl)
+    .then((response) => (response.ok ? response.json() : null))
+    .then(indexPreviews)
+    .catch(() => new Map());
+
+const loadTags = () =>
+  fetch(tagsUrl)
+    .then((response) => (response.ok ? response.json() : []))
+    .then((tags) => (Array.isArray(tags) ? tags : []))
+    .catch(() => []);
+
+// The changelog only feeds the "Recently added" row.
+const loadChangelog = () =>
+  fetch(changelogUrl)
+    .then((response) => (response.ok ? response.json() : null))
+    .then((changelog) => (Array.isArray(changelog?.entries) ? changelog.entries : []))
+    .catch(() => []);
+
+readUrlState();
+searchInput.value = state.query;
+sortSelect.value = activeSort(state.query.trim() !== "");
+
+Promise.all([fetch(dataUrl).then((response) => response.json()), loadPreviews(), loadTags(), loadChangelog()])
+  .then(([robots, previews, tags, changelog]) => {
     if (!Array.isArray(robots)) {
       throw new Error("robots.json must be an array");
     }
     state.robots = robots;
+    state.index = buildSearchIndex(robots);
+    state.previews = previews;
+    state.allowedTags = tags;
+    state.changelog = changelog;
+    state.loaded = true;
     render();
   })
   .catch(() => {
     state.robots = [];
+    state.loaded = true;
     render();
   });
@@ -0,0 +1,120 @@
+// The static catalog API built from the fixture catalog: resource layout,
+// content hashes and the build-api tool's schema check.
+
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { buildApi, tagSlug } from "../tools/lib/api.mjs";
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const run = promisify(execFile);
+
+const readJson = async (filePath) => JSON.parse(await fs.readFile(filePath, "utf8"));
+
+const PREVIEWS = {
+  version: 1,
+  previews: [
+    {
+      repoKey: "example-lab/rover",
+      fileBase: "rover--1vnetii",
+      png: "thumbnails/example-lab/rover/rover--1vnetii.png",
+      webp: "previews/example-lab/rover/rover--1vnetii.webp",
+    },
+  ],
+};
+
+test("robots are merged with previews and manifests", async () => {
+  const catalog = await readJson(path.join(REPO_ROOT, "tools", "fixtures", "robots.json"));
+  const manifests = new Map([
+    ["example-lab/rover::rover--1vnetii", { version: 1, generatedAt: "2026-01-01", license: "MIT" }],
+  ]);
+  const { files, skipped } = buildApi({
+    catalog,
+    previews: PREVIEWS,
+    manifests,
+    generatedAt: "2026-02-01T00:00:00.000Z",
+    baseUrl: "https://example.com/gallery/",
+  });
+  assert.deepEqual(skipped, []);
+
+  const rover = files.get("robots/example-lab/rover/rover--1vnetii.json");
+  assert.equal(rover.format, "urdf");
+  assert.equal(rover.kind, "robot");
+  assert.deepEqual(rover.previews, {
+    png: "https://example.com/gallery/thumbnails/example-lab/rover/rover--1vnetii.png",
+    webp: "https://example.com/gallery/previews/example-lab/rover/rover--1vnetii.webp",
+  });
+  assert.deepEqual(rover.manifest, { license: "MIT" });
+  // Without a base URL, media resolve against the public gallery rather than the API file.
+  const { files: published } = buildApi({ catalog, previews: PREVIEWS, generatedAt: "2026-02-01T00:00:00.000Z" });
+  assert.equal(
+    published.get("robots/example-lab/rover/rover--1vnetii.json").previews.png,
+    "https://www.urdfstudio.com/thumbnails/example-lab/rover/rover--1vnetii.png"
+  );
+
+  const index = files.get("index.json");
+  assert.deepEqual(index.counts, { repos: 5, robots: 5, variants: 0, fragments: 1, tags: 8 });
+  assert.equal(tagSlug("Mobile Manipulator"), "mobile-manipulator");
+  // Fragments are listed with their repo but not under its tags.
+  const arm = files.get("tags/arm.json");
+  assert.deepEqual(arm.robots.map((robot) => robot.fileBase), ["desk_arm--md2a9p"]);
+  assert.deepEqual(
+    files.get("repos/example-lab/desk-arm.json").robots.map(({ fileBase, kind }) => [fileBase, kind]),
+    [
+      ["common_materials--13frhqd", "fragment"],
+      ["desk_arm--md2a9p", "robot"],
+    ]
+  );
+});
+
+test("hashes only change along the edited robot's links", async () => {
+  const catalog = await readJson(path.join(REPO_ROOT, "tools", "fixtures", "robots.json"));
+  const hashes = (files) =>
+    Object.fromEntries(
+      [...files.get("index.json").repos, ...files.get("index.json").robots].map((link) => [link.href, link.hash])
+    );
+  const before = hashes(buildApi({ catalog, generatedAt: "2026-02-01T00:00:00.000Z" }).files);
+  assert.deepEqual(hashes(buildApi({ catalog, generatedAt: "2026-03-01T00:00:00.000Z" }).files), before);
+
+  catalog.find((entry) => entry.repoKey === "example-lab/rover").robots[0].name = "rover_v2";
+  const after = hashes(buildApi({ catalog, generatedAt: "2026-03-01T00:00:00.000Z" }).files);
+  const changed = Object.keys(before).filter((href) => before[href] !== after[href]);
+  assert.deepEqual(changed.sort(), ["repos/example-lab/rover.json", "robots/example-lab/rover/rover--1vnetii.json"]);
+});
+
+test("build-api writes a schema-checked tree and keeps it stable", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "gallery-api-"));
+  const build = () =>
+    run(
+      process.execPath,
+      [
+        path.join(REPO_ROOT, "tools", "build-api.mjs"),
+        "--robots",
+        path.join(REPO_ROOT, "tools", "fixtures", "robots.json"),
+        "--previews",
+        path.join(dir, "missing.json"),
+        "--out",
+        dir,
+      ],
+      { cwd: REPO_ROOT }
+    );
+  try {
+    await fs.mkdir(path.join(dir, "robots", "example-lab", "removed"), { recursive: true });
+    await fs.writeFile(path.join(dir, "robots", "example-lab", "removed", "old--1.json"), "{}");
+    await build();
+    const index = await readJson(path.join(dir, "index.json"));
+    assert.equal(index.robots.length, 6);
+    await assert.rejects(fs.access(path.join(dir, "robots", "example-lab", "removed")));
+    await fs.access(path.join(dir, "schemas", "robot.schema.json"));
+
+    await build();
+    assert.equal((await readJson(path.join(dir, "index.json"))).generatedAt, index.generatedAt);
+  } finally {
+    await fs.rm(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,149 @@
+// Catalog snapshots diffed into changelog entries, and the catalog-diff tool
+// appending to a scratch changelog.
+
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import Ajv from "ajv/dist/2020.js";
+import { appendChangelog, changeCounts, diffCatalogs } from "../tools/lib/catalog-diff.mjs";
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const run = promisify(execFile);
+
+const readJson = async (filePath) => JSON.parse(await fs.readFile(filePath, "utf8"));
+
+const BEFORE = [
+  {
+    repo: "https://github.com/example-lab/desk-arm",
+    repoKey: "example-lab/desk-arm",
+    tags: ["Arm"],
+    robots: [
+      { name: "desk_arm", file: "desk_arm.urdf", fileBase: "desk_arm--1", path: "urdf/desk_arm.urdf" },
+      { name: "tool", file: "tool.urdf", fileBase: "tool--2", path: "urdf/tool.urdf" },
+      { name: "old_gripper", file: "old_gripper.urdf", fileBase: "old_gripper--3" },
+    ],
+  },
+  {
+    repo: "https://github.com/example-lab/retired",
+    repoKey: "example-lab/retired",
+    robots: [{ name: "old", file: "old.urdf", fileBase: "old--4" }],
+  },
+];
+
+const AFTER = [
+  {
+    repo: "https://github.com/example-lab/desk-arm",
+    repoKey: "example-lab/desk-arm",
+    tags: ["Arm", "Gripper"],
+    robots: [
+      { name: "Desk Arm", file: "desk_arm.urdf", fileBase: "desk_arm--1", path: "urdf/desk_arm.urdf" },
+      { name: "tool", file: "tool.urdf", fileBase: "tool--5", path: "urdf/tool.urdf" },
+      { name: "materials", file: "materials.urdf", fileBase: "materials--6", kind: "fragment" },
+    ],
+  },
+  {
+    repo: "https://github.com/example-lab/rover",
+    repoKey: "example-lab/rover",
+    name: "Rover",
+    tags: ["Mobile"],
+    robots: [{ name: "rover", file: "rover.urdf", fileBase: "rover--7" }],
+  },
+];
+
+test("repos, robots, renames, new keys and tags are diffed", () => {
+  const changes = diffCatalogs(BEFORE, AFTER);
+  assert.deepEqual(changes, {
+    repos: {
+      added: [{ repoKey: "example-lab/rover", name: "Rover" }],
+      removed: [{ repoKey: "example-lab/retired", name: "example-lab/retired" }],
+    },
+    robots: {
+      added: [
+        { repoKey: "example-lab/desk-arm", fileBase: "materials--6", name: "materials", kind: "fragment" },
+        { repoKey: "example-lab/rover", fileBase: "rover--7", name: "rover" },
+      ],
+      removed: [
+        { repoKey: "example-lab/desk-arm", fileBase: "old_gripper--3", name: "old_gripper" },
+        { repoKey: "example-lab/retired", fileBase: "old--4", name: "old" },
+      ],
+      renamed: [{ repoKey: "example-lab/desk-arm", fileBase: "desk_arm--1", from: "desk_arm", to: "Desk Arm" }],
+      rekeyed: [
+        { repoKey: "example-lab/desk-arm", name: "tool", path: "urdf/tool.urdf", from: "tool--2", to: "tool--5" },
+      ],
+    },
+    tags: [{ repoKey: "example-lab/desk-arm", added: ["Gripper"] }],
+  });
+  assert.deepEqual(changeCounts(changes), {
+    reposAdded: 1,
+    reposRemoved: 1,
+    robotsAdded: 2,
+    robotsRemoved: 2,
+    robotsRenamed: 1,
+    robotsRekeyed: 1,
+    tagsChanged: 1,
+  });
+  assert.deepEqual(diffCatalogs(AFTER, AFTER), {});
+});
+
+test("changelog entries are prepended and empty diffs skipped", async () => {
+  const schema = await readJson(path.join(REPO_ROOT, "docs", "changelog.schema.json"));
+  const validate = new Ajv({ allErrors: true }).compile(schema);
+  const seed = await readJson(path.join(REPO_ROOT, "docs", "changelog.json"));
+  assert.ok(validate(seed));
+
+  const first = appendChangelog(seed, { date: "2026-01-01T00:00:00.000Z", source: "ingest", ref: "#12", changes: {} });
+  assert.deepEqual(first.entries, []);
+  const changes = diffCatalogs(BEFORE, AFTER);
+  const second = appendChangelog(
+    appendChangelog(first, { date: "2026-01-01T00:00:00.000Z", source: "ingest", ref: "#12", changes }),
+    { date: "2026-02-01T00:00:00.000Z", source: "refresh", changes: diffCatalogs(AFTER, BEFORE) }
+  );
+  assert.deepEqual(
+    second.entries.map((entry) => [entry.source, entry.ref]),
+    [
+      ["refresh", undefined],
+      ["ingest", "#12"],
+    ]
+  );
+  assert.ok(validate(second), JSON.stringify(validate.errors));
+});
+
+test("catalog-diff appends only with --write", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "gallery-diff-"));
+  const [before, after, changelog] = ["before.json", "after.json", "changelog.json"].map((name) => path.join(dir, name));
+  await fs.writeFile(before, JSON.stringify(BEFORE));
+  await fs.writeFile(after, JSON.stringify(AFTER));
+  const diff = (...extra) =>
+    run(
+      process.execPath,
+      [
+        path.join(REPO_ROOT, "tools", "catalog-diff.mjs"),
+        "--before",
+        before,
+        "--after",
+        after,
+        "--changelog",
+        changelog,
+        ...extra,
+      ],
+      { cwd: dir }
+    );
+  try {
+    const { stdout } = await diff();
+    assert.match(stdout, /example-lab\/desk-arm: tool--2 -> tool--5 \(previews under tool--2 are orphaned\)/);
+    await assert.rejects(fs.access(changelog));
+
+    await diff("--write", "--source", "refresh");
+    const written = await readJson(changelog);
+    assert.equal(written.entries.length, 1);
+    assert.equal(written.entries[0].source, "refresh");
+    assert.equal(written.entries[0].changes.robots.added.length, 2);
+  } finally {
+    await fs.rm(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,152 @@
+// Fragment and variant detection on hand-built models, and validate-robots
+// leaving fragments out of the URDF lint.
+
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import {
+  applyKind,
+  classifyItem,
+  classifyRobots,
+  fragmentReason,
+  modelDiff,
+  modelSimilarity,
+} from "../tools/lib/classify.mjs";
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const run = promisify(execFile);
+
+const model = (links, joints = [], elementCounts = {}) => ({
+  name: "m",
+  links: links.map((name) => (typeof name === "string" ? { name } : name)),
+  joints: joints.map((name) => (typeof name === "string" ? { name, type: "revolute" } : name)),
+  elementCounts: { link: links.length, ...elementCounts },
+});
+
+const humanoid = (extraJoints = []) =>
+  model(
+    ["pelvis", "torso", "left_hip", "right_hip", "left_knee", "right_knee"],
+    ["waist", "left_hip_pitch", "right_hip_pitch", "left_knee", "right_knee", ...extraJoints]
+  );
+
+test("files without real links are fragments", () => {
+  assert.equal(fragmentReason(model([], [], { material: 3 })), "only materials");
+  assert.equal(fragmentReason(model([], [], { gazebo: 2 })), "only gazebo tags");
+  assert.equal(fragmentReason(model([], [], { material: 1, gazebo: 1 })), "no links");
+  assert.equal(fragmentReason(model([{ name: "world", virtual: true }], [], { body: 1 })), "no links");
+  assert.equal(fragmentReason(model(["base"])), "");
+});
+
+test("near-copies are variants of the sibling they are named after", () => {
+  const results = classifyRobots([
+    { key: "g1_29dof_mode_11--a", name: "g1_29dof_mode_11", model: humanoid() },
+    { key: "g1_29dof--b", name: "g1_29dof", model: humanoid(["wrist"]) },
+    { key: "g1_29dof_mode_12--c", name: "g1_29dof_mode_12", model: humanoid() },
+    { key: "materials--d", name: "materials", model: model([], [], { material: 4 }) },
+    { key: "arm--e", name: "arm", model: model(["base", "link1"], ["joint1"]) },
+    { key: "broken--f", name: "broken", model: null },
+  ]);
+  const variant = (label) => ({
+    kind: "variant",
+    variantOf: "g1_29dof--b",
+    label,
+    diff: { joints: { removed: ["wrist"] } },
+    similarity: 0.92,
+  });
+  assert.deepEqual(results, [
+    variant("mode_11"),
+    { kind: "robot" },
+    variant("mode_12"),
+    { kind: "fragment", reason: "only materials" },
+    { kind: "robot" },
+    null,
+  ]);
+  assert.equal(modelSimilarity(humanoid(), model(["base", "link1"], ["joint1"])), 0);
+});
+
+test("diffs list added, removed and retyped links and joints", () => {
+  const locked = humanoid(["wrist"]);
+  locked.joints[0] = { name: "waist", type: "fixed" };
+  locked.links.push({ name: "hand" });
+  assert.deepEqual(modelDiff(humanoid(), locked), {
+    links: { added: ["hand"] },
+    joints: { added: ["wrist"], changed: ["waist: revolute -> fixed"] },
+  });
+  assert.deepEqual(modelDiff(humanoid(), humanoid()), {});
+});
+
+test("declared bases win over detection", () => {
+  const robots = [
+    { name: "h1", fileBase: "h1--a" },
+    { name: "h1_2", fileBase: "h1_2--b" },
+    { name: "h1_with_hand", fileBase: "h1_with_hand--c", kind: "variant", variantOf: "h1_2--b", variantDeclared: true },
+  ];
+  const models = [humanoid(), humanoid(), humanoid(["hand"])];
+  const results = classifyRobots(robots.map((robot, index) => classifyItem(robot, models[index])));
+  // h1_2 is detected as a variant of h1, so the declared base is followed to h1.
+  assert.deepEqual(
+    results.map((result) => result && [result.kind, result.variantOf, result.label, result.declared]),
+    [
+      ["robot", undefined, undefined, undefined],
+      ["variant", "h1--a", "2", undefined],
+      ["variant", "h1--a", "with_hand", true],
+    ]
+  );
+  assert.deepEqual(applyKind(robots[2], results[2]), {
+    name: "h1_with_hand",
+    fileBase: "h1_with_hand--c",
+    kind: "variant",
+    variantOf: "h1--a",
+    variantLabel: "with_hand",
+    variantDeclared: true,
+    variantDiff: { joints: { added: ["hand"] } },
+  });
+});
+
+test("applyKind leaves plain robots without a kind", () => {
+  const robot = { name: "g1", kind: "variant", variantOf: "old--1", variantLabel: "old", variantDiff: {} };
+  assert.deepEqual(applyKind({ ...robot }, { kind: "robot" }), { name: "g1" });
+  assert.deepEqual(applyKind({ ...robot }, { kind: "fragment", reason: "no links" }), { name: "g1", kind: "fragment" });
+  assert.deepEqual(applyKind({ ...robot }, null), robot);
+});
+
+test("validate-robots --urdf-root lints the fixture checkouts and skips fragments", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "gallery-lint-"));
+  const reportPath = path.join(dir, "lint.json");
+  try {
+    const { stdout } = await run(
+      process.execPath,
+      [
+        path.join(REPO_ROOT, "tools", "validate-robots.mjs"),
+        "--robots",
+        path.join(REPO_ROOT, "tools", "fixtures", "robots.json"),
+        "--urdf-root",
+        path.join(REPO_ROOT, "tools", "fixtures", "urdf"),
+        "--lint-report",
+        reportPath,
+      ],
+      { cwd: REPO_ROOT }
+    );
+    assert.match(stdout, /5 checked, 0 errors, 2 warnings, 0 missing, 1 skipped/);
+    const report = JSON.parse(await fs.readFile(reportPath, "utf8"));
+    assert.deepEqual(report.skipped, [
+      {
+        repoKey: "example-lab/desk-arm",
+        fileBase: "common_materials--13frhqd",
+        file: "common_materials.urdf",
+        reason: "fragment",
+      },
+    ]);
+    assert.deepEqual(
+      report.robots.map((robot) => robot.file),
+      ["desk_arm.urdf", "rover.urdf", "gripper.urdf", "model.sdf", "hopper.xml"]
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,138 @@
+// Atom and JSON feeds built from the fixture catalog: dating by changelog,
+// thumbnails and deep links, the feed checks and the build-feeds tool.
+
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { checkFeeds, feedItems, renderAtom, renderJsonFeed } from "../tools/lib/feed.mjs";
+import { childElements, parseXml } from "../tools/lib/xml.mjs";
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const run = promisify(execFile);
+
+const readJson = async (filePath) => JSON.parse(await fs.readFile(filePath, "utf8"));
+
+const SITE_URL = "https://example.com/gallery/";
+
+const PREVIEWS = {
+  version: 1,
+  previews: [
+    {
+      repoKey: "example-lab/rover",
+      fileBase: "rover--1vnetii",
+      png: "thumbnails/example-lab/rover/rover--1vnetii.png",
+    },
+  ],
+};
+
+const CHANGELOG = {
+  version: 1,
+  entries: [
+    {
+      date: "2026-03-02T00:00:00.000Z",
+      source: "ingest",
+      changes: { robots: { added: [{ repoKey: "example-lab/rover", fileBase: "rover--1vnetii", name: "rover" }] } },
+    },
+    {
+      date: "2026-03-01T00:00:00.000Z",
+      source: "refresh",
+      changes: { robots: { added: [{ repoKey: "example-lab/rover", fileBase: "rover--1vnetii", name: "rover" }] } },
+    },
+  ],
+};
+
+test("items are dated by the changelog and fall back to updatedAt", async () => {
+  const catalog = await readJson(path.join(REPO_ROOT, "tools", "fixtures", "robots.json"));
+  const items = feedItems({ catalog, changelog: CHANGELOG, previews: PREVIEWS, siteUrl: SITE_URL });
+  const rover = items[0];
+  assert.deepEqual(rover, {
+    id: "https://example.com/gallery/#/r/example-lab/rover/rover--1vnetii",
+    url: "https://example.com/gallery/#/r/example-lab/rover/rover--1vnetii",
+    title: "rover (example-lab/rover)",
+    summary: "Fixture rover used by the offline tooling.",
+    date: "2026-03-01T00:00:00.000Z",
+    tags: ["Mobile", "Wheeled"],
+    repoKey: "example-lab/rover",
+    fileBase: "rover--1vnetii",
+    image: "https://example.com/gallery/thumbnails/example-lab/rover/rover--1vnetii.png",
+  });
+  // Fragments are not announced.
+  assert.ok(!items.some((item) => item.fileBase === "common_materials--13frhqd"));
+  const desk = items.find((item) => item.fileBase === "desk_arm--md2a9p");
+  assert.equal(desk.date, "2026-01-10T12:00:00.000Z");
+  assert.equal(desk.image, undefined);
+  assert.deepEqual(
+    items.map((item) => item.date),
+    items.map((item) => item.date).sort().reverse()
+  );
+  assert.equal(feedItems({ catalog, limit: 2 }).length, 2);
+});
+
+test("both feeds list the same items and pass the checks", async () => {
+  const catalog = await readJson(path.join(REPO_ROOT, "tools", "fixtures", "robots.json"));
+  const items = feedItems({ catalog, changelog: CHANGELOG, previews: PREVIEWS, siteUrl: SITE_URL });
+  const atom = renderAtom(items, { siteUrl: SITE_URL });
+  const json = renderJsonFeed(items, { siteUrl: SITE_URL });
+  assert.deepEqual(checkFeeds({ atom, json }), []);
+
+  const entries = childElements(parseXml(atom), "entry");
+  assert.equal(entries.length, json.items.length);
+  assert.deepEqual(
+    childElements(entries[0], "category").map((category) => category.attributes.term),
+    ["Mobile", "Wheeled"]
+  );
+  assert.equal(json.feed_url, "https://example.com/gallery/feed.json");
+  assert.equal(json.items[0].image, items[0].image);
+
+  const broken = { ...json, items: [{ ...json.items[0], url: "#/r/x/y/z", date_published: "soon" }] };
+  assert.deepEqual(checkFeeds({ atom, json: broken }), [
+    `feed.json: item 1 (${json.items[0].id}): url must be absolute`,
+    `feed.json: item 1 (${json.items[0].id}): date_published is not a date`,
+    "feed.xml and feed.json list different items",
+  ]);
+  assert.match(checkFeeds({ atom: "<feed>", json })[0], /^feed\.xml: /);
+});
+
+test("build-feeds writes stable feeds and checks them", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "gallery-feeds-"));
+  const feeds = (...extra) =>
+    run(
+      process.execPath,
+      [
+        path.join(REPO_ROOT, "tools", "build-feeds.mjs"),
+        "--robots",
+        path.join(REPO_ROOT, "tools", "fixtures", "robots.json"),
+        "--previews",
+        path.join(dir, "missing.json"),
+        "--changelog",
+        path.join(dir, "missing.json"),
+        "--out",
+        dir,
+        "--site-url",
+        SITE_URL,
+        ...extra,
+      ],
+      { cwd: REPO_ROOT }
+    );
+  try {
+    await feeds("--dry-run");
+    await assert.rejects(fs.access(path.join(dir, "feed.xml")));
+
+    await feeds();
+    const atom = await fs.readFile(path.join(dir, "feed.xml"), "utf8");
+    assert.equal((await readJson(path.join(dir, "feed.json"))).items.length, 5);
+    await feeds();
+    assert.equal(await fs.readFile(path.join(dir, "feed.xml"), "utf8"), atom);
+    await feeds("--check");
+
+    await fs.writeFile(path.join(dir, "feed.json"), JSON.stringify({ version: "1", items: [] }));
+    await assert.rejects(feeds("--check"), /feeds are invalid/);
+  } finally {
+    await fs.rm(dir, { recursive: true });
+  }
+});
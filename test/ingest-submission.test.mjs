@@ -0,0 +1,202 @@
+// Submission handling from tools/lib/ingest.mjs, run against an in-memory
+// repo instead of the GitHub API.
+
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { buildIngestWrites, ingestSubmission } from "../tools/lib/ingest.mjs";
+import { parseIssueFields, parseRobotMapping } from "../tools/lib/issues.mjs";
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const run = promisify(execFile);
+
+const ISSUE_BODY = await fs.readFile(new URL("../tools/fixtures/ingest/issue.md", import.meta.url), "utf8");
+const NOW = new Date("2026-01-15T00:00:00Z");
+const TAGS = ["Arm", "Gripper", "LeRobotCompatible", "ROS2"];
+
+const createSource = ({ files = {}, permission = "write", history = [] } = {}) => ({
+  getRepo: async () => ({ defaultBranch: "main" }),
+  getPermission: async () => permission,
+  getTree: async ({ ref }) => {
+    if (ref.includes(":")) throw new Error("subtrees are not used here");
+    return Object.keys(files).map((filePath) => ({ path: filePath, type: "blob", sha: filePath }));
+  },
+  readBlob: async ({ sha }) => files[sha],
+  listRecentIssues: async () => history,
+  listComments: async ({ number }) => history.find((item) => item.number === number)?.comments || [],
+});
+
+const submit = (body, source, robots = []) =>
+  ingestSubmission(source, {
+    issue: { number: 7, title: "robot-showcase-request", body, author: "someone" },
+    robots,
+    allowedTags: TAGS,
+    now: NOW,
+  });
+
+const URDF_FILES = {
+  "arm/urdf/arm.urdf": '<robot name="arm"><link name="base"/></robot>',
+  "arm/urdf/leader.urdf": '<robot name="leader"><link name="base"/></robot>',
+};
+
+test("parseIssueFields keeps the last form section", () => {
+  const fields = parseIssueFields(ISSUE_BODY);
+  assert.equal(fields["GitHub repo URL"], "https://github.com/example-lab/gripper");
+  assert.equal(fields["Demo URL (optional)"], "");
+  assert.equal(fields["Extra links or notes (optional)"], "Mimic joint on the second finger.");
+});
+
+test("parseRobotMapping splits names from file basenames", () => {
+  assert.deepEqual(parseRobotMapping("SO-100 — urdf/so100.urdf\nLeader: leader\nFollower"), [
+    { name: "SO-100", file: "so100.urdf" },
+    { name: "Leader", file: "leader" },
+    { name: "Follower" },
+  ]);
+});
+
+test("a submission with URDFs is added to the front of robots.json", async () => {
+  const body = ISSUE_BODY.replace("Gripper, ros2", "arms, LeRobot").replace(
+    "### Robot mapping (optional)\n\n_No response_",
+    "### Robot mapping (optional)\n\nLeader arm: leader"
+  );
+  const existing = [{ repo: "https://github.com/other/repo", robots: [] }];
+  const result = await submit(body, createSource({ files: URDF_FILES }), existing);
+  assert.equal(result.status, "added");
+  assert.equal(result.title, "robot-showcase-request: example-lab/gripper");
+  assert.equal(result.robots.length, 2);
+  assert.equal(result.robots[1], existing[0]);
+  assert.deepEqual(result.entry.tags, ["Arm", "LeRobotCompatible"]);
+  assert.deepEqual(result.entry.robots, [
+    { name: "Leader arm", file: "leader.urdf", fileBase: "leader--1m5ntpx", path: "arm/urdf/leader.urdf" },
+    { name: "arm", file: "arm.urdf", fileBase: "arm--gm48b2", path: "arm/urdf/arm.urdf" },
+  ]);
+  assert.equal(result.entry.updatedAt, NOW.toISOString());
+  assert.deepEqual(result.dispatch, { issueNumber: 7, repo: "https://github.com/example-lab/gripper" });
+});
+
+test("xacro-only repos produce generated URDF files", async () => {
+  const files = {
+    "desc/urdf/bot.urdf.xacro":
+      '<robot name="bot" xmlns:xacro="http://www.ros.org/wiki/xacro"><xacro:property name="n" value="base"/><link name="${n}"/></robot>',
+  };
+  const result = await submit(ISSUE_BODY, createSource({ files }));
+  assert.equal(result.status, "added");
+  assert.equal(result.entry.robots[0].source, "desc/urdf/bot.urdf.xacro");
+  assert.equal(result.generatedFiles.length, 1);
+  assert.equal(result.generatedFiles[0].path, `docs/${result.entry.robots[0].generated}`);
+  assert.match(result.generatedFiles[0].content, /<link name="base"\/>/);
+});
+
+test("submissions are rejected before anything is written", async () => {
+  const cases = [
+    [ISSUE_BODY.replace("Gripper, ros2", "Grippers"), createSource({ files: URDF_FILES }), "invalid-tags"],
+    [ISSUE_BODY, createSource({ files: URDF_FILES, permission: "read" }), "manual-review"],
+    [ISSUE_BODY, createSource({ files: { "README.md": "" } }), "no-robots"],
+    [ISSUE_BODY.replace("https://github.com/example-lab/gripper", "https://github.com/example-lab"), createSource(), "invalid-url"],
+  ];
+  for (const [body, source, status] of cases) {
+    const result = await submit(body, source);
+    assert.equal(result.status, status);
+    assert.equal(result.robots, null);
+    assert.equal(result.comments.length, 1);
+    assert.ok(result.comments[0].prefix);
+  }
+});
+
+test("repeated failures route the author to manual review", async () => {
+  const failure = ["Auto-ingest: missing GitHub repo URL."];
+  const history = [1, 2, 3].map((number) => ({ number, created_at: "2026-01-10T00:00:00Z", comments: failure }));
+  const result = await submit(ISSUE_BODY, createSource({ files: URDF_FILES, history }));
+  assert.equal(result.status, "throttled");
+});
+
+test("already included repos are closed", async () => {
+  const result = await submit(ISSUE_BODY, createSource(), [{ repo: "https://github.com/Example-Lab/Gripper" }]);
+  assert.equal(result.status, "already-included");
+  assert.equal(result.close, true);
+});
+
+test("an added submission writes robots.json, generated URDFs, robots.meta.json and the changelog", async () => {
+  const result = await submit(ISSUE_BODY, createSource({ files: URDF_FILES }));
+  result.generatedFiles = [{ path: "docs/generated/example-lab/gripper/arm.urdf", content: "<robot/>" }];
+  const writes = buildIngestWrites(result, { ref: "#7", now: NOW });
+  assert.deepEqual(
+    writes.map((file) => file.path),
+    [
+      "docs/robots.json",
+      "docs/generated/example-lab/gripper/arm.urdf",
+      "docs/robots.meta.json",
+      "docs/changelog.json",
+    ]
+  );
+  assert.equal(writes[0].content, JSON.stringify(result.robots, null, 2));
+  assert.deepEqual(JSON.parse(writes[2].content), { version: 1, generatedAt: NOW.toISOString(), count: 1 });
+  const [entry] = JSON.parse(writes[3].content).entries;
+  assert.deepEqual([entry.date, entry.source, entry.ref], [NOW.toISOString(), "ingest", "#7"]);
+  assert.equal(entry.changes.repos.added.length, 1);
+
+  // A result that leaves the catalog as it was adds no changelog entry.
+  const unchanged = buildIngestWrites(result, { previous: result.robots, changelog: { version: 1, entries: [] } });
+  assert.equal(unchanged.map((file) => file.path).at(-1), "docs/robots.meta.json");
+
+  const rejected = await submit("no repo here", createSource());
+  assert.deepEqual(buildIngestWrites(rejected), []);
+});
+
+test("the offline CLI reports a written update on stdout", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "gallery-ingest-"));
+  try {
+    for (const [filePath, content] of Object.entries(URDF_FILES)) {
+      await fs.mkdir(path.join(dir, "tree", path.dirname(filePath)), { recursive: true });
+      await fs.writeFile(path.join(dir, "tree", filePath), content);
+    }
+    const robotsPath = path.join(dir, "robots.json");
+    await fs.writeFile(robotsPath, "[]");
+    const { stdout, stderr } = await run(
+      process.execPath,
+      [
+        path.join(REPO_ROOT, "tools", "ingest-submission.mjs"),
+        "--issue",
+        path.join(REPO_ROOT, "tools", "fixtures", "ingest", "issue.md"),
+        "--tree",
+        path.join(dir, "tree"),
+        "--robots",
+        robotsPath,
+        "--write",
+      ],
+      { cwd: REPO_ROOT }
+    );
+    assert.match(stdout, /\[ingest\] status: added/);
+    assert.ok(stdout.includes(`[ingest] Updated ${robotsPath}`));
+    assert.equal(stderr, "");
+    assert.equal(JSON.parse(await fs.readFile(robotsPath, "utf8")).length, 1);
+    const meta = JSON.parse(await fs.readFile(path.join(dir, "robots.meta.json"), "utf8"));
+    assert.equal(meta.count, 1);
+    const changelog = JSON.parse(await fs.readFile(path.join(dir, "changelog.json"), "utf8"));
+    assert.equal(changelog.entries.length, 1);
+  } finally {
+    await fs.rm(dir, { recursive: true });
+  }
+});
+
+test("links are stored in canonical form and unreadable ones left out", async () => {
+  const datasets = "https://huggingface.co/datasets/example/grasps\nnot a dataset";
+  const body = ISSUE_BODY.replace(
+    "### Author X/Twitter (optional)\n\n_No response_",
+    "### Author X/Twitter (optional)\n\n@example_lab"
+  ).replace(
+    "### Hugging Face datasets (one per line, optional)\n\n_No response_",
+    `### Hugging Face datasets (one per line, optional)\n\n${datasets}`
+  );
+  const result = await submit(body, createSource({ files: URDF_FILES }));
+  assert.equal(result.status, "added");
+  assert.equal(result.entry.authorX, "https://x.com/example_lab");
+  assert.equal(result.entry.authorGithub, "https://github.com/example-lab");
+  assert.deepEqual(result.entry.hfDatasets, ["example/grasps"]);
+  assert.match(result.comments[0].body, /left out because they aren't valid links: hfDatasets "not a dataset"\.$/);
+});
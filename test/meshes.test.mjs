@@ -0,0 +1,106 @@
+// Mesh URI resolution against a small in-memory tree listing: package://
+// and model:// URIs, relative and absolute paths, case mismatches and
+// formats the viewer can't load.
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createMeshIndex, indexPackages, resolveMesh, resolveRobotMeshes } from "../tools/lib/meshes.mjs";
+
+const TREE = [
+  "package.xml",
+  "meshes/base.stl",
+  "arm_description/package.xml",
+  "arm_description/urdf/arm.urdf",
+  "arm_description/meshes/Link1.STL",
+  "arm_description/meshes/link2.dae",
+  "arm_description/meshes/gripper.3ds",
+  "arm_description/meshes/visual/wrist.obj",
+  "vendor/other_pkg/meshes/camera.glb",
+  "models/crawler/meshes/body.dae",
+];
+
+const index = createMeshIndex(TREE);
+const options = { urdfPath: "arm_description/urdf/arm.urdf", repoName: "arm-robot" };
+const resolve = (filename, extra = {}) => resolveMesh(index, filename, { ...options, ...extra });
+
+test("package roots are directories holding a package.xml", () => {
+  assert.deepEqual([...indexPackages(TREE)], [
+    ["", [""]],
+    ["arm_description", ["arm_description"]],
+  ]);
+});
+
+test("package:// and model:// URIs resolve through the package index", () => {
+  assert.deepEqual(resolve("package://arm_description/meshes/link2.dae"), {
+    filename: "package://arm_description/meshes/link2.dae",
+    status: "resolved",
+    path: "arm_description/meshes/link2.dae",
+  });
+  // Without a package.xml, a unique path ending in "<pkg>/<rest>" or "<rest>" is used.
+  assert.equal(resolve("package://other_pkg/meshes/camera.glb").path, "vendor/other_pkg/meshes/camera.glb");
+  assert.equal(resolve("model://crawler/meshes/body.dae").path, "models/crawler/meshes/body.dae");
+  assert.equal(resolve("package://arm_description/meshes/../meshes/visual/wrist.obj").status, "resolved");
+  // A package named after the repo maps to the repo root.
+  const rootless = createMeshIndex(["meshes/base.stl", "urdf/robot.urdf", "extra/meshes/base.stl"]);
+  assert.deepEqual(resolveMesh(rootless, "package://Arm-Robot/meshes/base.stl", options), {
+    filename: "package://Arm-Robot/meshes/base.stl",
+    status: "resolved",
+    path: "meshes/base.stl",
+  });
+  // Two candidate suffixes are ambiguous.
+  assert.equal(resolveMesh(rootless, "package://unknown/meshes/base.stl", options).status, "unresolved");
+  assert.equal(resolve("package://arm_description/meshes/missing.stl").status, "unresolved");
+});
+
+test("relative paths resolve from the URDF's directory and absolute ones by suffix", () => {
+  assert.equal(resolve("../meshes/link2.dae").path, "arm_description/meshes/link2.dae");
+  assert.equal(resolve("..\\meshes\\visual\\wrist.obj").path, "arm_description/meshes/visual/wrist.obj");
+  assert.equal(resolve("meshes/link2.dae").status, "unresolved");
+  assert.equal(resolve("/meshes/base.stl").path, "meshes/base.stl");
+  assert.equal(resolve("file:///home/user/ws/src/arm_description/meshes/link2.dae").status, "resolved");
+  assert.deepEqual(resolve("https://example.com/mesh.stl"), {
+    filename: "https://example.com/mesh.stl",
+    status: "remote",
+  });
+});
+
+test("case mismatches are found but reported", () => {
+  assert.deepEqual(resolve("package://arm_description/meshes/link1.stl"), {
+    filename: "package://arm_description/meshes/link1.stl",
+    status: "case-mismatch",
+    path: "arm_description/meshes/Link1.STL",
+  });
+  assert.equal(resolve("../Meshes/LINK2.dae").status, "case-mismatch");
+  assert.equal(resolve("file:///opt/ws/arm_description/meshes/visual/WRIST.obj").status, "case-mismatch");
+});
+
+test("files in formats the viewer can't load are unsupported", () => {
+  assert.deepEqual(resolve("../meshes/gripper.3ds"), {
+    filename: "../meshes/gripper.3ds",
+    status: "unsupported",
+    path: "arm_description/meshes/gripper.3ds",
+    format: "3ds",
+  });
+});
+
+test("robot mesh reports group each distinct filename once", () => {
+  const link = (...filenames) => ({ meshes: filenames.map((filename) => ({ kind: "visual", filename })) });
+  const model = {
+    links: [
+      link("package://arm_description/meshes/link2.dae", "package://arm_description/meshes/link2.dae"),
+      link("package://arm_description/meshes/link1.stl", "../meshes/gripper.3ds"),
+      link("../meshes/nope.stl", "https://example.com/mesh.stl"),
+      link(),
+    ],
+  };
+  assert.deepEqual(resolveRobotMeshes(index, model, options), {
+    total: 5,
+    resolved: 1,
+    unresolved: ["../meshes/nope.stl"],
+    unsupported: [{ filename: "../meshes/gripper.3ds", format: "3ds" }],
+    caseMismatches: [
+      { filename: "package://arm_description/meshes/link1.stl", actual: "arm_description/meshes/Link1.STL" },
+    ],
+    remote: ["https://example.com/mesh.stl"],
+  });
+});
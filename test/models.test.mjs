@@ -0,0 +1,177 @@
+// SDF and MJCF readers on the crawler and hopper fixtures, the world and
+// virtual links MJCF needs, and format dispatch and discovery in models.mjs.
+
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import {
+  discoverModels,
+  findModelCandidates,
+  formatFromPath,
+  modelName,
+  parseRobotModel,
+} from "../tools/lib/models.mjs";
+import { computeStats, lintUrdf } from "../tools/lib/urdf.mjs";
+
+const FIXTURES = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "tools", "fixtures", "urdf");
+
+const readFixture = (...parts) => fs.readFile(path.join(FIXTURES, "example-lab", ...parts), "utf8");
+
+const edges = (model) => model.joints.map((joint) => [joint.name, joint.type, joint.parent, joint.child]);
+
+test("SDF models flatten nested models and drop joints to the world", async () => {
+  const { format, model } = parseRobotModel(await readFixture("crawler", "models", "crawler", "model.sdf"));
+  assert.equal(format, "sdf");
+  assert.equal(model.name, "crawler");
+  assert.deepEqual(
+    model.links.map((link) => link.name),
+    ["body", "left_track", "right_track", "mast::pole"]
+  );
+  assert.deepEqual(model.links[0].meshes, [{ kind: "visual", filename: "model://crawler/meshes/body.dae", line: 14 }]);
+  assert.deepEqual(model.links[0].inertial.inertia, { ixx: 0.05, ixy: 0, ixz: 0, iyy: 0.08, iyz: 0, izz: 0.1 });
+  // Revolute joints with ±1e16 or no limits are continuous.
+  assert.deepEqual(edges(model), [
+    ["left_track_joint", "continuous", "body", "left_track"],
+    ["right_track_joint", "continuous", "body", "right_track"],
+    ["lift", "prismatic", "body", "mast::pole"],
+  ]);
+  assert.deepEqual(model.joints[2].limit, { lower: 0, upper: 0.4, effort: 50, velocity: 0.2 });
+  assert.deepEqual(lintUrdf(model), []);
+  assert.equal(computeStats(model).dof, 3);
+});
+
+test("SDF reads the first model with links, including models inside a world", () => {
+  const { model } = parseRobotModel(`<sdf version="1.9"><world name="w">
+    <model name="ground"><static>true</static></model>
+    <model name="arm"><link name="base"/><link name="tip"/>
+      <joint name="j" type="revolute"><parent>base</parent><child>tip</child>
+        <axis><limit><lower>-1</lower><upper>1</upper></limit></axis></joint>
+      <model name="cam"><link name="lens"/>
+        <joint name="mount" type="fixed"><parent>arm::base</parent><child>lens</child></joint></model>
+    </model></world></sdf>`);
+  assert.equal(model.name, "arm");
+  assert.deepEqual(edges(model), [
+    ["j", "revolute", "base", "tip"],
+    ["cam::mount", "fixed", "arm::base", "cam::lens"],
+  ]);
+  assert.deepEqual(model.joints[0].limit, { lower: -1, upper: 1, effort: null, velocity: null });
+});
+
+test("MJCF bodies become links, with virtual links between stacked joints", async () => {
+  const { format, model } = parseRobotModel(await readFixture("hopper", "mjcf", "hopper.xml"));
+  assert.equal(format, "mjcf");
+  assert.equal(model.name, "hopper");
+  assert.deepEqual(
+    model.links.map((link) => [link.name, Boolean(link.virtual)]),
+    [
+      ["torso", false],
+      ["thigh", false],
+      ["thigh::hip_pitch", true],
+      ["leg", false],
+      ["foot", false],
+    ]
+  );
+  // A lone free-floating body is the root; its freejoint is not a joint.
+  assert.deepEqual(edges(model), [
+    ["hip_pitch", "revolute", "torso", "thigh::hip_pitch"],
+    ["hip_roll", "revolute", "thigh::hip_pitch", "thigh"],
+    ["knee", "prismatic", "thigh", "leg"],
+    ["leg_to_foot", "fixed", "leg", "foot"],
+  ]);
+  // Degrees are converted for hinges only.
+  assert.equal(model.joints[0].limit.lower, (-150 * Math.PI) / 180);
+  assert.deepEqual(model.joints[2].limit, { lower: -0.1, upper: 0.1, effort: null, velocity: null });
+  // Assets resolve against meshdir and geoms in a collision class are collision meshes.
+  assert.equal(model.links[0].meshes[0].filename, "../meshes/torso.stl");
+  assert.deepEqual(
+    model.links[4].meshes.map((mesh) => [mesh.kind, mesh.filename]),
+    [["collision", "../meshes/foot.obj"]]
+  );
+  assert.deepEqual(model.links[1].inertial.inertia, { ixx: 0.02, ixy: 0, ixz: 0, iyy: 0.02, iyz: 0, izz: 0.002 });
+  assert.deepEqual(lintUrdf(model), []);
+  const stats = computeStats(model);
+  assert.equal(stats.links, 4);
+  assert.equal(stats.dof, 3);
+  assert.deepEqual(stats.endEffectors, ["foot"]);
+});
+
+test("MJCF adds a world link for several top-level bodies or one jointed to the world", () => {
+  const inertial = '<inertial pos="0 0 0" mass="1" diaginertia="1 1 1"/>';
+  const { model } = parseRobotModel(`<mujoco model="m"><compiler angle="radian"/><worldbody>
+    <body name="base">${inertial}<joint name="slider" type="slide"/>
+      <body>${inertial}<joint type="hinge" range="-1 1"/></body>
+    </body>
+    <body name="box">${inertial}</body>
+  </worldbody></mujoco>`);
+  assert.deepEqual(
+    model.links.map((link) => [link.name, Boolean(link.virtual)]),
+    [
+      ["world", true],
+      ["base", false],
+      ["body_1", false],
+      ["box", false],
+    ]
+  );
+  assert.deepEqual(edges(model), [
+    ["slider", "prismatic", "world", "base"],
+    ["body_1_joint_1", "revolute", "base", "body_1"],
+    ["world_to_box", "fixed", "world", "box"],
+  ]);
+  // An unlimited slide keeps an open limit so lint doesn't flag it.
+  assert.deepEqual(model.joints[0].limit, { lower: null, upper: null, effort: null, velocity: null });
+  assert.equal(model.joints[1].limit.upper, 1);
+  assert.deepEqual(lintUrdf(model), []);
+  assert.equal(computeStats(model).links, 3);
+
+  const single = parseRobotModel('<mujoco><worldbody><body name="arm"><joint name="j"/></body></worldbody></mujoco>');
+  assert.deepEqual(edges(single.model), [["j", "continuous", "world", "arm"]]);
+});
+
+test("the root element picks the reader and the extension only hints at it", () => {
+  assert.equal(parseRobotModel('<robot name="r"><link name="a"/></robot>').format, "urdf");
+  assert.throws(() => parseRobotModel("<package/>"), /Unrecognised root element <package>/);
+  assert.equal(formatFromPath("urdf/Arm.URDF"), "urdf");
+  assert.equal(formatFromPath("models/crawler/model.sdf"), "sdf");
+  assert.equal(formatFromPath("mjcf/hopper.xml"), "mjcf");
+  assert.equal(formatFromPath("urdf/arm.xacro"), "");
+  assert.equal(modelName("models/crawler/model.SDF"), "model");
+  assert.equal(modelName("mjcf/hopper.xml"), "hopper");
+});
+
+test("model discovery skips ROS files and non-MJCF XML", async () => {
+  const files = {
+    "hopper/mjcf/scene.xml": await readFixture("hopper", "mjcf", "scene.xml"),
+    "hopper/mjcf/hopper.xml": await readFixture("hopper", "mjcf", "hopper.xml"),
+    "hopper/package.xml": await readFixture("hopper", "package.xml"),
+    "config/controllers.xml": "<config/>",
+    "launch/robot.launch.xml": "<launch/>",
+    "models/crawler/model.sdf": await readFixture("crawler", "models", "crawler", "model.sdf"),
+    "models/empty/model.sdf": '<sdf version="1.9"><model name="empty"/></sdf>',
+    "models/broken/model.sdf": "<sdf>",
+    "docs/notes.xml": "<notes/>",
+  };
+  assert.deepEqual(findModelCandidates(Object.keys(files)), [
+    "models/broken/model.sdf",
+    "models/crawler/model.sdf",
+    "models/empty/model.sdf",
+    "docs/notes.xml",
+    "hopper/mjcf/hopper.xml",
+    "hopper/mjcf/scene.xml",
+  ]);
+  const { found, failed } = await discoverModels(Object.keys(files), async (filePath) => files[filePath]);
+  assert.deepEqual(
+    found.map((item) => [item.path, item.format]),
+    [
+      ["models/crawler/model.sdf", "sdf"],
+      ["hopper/mjcf/hopper.xml", "mjcf"],
+    ]
+  );
+  assert.deepEqual(
+    failed.map((item) => item.path),
+    ["models/broken/model.sdf", "models/empty/model.sdf"]
+  );
+  assert.match(failed[0].error, /XML parse error/);
+  assert.equal(failed[1].error, "no links");
+});
@@ -0,0 +1,78 @@
+// Golden tests for the naming helpers in tools/lib/gallery.mjs. Preview
+// keys name published thumbnails, previews and manifests, so a change here
+// must be deliberate: regenerate the golden file with
+// `UPDATE_GOLDEN=1 npm test` and rebuild the affected previews.
+
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { hashString, normalizeRepoKey, parseArgs, slugify, toPreviewBase } from "../tools/lib/gallery.mjs";
+
+const GOLDEN_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "golden", "preview-keys.json");
+
+const PATHS = [
+  "robot.urdf",
+  "urdf/robot.urdf",
+  "Robot.URDF",
+  "so100/SO-ARM100/urdf/so100.urdf",
+  "description\\urdf\\arm.urdf",
+  "rover/description/rover.urdf",
+  "urdf/desk_arm.urdf",
+  "urdf/common_materials.urdf",
+  "gripper_description/urdf/gripper.urdf",
+  "models/crawler/model.sdf",
+  "mjcf/hopper.xml",
+  "robot.sdf",
+  "models/Crawler/MODEL.SDF",
+  "mjcf/scene.XML",
+  "unitree_g1/g1_29dof.xml",
+  "models/arm.urdf.xml",
+  "scenes/My Robot (v2).urdf",
+  "robots/ロボット.urdf",
+  "urdf/.urdf",
+  "urdf/b2_description.urdf",
+  "b2_description/urdf/b2_description.urdf",
+];
+
+const SLUGS = ["SO-ARM100", "  My Robot (v2).URDF ", "a--b__c", "model.sdf", "scene.XML", "---", "ロボット"];
+
+const REPO_KEYS = [
+  "https://github.com/TheRobotStudio/SO-ARM100",
+  "https://github.com/unitreerobotics/unitree_ros/tree/master/robots",
+  "Owner/Repo",
+  "http://github.com/a/b",
+  "",
+];
+
+const compute = () => ({
+  toPreviewBase: Object.fromEntries(PATHS.map((value) => [value, toPreviewBase(value)])),
+  hashString: Object.fromEntries(PATHS.map((value) => [value, hashString(value)])),
+  slugify: Object.fromEntries(SLUGS.map((value) => [value, slugify(value)])),
+  normalizeRepoKey: Object.fromEntries(REPO_KEYS.map((value) => [value, normalizeRepoKey(value)])),
+});
+
+const golden = process.env.UPDATE_GOLDEN
+  ? await fs.writeFile(GOLDEN_PATH, `${JSON.stringify(compute(), null, 2)}\n`).then(() => compute())
+  : JSON.parse(await fs.readFile(GOLDEN_PATH, "utf8"));
+
+for (const [helper, cases] of Object.entries(compute())) {
+  test(`${helper} matches the golden file`, () => {
+    assert.deepEqual(cases, golden[helper]);
+  });
+}
+
+test("preview keys depend on the full path, not only the basename", () => {
+  assert.notEqual(toPreviewBase("a/robot.urdf"), toPreviewBase("b/robot.urdf"));
+  assert.equal(toPreviewBase("a\\robot.urdf"), toPreviewBase("a/robot.urdf"));
+});
+
+test("parseArgs reads values, flags and pass-through arguments", () => {
+  const args = parseArgs(["stray", "--only", "a/b", "--write", "--limit", "3", "--", "--headless", "x"]);
+  assert.equal(args.get("only"), "a/b");
+  assert.equal(args.get("write"), true);
+  assert.equal(args.get("limit"), "3");
+  assert.deepEqual(args.get("_"), ["--headless", "x"]);
+  assert.equal(args.has("stray"), false);
+});
@@ -0,0 +1,128 @@
+// Preview image checks on synthetic frames, and the preview-qa tool on a
+// scratch docs/ tree with its baseline.
+
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import sharp from "sharp";
+import { analyzeImage, checkImage, groupLookalikes, hashDistance } from "../tools/lib/preview-qa.mjs";
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const run = promisify(execFile);
+
+// A transparent size x size frame with an opaque rectangle per entry.
+const frame = (size, rects = [], background = [0, 0, 0, 0]) => {
+  const data = Buffer.alloc(size * size * 4);
+  for (let i = 0; i < size * size; i += 1) data.set(background, i * 4);
+  for (const { x, y, width, height, color = [40, 90, 200, 255] } of rects) {
+    for (let row = y; row < y + height; row += 1) {
+      for (let col = x; col < x + width; col += 1) data.set(color, (row * size + col) * 4);
+    }
+  }
+  return { data, width: size, height: size };
+};
+
+const rules = (metrics) => checkImage(metrics).map((issue) => issue.rule);
+
+test("a centred robot passes and a blank render is an error", () => {
+  const centred = analyzeImage([frame(64, [{ x: 16, y: 16, width: 32, height: 32 }])]);
+  assert.equal(centred.occupancy, 0.25);
+  assert.deepEqual(centred.bbox, { x: 0.25, y: 0.25, width: 0.5, height: 0.5 });
+  assert.deepEqual(centred.clipped, []);
+  assert.deepEqual(rules(centred), []);
+
+  const blank = analyzeImage([frame(64)]);
+  assert.equal(blank.bbox, null);
+  assert.deepEqual(checkImage(blank), [
+    { severity: "error", rule: "blank", message: "Only 0.0% of pixels are drawn." },
+  ]);
+});
+
+test("clipped, tiny and off-centre renders are flagged", () => {
+  assert.deepEqual(rules(analyzeImage([frame(64, [{ x: 20, y: 0, width: 24, height: 40 }])])), ["clipped"]);
+  assert.deepEqual(rules(analyzeImage([frame(64, [{ x: 30, y: 30, width: 6, height: 6 }])])), ["tiny"]);
+  assert.deepEqual(rules(analyzeImage([frame(64, [{ x: 2, y: 2, width: 20, height: 20 }])])), ["off-center"]);
+});
+
+test("opaque renders are measured against the corner colour", () => {
+  const metrics = analyzeImage([frame(64, [{ x: 16, y: 16, width: 32, height: 32 }], [240, 240, 240, 255])]);
+  assert.equal(metrics.occupancy, 0.25);
+  assert.deepEqual(rules(metrics), []);
+});
+
+test("animations count every frame of the orbit", () => {
+  const metrics = analyzeImage([
+    frame(64, [{ x: 16, y: 16, width: 32, height: 32 }]),
+    frame(64, [{ x: 24, y: 16, width: 40, height: 32 }]),
+  ]);
+  assert.equal(metrics.frames, 2);
+  assert.deepEqual(metrics.bbox, { x: 0.25, y: 0.25, width: 0.75, height: 0.5 });
+  assert.deepEqual(metrics.clipped, ["right"]);
+});
+
+test("lookalikes are grouped by hash distance", () => {
+  const cross = [
+    { x: 28, y: 8, width: 8, height: 48 },
+    { x: 8, y: 28, width: 48, height: 8 },
+  ];
+  const a = analyzeImage([frame(64, cross)]).hash;
+  const doubled = cross.map((r) => ({ x: r.x * 2, y: r.y * 2, width: r.width * 2, height: r.height * 2 }));
+  const scaled = analyzeImage([frame(128, doubled)]).hash;
+  const blocks = [
+    { x: 8, y: 8, width: 20, height: 48 },
+    { x: 36, y: 40, width: 20, height: 16 },
+  ];
+  const other = analyzeImage([frame(64, blocks)]).hash;
+  assert.equal(hashDistance(a, scaled), 0);
+  assert.ok(hashDistance(a, other) > 4);
+  assert.deepEqual(
+    groupLookalikes([
+      { key: "a", hash: a },
+      { key: "other", hash: other },
+      { key: "scaled", hash: scaled },
+    ]),
+    [["a", "scaled"]]
+  );
+});
+
+test("preview-qa fails on findings outside the baseline", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "gallery-"));
+  const thumbs = path.join(dir, "docs", "thumbnails", "o", "r");
+  await fs.mkdir(thumbs, { recursive: true });
+  const png = ({ data, width, height }) => sharp(data, { raw: { width, height, channels: 4 } }).png();
+  // Drawn at the tool's default decode size so resampling doesn't blur them.
+  await png(frame(128, [{ x: 32, y: 32, width: 64, height: 64 }])).toFile(path.join(thumbs, "good--1.png"));
+  await png(frame(128)).toFile(path.join(thumbs, "empty--2.png"));
+  const qa = (...extra) =>
+    run(process.execPath, [path.join(REPO_ROOT, "tools", "preview-qa.mjs"), ...extra], { cwd: dir });
+  const reportPath = path.join(dir, "reports", "preview-qa-report.json");
+
+  try {
+    await assert.rejects(qa(), (error) => error.stderr.includes("thumbnails/o/r/empty--2.png [blank]"));
+    const report = JSON.parse(await fs.readFile(reportPath, "utf8"));
+    assert.deepEqual(report.summary, { checked: 2, errors: 1, warnings: 0, failing: 1 });
+    assert.deepEqual(
+      report.images.map(({ fileBase, occupancy }) => [fileBase, occupancy]),
+      [
+        ["empty--2", 0],
+        ["good--1", 0.25],
+      ]
+    );
+
+    await qa("--update-baseline");
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(dir, "docs", "preview-qa-baseline.json"), "utf8")), [
+      { file: "thumbnails/o/r/empty--2.png", rule: "blank" },
+    ]);
+    await qa();
+    const rerun = JSON.parse(await fs.readFile(reportPath, "utf8"));
+    assert.equal(rerun.summary.failing, 0);
+    assert.equal(rerun.images[0].issues[0].baseline, true);
+  } finally {
+    await fs.rm(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,136 @@
+// previews.json upserts and the animated WebP muxer, and generate-previews
+// against tools/fixtures/thumbnails/studio.html. The latter needs a
+// Playwright Chromium build and is skipped without one.
+
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { chromium } from "playwright";
+import { muxAnimatedWebp, previewPaths, upsertPreview } from "../tools/lib/previews.mjs";
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const STUB_PAGE = path.join(REPO_ROOT, "tools", "fixtures", "thumbnails", "studio.html");
+const run = promisify(execFile);
+
+const hasBrowser = await fs.access(chromium.executablePath()).then(
+  () => true,
+  () => false
+);
+
+// A 1x1 lossless WebP (RIFF/WEBP with a single VP8L chunk).
+const PIXEL = Buffer.from("UklGRhoAAABXRUJQVlA4TA0AAAAvAAAAEAcQERGIiP4HAA==", "base64");
+
+const readChunks = (buffer, offset = 12, end = buffer.length) => {
+  const chunks = [];
+  while (offset + 8 <= end) {
+    const size = buffer.readUInt32LE(offset + 4);
+    const id = buffer.toString("ascii", offset, offset + 4);
+    chunks.push({ id, data: buffer.subarray(offset + 8, offset + 8 + size) });
+    offset += 8 + size + (size & 1);
+  }
+  return chunks;
+};
+
+test("upsertPreview replaces or inserts entries in key order", () => {
+  const manifest = {
+    version: 1,
+    generatedAt: "2026-01-01T00:00:00.000Z",
+    previews: [
+      { repoKey: "a/one", fileBase: "x--1", ...previewPaths("a/one", "x--1"), mp4: "previews/a/one/x--1.mp4" },
+      { repoKey: "c/three", fileBase: "z--3", ...previewPaths("c/three", "z--3") },
+    ],
+  };
+
+  const added = { repoKey: "b/two", fileBase: "y--2", ...previewPaths("b/two", "y--2") };
+  const inserted = upsertPreview(manifest, added, "T");
+  assert.deepEqual(
+    inserted.previews.map((item) => item.repoKey),
+    ["a/one", "b/two", "c/three"]
+  );
+  assert.equal(inserted.generatedAt, "T");
+  assert.equal(manifest.previews.length, 2);
+
+  const changed = { repoKey: "a/one", fileBase: "x--1", webp: "previews/a/one/new.webp" };
+  const replaced = upsertPreview(inserted, changed, "T");
+  assert.equal(replaced.previews.length, 3);
+  assert.deepEqual(replaced.previews[0], {
+    repoKey: "a/one",
+    fileBase: "x--1",
+    webm: "previews/a/one/x--1.webm",
+    webp: "previews/a/one/new.webp",
+    png: "thumbnails/a/one/x--1.png",
+    mp4: "previews/a/one/x--1.mp4",
+  });
+});
+
+test("muxAnimatedWebp wraps frames in a looping animation", () => {
+  const webp = muxAnimatedWebp([PIXEL, PIXEL, PIXEL], { width: 1, height: 1, frameDurationMs: 40 });
+  assert.equal(webp.toString("ascii", 0, 4), "RIFF");
+  assert.equal(webp.readUInt32LE(4), webp.length - 8);
+  assert.equal(webp.toString("ascii", 8, 12), "WEBP");
+
+  const chunks = readChunks(webp);
+  assert.deepEqual(
+    chunks.map((item) => item.id),
+    ["VP8X", "ANIM", "ANMF", "ANMF", "ANMF"]
+  );
+  const [vp8x, anim, frame] = chunks;
+  assert.equal(vp8x.data[0], 0x12); // animation + alpha (lossless frames)
+  assert.equal(vp8x.data.readUIntLE(4, 3), 0);
+  assert.equal(anim.data.readUInt16LE(4), 0); // loop forever
+  assert.equal(frame.data.readUIntLE(12, 3), 40);
+  assert.deepEqual(
+    readChunks(frame.data, 16).map((item) => item.id),
+    ["VP8L"]
+  );
+});
+
+test("muxAnimatedWebp rejects frames that are not WebP images", () => {
+  assert.throws(
+    () => muxAnimatedWebp([Buffer.from("not an image at all")], { width: 1, height: 1, frameDurationMs: 40 }),
+    /not a WebP image/
+  );
+});
+
+const browserTest = { skip: !hasBrowser && "no Playwright Chromium build installed" };
+
+test("generate-previews records an orbit and upserts previews.json", browserTest, async () => {
+  const html = await fs.readFile(STUB_PAGE);
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.end(html);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const studioUrl = `http://127.0.0.1:${server.address().port}/studio.html`;
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "gallery-"));
+  await fs.mkdir(path.join(dir, "docs"));
+  await fs.copyFile(path.join(REPO_ROOT, "tools", "fixtures", "robots.json"), path.join(dir, "docs", "robots.json"));
+  const generate = (...extra) =>
+    run(
+      process.execPath,
+      [path.join(REPO_ROOT, "tools", "generate-previews.mjs"), "--studio-url", studioUrl, "--frames", "6", ...extra],
+      { cwd: dir }
+    );
+
+  try {
+    await generate("--only", "example-lab/rover::rover--1vnetii");
+    const manifest = JSON.parse(await fs.readFile(path.join(dir, "docs", "previews.json"), "utf8"));
+    const files = previewPaths("example-lab/rover", "rover--1vnetii");
+    assert.deepEqual(manifest.previews, [{ repoKey: "example-lab/rover", fileBase: "rover--1vnetii", ...files }]);
+    const webp = await fs.readFile(path.join(dir, "docs", files.webp));
+    assert.equal(readChunks(webp).filter((item) => item.id === "ANMF").length, 6);
+    const webm = await fs.readFile(path.join(dir, "docs", files.webm));
+    assert.equal(webm.readUInt32BE(0), 0x1a45dfa3); // EBML header
+    await fs.access(path.join(dir, "docs", files.png));
+  } finally {
+    server.close();
+    await fs.rm(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,236 @@
+// Runs refresh-robots and backfill-urdf-paths end to end against the
+// recorded GitHub responses in tools/fixtures/github (replay mode), in a
+// scratch copy of docs/.
+
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { toPreviewBase } from "../tools/lib/gallery.mjs";
+import { createGithubClient, fixturePath } from "../tools/lib/github.mjs";
+import { createWalkBudget, walkTree } from "../tools/lib/tree-walk.mjs";
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const FIXTURES = path.join(REPO_ROOT, "tools", "fixtures", "github");
+const run = promisify(execFile);
+
+const RETIRED = {
+  repo: "https://github.com/example-lab/retired",
+  repoKey: "example-lab/retired",
+  robots: [{ name: "old", file: "old.urdf", fileBase: "old--1" }],
+};
+
+// Its recursive listing is truncated, so refresh has to walk it.
+const MONOREPO = {
+  repo: "https://github.com/example-lab/monorepo",
+  repoKey: "example-lab/monorepo",
+  path: "robots/dog_description",
+  robots: [{ name: "dog", file: "dog.urdf", fileBase: toPreviewBase("robots/dog_description/urdf/dog.urdf") }],
+  updatedAt: "2026-01-01T00:00:00.000Z",
+};
+
+const setup = async (robots) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "gallery-"));
+  await fs.mkdir(path.join(dir, "docs"));
+  await fs.writeFile(path.join(dir, "docs", "robots.json"), JSON.stringify(robots, null, 2));
+  return dir;
+};
+
+const runTool = (dir, tool, ...args) =>
+  run(process.execPath, [path.join(REPO_ROOT, "tools", tool), "--fixtures", FIXTURES, "--concurrency", "1", ...args], {
+    cwd: dir,
+  });
+
+const readJson = async (filePath) => JSON.parse(await fs.readFile(filePath, "utf8"));
+
+test("fixture paths mirror the API path and keep the query", () => {
+  assert.equal(
+    fixturePath("/f", "https://api.github.com/repos/o/r/git/trees/feature%2Fx?recursive=1"),
+    path.join("/f", "repos", "o", "r", "git", "trees", "feature%2Fx@recursive=1.json")
+  );
+});
+
+test("replay fails loudly for unrecorded requests", async () => {
+  const github = createGithubClient({ fixtures: FIXTURES });
+  assert.equal(github.mode, "replay");
+  await assert.rejects(github.fetch("https://api.github.com/repos/example-lab/unknown"), /re-run with --record/);
+  await assert.rejects(github.fetch("https://api.github.com/repos/example-lab/retired"), (error) => {
+    assert.equal(error.statusCode, 404);
+    return true;
+  });
+});
+
+test("refresh-robots replays the fixture repos", async () => {
+  const catalog = await readJson(path.join(REPO_ROOT, "tools", "fixtures", "robots.json"));
+  const dir = await setup([...catalog, RETIRED]);
+  await runTool(dir, "refresh-robots.mjs", "--write");
+
+  const report = await readJson(path.join(dir, "docs", "refresh-report.json"));
+  assert.deepEqual(report.updatedRepos, catalog.map((entry) => entry.repoKey));
+  assert.deepEqual(report.missingFiles.map((item) => item.repoKey), ["example-lab/retired"]);
+  assert.deepEqual(report.removedRepos, []);
+  assert.deepEqual(
+    report.classified.map(({ fileBase, kind, reason }) => [fileBase, kind, reason]),
+    [["common_materials--13frhqd", "fragment", "only materials"]]
+  );
+
+  // Fixture entries are already up to date apart from the new pins.
+  const refreshed = await readJson(path.join(dir, "docs", "robots.json"));
+  assert.deepEqual(
+    refreshed.map((entry) => entry.robots.map(({ blobSha, ...robot }) => robot)),
+    [...catalog, RETIRED].map((entry) => entry.robots)
+  );
+  const rover = refreshed.find((entry) => entry.repoKey === "example-lab/rover");
+  assert.deepEqual(rover.revision, {
+    branch: "main",
+    commit: "96445f3c2d5bf4fdb89cad0bb4f5ff0840a964ec",
+    tree: "aa49604e9d00be66156185aeb1de68626d1cc237",
+  });
+  assert.equal(rover.robots[0].blobSha, "56813f3c1e8b84d367bb1a75470570c88240159d");
+  assert.equal(refreshed.at(-1).revision, undefined);
+  for (const entry of refreshed.slice(0, -1)) {
+    for (const robot of entry.robots) assert.match(robot.blobSha, /^[0-9a-f]{40}$/, robot.fileBase);
+  }
+  const generated = await fs.readFile(
+    path.join(dir, "docs", "generated", "example-lab", "gripper", "gripper--pl99w7.urdf"),
+    "utf8"
+  );
+  assert.match(generated, /<robot name="gripper"/);
+  await fs.rm(dir, { recursive: true });
+});
+
+test("refresh-robots --drift queues robots whose blob changed since the pin", async () => {
+  const catalog = await readJson(path.join(REPO_ROOT, "tools", "fixtures", "robots.json"));
+  const dir = await setup(catalog);
+  await runTool(dir, "refresh-robots.mjs", "--write");
+  await fs.rm(path.join(dir, "docs", "refresh-report.json"));
+
+  const pinned = await readJson(path.join(dir, "docs", "robots.json"));
+  const stale = "0".repeat(40);
+  for (const entry of pinned) {
+    for (const robot of entry.robots) {
+      if (["rover--1vnetii", "gripper--pl99w7"].includes(robot.fileBase)) robot.blobSha = stale;
+      if (robot.fileBase === "desk_arm--md2a9p") delete robot.blobSha;
+    }
+  }
+  await fs.writeFile(path.join(dir, "docs", "robots.json"), JSON.stringify(pinned, null, 2));
+  await fs.writeFile(path.join(dir, "docs", "backfill-preview-keys.txt"), "example-lab/hopper::hopper--kszm62");
+  await runTool(dir, "refresh-robots.mjs", "--drift", "--write");
+
+  const report = await readJson(path.join(dir, "docs", "refresh-report.json"));
+  assert.deepEqual(
+    report.drift.map((item) => [item.fileBase, item.status]),
+    [
+      ["desk_arm--md2a9p", "unpinned"],
+      ["rover--1vnetii", "changed"],
+      ["gripper--pl99w7", "changed"],
+    ]
+  );
+  const rover = report.drift.find((item) => item.fileBase === "rover--1vnetii");
+  assert.equal(rover.file, "description/rover.urdf");
+  assert.equal(rover.to, "96445f3c2d5bf4fdb89cad0bb4f5ff0840a964ec");
+
+  // Drift mode only queues previews; robots.json keeps its pins.
+  assert.deepEqual(await readJson(path.join(dir, "docs", "robots.json")), pinned);
+  const keys = await fs.readFile(path.join(dir, "docs", "backfill-preview-keys.txt"), "utf8");
+  assert.equal(
+    keys,
+    "example-lab/gripper::gripper--pl99w7,example-lab/hopper::hopper--kszm62,example-lab/rover::rover--1vnetii"
+  );
+  await fs.rm(dir, { recursive: true });
+});
+
+test("refresh-robots walks truncated trees within budget and resumes", async () => {
+  const dir = await setup([MONOREPO]);
+  const statePath = path.join(dir, "reports", "tree-walk-state.json");
+  await runTool(dir, "refresh-robots.mjs", "--write", "--skip-meshes", "--tree-budget", "5");
+
+  // The entry's path is walked first; the rest waits for the next run.
+  let report = await readJson(path.join(dir, "docs", "refresh-report.json"));
+  assert.deepEqual(report.truncated, [{ repoKey: MONOREPO.repoKey, complete: false, requests: 5, pending: 3 }]);
+  assert.deepEqual(await readJson(path.join(dir, "docs", "robots.json")), [MONOREPO]);
+  const state = await readJson(statePath);
+  assert.ok(state[MONOREPO.repoKey].blobs.some((blob) => blob.path === "robots/dog_description/urdf/dog.urdf"));
+
+  await runTool(dir, "refresh-robots.mjs", "--write", "--skip-meshes");
+  report = await readJson(path.join(dir, "docs", "refresh-report.json"));
+  assert.deepEqual(report.truncated, [{ repoKey: MONOREPO.repoKey, complete: true, requests: 5, pending: 0 }]);
+  const [entry] = await readJson(path.join(dir, "docs", "robots.json"));
+  assert.deepEqual(
+    entry.robots.map((robot) => robot.fileBase),
+    [MONOREPO.robots[0].fileBase, toPreviewBase("robots/arm_description/urdf/arm.urdf")]
+  );
+  await assert.rejects(fs.access(statePath));
+  await fs.rm(dir, { recursive: true });
+});
+
+test("a failed tree request keeps the walk's progress for the next run", async () => {
+  const trees = {
+    root: [
+      { path: "a", type: "tree", sha: "a" },
+      { path: "b", type: "tree", sha: "b" },
+    ],
+    a: [{ path: "a.urdf", type: "blob", sha: "1" }],
+    b: [{ path: "b.urdf", type: "blob", sha: "2" }],
+  };
+  let failing = "b";
+  const fetchTree = async (sha) => {
+    if (sha === failing) throw new Error(`GitHub API 502 for ${sha}`);
+    return { tree: trees[sha] };
+  };
+
+  const first = await walkTree({ root: "root", fetchTree, budget: createWalkBudget(10) });
+  assert.equal(first.complete, false);
+  assert.equal(first.error, "GitHub API 502 for b");
+  assert.deepEqual(first.state.pending, [{ path: "b", sha: "b" }]);
+
+  failing = "";
+  const second = await walkTree({ root: "root", fetchTree, budget: createWalkBudget(10), state: first.state });
+  assert.equal(second.complete, true);
+  assert.equal(second.requests, 1);
+  assert.deepEqual(
+    second.blobs.map((blob) => blob.path),
+    ["a/a.urdf", "b/b.urdf"]
+  );
+});
+
+test("backfill-urdf-paths keys filename-only robots by their tree path", async () => {
+  const catalog = await readJson(path.join(REPO_ROOT, "tools", "fixtures", "robots.json"));
+  const deskArm = catalog.find((entry) => entry.repoKey === "example-lab/desk-arm");
+  const dir = await setup([
+    { ...deskArm, robots: ["desk_arm.urdf", { name: "Materials", file: "common_materials.urdf" }, "desk_arm.urdf"] },
+  ]);
+  await runTool(dir, "backfill-urdf-paths.mjs", "--write");
+
+  const [entry] = await readJson(path.join(dir, "docs", "robots.json"));
+  assert.deepEqual(entry.robots, [
+    { name: "desk_arm", file: "desk_arm.urdf", fileBase: "desk_arm--md2a9p", path: "urdf/desk_arm.urdf" },
+    {
+      name: "Materials",
+      file: "common_materials.urdf",
+      fileBase: "common_materials--13frhqd",
+      path: "urdf/common_materials.urdf",
+    },
+  ]);
+  const report = await readJson(path.join(dir, "docs", "backfill-report.json"));
+  assert.deepEqual(report.duplicates, [{ repoKey: "example-lab/desk-arm", path: "urdf/desk_arm.urdf" }]);
+  const keys = await fs.readFile(path.join(dir, "docs", "backfill-preview-keys.txt"), "utf8");
+  assert.equal(keys, "example-lab/desk-arm::common_materials--13frhqd,example-lab/desk-arm::desk_arm--md2a9p");
+  await fs.rm(dir, { recursive: true });
+});
+
+test("backfill-urdf-paths adds paths to keyed robots without queuing previews", async () => {
+  const catalog = await readJson(path.join(REPO_ROOT, "tools", "fixtures", "robots.json"));
+  const legacy = catalog.map((entry) => ({ ...entry, robots: entry.robots.map(({ path, ...robot }) => robot) }));
+  const dir = await setup(legacy);
+  await runTool(dir, "backfill-urdf-paths.mjs", "--write");
+
+  assert.deepEqual(await readJson(path.join(dir, "docs", "robots.json")), catalog);
+  const keys = await fs.readFile(path.join(dir, "docs", "backfill-preview-keys.txt"), "utf8");
+  assert.equal(keys, "");
+  await fs.rm(dir, { recursive: true });
+});
@@ -0,0 +1,151 @@
+// The render-thumbnails task pool with stub workers, and the tool itself
+// against tools/fixtures/thumbnails/studio.html. The latter needs a
+// Playwright Chromium build and is skipped without one.
+
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { chromium } from "playwright";
+import { runThumbnailPool, thumbnailUrl } from "../tools/lib/thumbnails.mjs";
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const STUB_PAGE = path.join(REPO_ROOT, "tools", "fixtures", "thumbnails", "studio.html");
+const run = promisify(execFile);
+
+const hasBrowser = await fs.access(chromium.executablePath()).then(
+  () => true,
+  () => false
+);
+
+const task = (name) => ({
+  repoUrl: `https://github.com/o/${name}`,
+  repoKey: `o/${name}`,
+  baseName: name,
+  fileTarget: name,
+});
+
+test("thumbnail URLs carry the repo and the file path", () => {
+  assert.equal(
+    thumbnailUrl("http://localhost:5173/", { repoUrl: "https://github.com/o/r", fileTarget: "urdf/a b.urdf" }),
+    "http://localhost:5173/?thumbnail=1&github=https%3A%2F%2Fgithub.com%2Fo%2Fr&urdf=urdf%2Fa%20b.urdf"
+  );
+});
+
+test("the pool retries on a fresh worker and reports what still fails", async () => {
+  const calls = new Map();
+  let opened = 0;
+  let closed = 0;
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const results = await runThumbnailPool({
+    tasks: ["a", "flaky", "broken", "b", "c"].map(task),
+    concurrency: 2,
+    retries: 2,
+    openWorker: async () => {
+      opened += 1;
+      return {
+        render: async ({ baseName }) => {
+          calls.set(baseName, (calls.get(baseName) || 0) + 1);
+          inFlight += 1;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          inFlight -= 1;
+          if (baseName === "broken") throw new Error("no robot");
+          if (baseName === "flaky" && calls.get(baseName) === 1) throw new Error("timeout");
+        },
+        close: async () => {
+          closed += 1;
+        },
+      };
+    },
+  });
+
+  assert.deepEqual(
+    results.map(({ task: { baseName }, status, attempts }) => [baseName, status, attempts]),
+    [
+      ["a", "done", 1],
+      ["flaky", "done", 2],
+      ["broken", "failed", 3],
+      ["b", "done", 1],
+      ["c", "done", 1],
+    ]
+  );
+  assert.equal(results[2].error, "no robot");
+  assert.ok(results.every((result) => result.durationMs >= 0));
+  assert.equal(maxInFlight, 2);
+  // Failed attempts close their page, so more than the two initial workers opened.
+  assert.ok(opened > 2);
+  assert.equal(closed, opened);
+});
+
+test("--resume without a previous report says where it looked", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "gallery-"));
+  try {
+    await fs.mkdir(path.join(dir, "docs"));
+    await fs.writeFile(path.join(dir, "docs", "robots.json"), "[]");
+    await assert.rejects(
+      run(process.execPath, [path.join(REPO_ROOT, "tools", "render-thumbnails.mjs"), "--resume"], { cwd: dir }),
+      (error) => /--resume: no previous report at \S+reports[\\/]thumbnail-report\.json/.test(error.stderr)
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true });
+  }
+});
+
+const browserTest = { skip: !hasBrowser && "no Playwright Chromium build installed" };
+
+test("render-thumbnails renders against a stub Studio page and resumes failures", browserTest, async () => {
+  const html = await fs.readFile(STUB_PAGE);
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "text/html" });
+    res.end(html);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const studioUrl = `http://127.0.0.1:${server.address().port}/studio.html`;
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "gallery-"));
+  await fs.mkdir(path.join(dir, "docs"));
+  const catalog = JSON.parse(await fs.readFile(path.join(REPO_ROOT, "tools", "fixtures", "robots.json"), "utf8"));
+  const broken = {
+    repo: "https://github.com/example-lab/broken",
+    repoKey: "example-lab/broken",
+    robots: [{ name: "broken", file: "broken.urdf", fileBase: "broken--1", path: "broken.urdf" }],
+  };
+  await fs.writeFile(path.join(dir, "docs", "robots.json"), JSON.stringify([...catalog, broken]));
+  const reportPath = path.join(dir, "reports", "thumbnail-report.json");
+  const renderTool = (...extra) =>
+    run(
+      process.execPath,
+      [path.join(REPO_ROOT, "tools", "render-thumbnails.mjs"), "--studio-url", studioUrl, "--retries", "1", ...extra],
+      { cwd: dir }
+    );
+
+  try {
+    await assert.rejects(renderTool("--concurrency", "3", "--retry-delay-ms", "1"));
+    let report = JSON.parse(await fs.readFile(reportPath, "utf8"));
+    const robots = catalog.flatMap((entry) => entry.robots);
+    assert.equal(report.done.length, robots.filter((robot) => robot.kind !== "fragment").length);
+    assert.deepEqual(report.skipped, [
+      { repoKey: "example-lab/desk-arm", fileBase: "common_materials--13frhqd", reason: "fragment" },
+    ]);
+    assert.deepEqual(
+      report.failed.map(({ fileBase, attempts, error }) => [fileBase, attempts, error]),
+      [["broken--1", 2, "stub: cannot load broken.urdf"]]
+    );
+    await fs.access(path.join(dir, "docs", "thumbnails", "example-lab", "rover", "rover--1vnetii.png"));
+
+    // Existing thumbnails are skipped; --resume only retries the failure.
+    await assert.rejects(renderTool("--resume", "--retry-delay-ms", "1"));
+    report = JSON.parse(await fs.readFile(reportPath, "utf8"));
+    assert.deepEqual([report.done.length, report.skipped.length, report.failed.length], [0, 1, 1]);
+  } finally {
+    server.close();
+    await fs.rm(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,186 @@
+// The XML reader, URDF stats and each lint rule, on the fixture robots and
+// small inline URDFs.
+
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { computeStats, lintUrdf, parseUrdf } from "../tools/lib/urdf.mjs";
+import { childElements, parseXml, serializeXml, textContent } from "../tools/lib/xml.mjs";
+
+const FIXTURES = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "tools", "fixtures", "urdf");
+
+const readFixture = (...parts) => fs.readFile(path.join(FIXTURES, ...parts), "utf8");
+
+const inertial = (mass = 1, terms = 'ixx="1" ixy="0" ixz="0" iyy="1" iyz="0" izz="1"') =>
+  `<inertial><mass value="${mass}"/><inertia ${terms}/></inertial>`;
+
+const link = (name, body = inertial()) => `<link name="${name}">${body}</link>`;
+
+const joint = (name, parent, child, type = "fixed", body = "") =>
+  `<joint name="${name}" type="${type}"><parent link="${parent}"/><child link="${child}"/>${body}</joint>`;
+
+const robot = (...parts) => `<robot name="test">${parts.join("\n")}</robot>`;
+
+const rules = (source) => lintUrdf(parseUrdf(source)).map((issue) => `${issue.severity}:${issue.rule}`);
+
+test("parseXml keeps elements, text, entities and line numbers", () => {
+  const root = parseXml('<?xml version="1.0"?>\n<!-- note -->\n<a x="1 &amp; 2">\n  <b>t&lt;u</b>\n  <c/>\n</a>');
+  assert.equal(root.name, "a");
+  assert.equal(root.attributes.x, "1 & 2");
+  assert.deepEqual(
+    childElements(root).map((element) => [element.name, element.line]),
+    [
+      ["b", 4],
+      ["c", 5],
+    ]
+  );
+  assert.equal(textContent(childElements(root, "b")[0]), "t<u");
+  assert.equal(serializeXml(parseXml(serializeXml(root))), serializeXml(root));
+});
+
+test("parseXml reports malformed input with its line", () => {
+  assert.throws(() => parseXml("<a>\n<b x=1/>\n</a>"), { message: /line 2\): attribute "x" in <b> is not quoted/ });
+  assert.throws(() => parseXml("<a>\n<b>\n</a>"), (error) => error.line === 3);
+});
+
+test("parseUrdf reads links, joints, limits and mimics", async () => {
+  const model = parseUrdf(await readFixture("example-lab", "desk-arm", "urdf", "desk_arm.urdf"));
+  assert.equal(model.name, "desk_arm");
+  assert.equal(model.links.length, 7);
+  assert.deepEqual(model.links[0].inertial, {
+    mass: 1.2,
+    inertia: { ixx: 0.004, ixy: 0, ixz: 0, iyy: 0.004, iyz: 0, izz: 0.006 },
+  });
+  assert.deepEqual(
+    model.links[0].meshes.map((mesh) => [mesh.kind, mesh.filename]),
+    [["visual", "package://desk_arm/meshes/base.stl"]]
+  );
+  const mirror = model.joints.find((item) => item.name === "gripper_mirror");
+  assert.equal(mirror.mimic, "gripper");
+  assert.deepEqual(mirror.limit, { lower: 0, upper: 0.02, effort: 2, velocity: 0.1 });
+  assert.deepEqual(model.elementCounts, { material: 1, link: 7, joint: 6 });
+  assert.throws(() => parseUrdf("<sdf/>"), /Expected <robot> root element, found <sdf>/);
+});
+
+test("stats leave mimic joints out of the DOF and sensor frames out of the end effectors", async () => {
+  const arm = computeStats(parseUrdf(await readFixture("example-lab", "desk-arm", "urdf", "desk_arm.urdf")));
+  assert.deepEqual(arm, {
+    links: 7,
+    joints: { revolute: 2, continuous: 1, prismatic: 2, fixed: 1, floating: 0, planar: 0 },
+    dof: 4,
+    mass: 2.14,
+    depth: 4,
+    endEffectors: ["finger_left", "finger_right"],
+  });
+
+  const rover = computeStats(parseUrdf(await readFixture("example-lab", "rover", "description", "rover.urdf")));
+  assert.equal(rover.dof, 4);
+  assert.equal(rover.depth, 2);
+  assert.deepEqual(rover.endEffectors, ["wheel_fl", "wheel_fr", "wheel_rl", "wheel_rr"]);
+
+  const model = parseUrdf(robot(link("a"), link("b"), joint("j", "a", "b", "revolute")));
+  model.links.push({ name: "frame", virtual: true, inertial: null, meshes: [] });
+  assert.equal(computeStats(model).links, 2);
+});
+
+test("well-formed fixtures lint clean apart from missing inertials", async () => {
+  assert.deepEqual(rules(await readFixture("example-lab", "desk-arm", "urdf", "desk_arm.urdf")), []);
+  const rover = lintUrdf(parseUrdf(await readFixture("example-lab", "rover", "description", "rover.urdf")));
+  assert.deepEqual(
+    rover.map((issue) => [issue.severity, issue.rule, issue.link]),
+    [
+      ["warning", "missing-inertial", "base_footprint"],
+      ["warning", "missing-inertial", "imu_link"],
+    ]
+  );
+});
+
+test("lint reports each structural rule", () => {
+  assert.deepEqual(rules(robot()), ["error:no-links"]);
+  assert.deepEqual(rules(robot(link("a"), link("a"))), ["error:duplicate-link"]);
+  assert.deepEqual(rules(robot(link("a"), link(""))), ["error:unnamed-link", "error:multiple-roots"]);
+  assert.deepEqual(rules(robot(link("a"), link("b"), joint("j", "a", "b"), joint("j", "a", "b"))), [
+    "error:duplicate-joint",
+    "error:multiple-parents",
+  ]);
+  assert.deepEqual(rules(robot(link("a"), joint("j", "a", "ghost"))), ["error:missing-link"]);
+  assert.deepEqual(rules(robot(link("a"), link("b"))), ["error:multiple-roots"]);
+  assert.deepEqual(
+    lintUrdf(parseUrdf(robot(link("a"), link("b"), link("c"), joint("j1", "a", "b"), joint("j2", "a", "c")))),
+    []
+  );
+});
+
+test("lint reports cycles, multiple parents and rootless models", () => {
+  const cycle = lintUrdf(
+    parseUrdf(
+      robot(
+        link("base"),
+        link("a"),
+        link("b"),
+        joint("j0", "base", "a"),
+        joint("j1", "a", "b"),
+        joint("j2", "b", "a")
+      )
+    )
+  );
+  assert.deepEqual(
+    cycle.map((issue) => issue.rule),
+    ["multiple-parents", "cycle"]
+  );
+  assert.equal(cycle[0].link, "a");
+  assert.deepEqual(cycle[1].links, ["a", "b", "a"]);
+
+  assert.deepEqual(rules(robot(link("a"), joint("self", "a", "a"))), ["error:cycle", "error:no-root"]);
+  assert.deepEqual(rules(robot(link("a"), link("b"), joint("j1", "a", "b"), joint("j2", "b", "a"))), [
+    "error:no-root",
+    "error:cycle",
+  ]);
+});
+
+test("lint checks joint limits", () => {
+  const limit = (lower, upper) => `<limit lower="${lower}" upper="${upper}" effort="1" velocity="1"/>`;
+  const issues = lintUrdf(
+    parseUrdf(
+      robot(
+        link("base"),
+        link("a"),
+        link("b"),
+        link("c"),
+        link("d"),
+        joint("spin", "base", "a", "revolute"),
+        joint("slide", "base", "b", "prismatic"),
+        joint("wheel", "base", "c", "continuous"),
+        joint("bent", "base", "d", "revolute", limit(1, -1))
+      )
+    )
+  );
+  assert.deepEqual(
+    issues.map((issue) => [issue.rule, issue.joint]),
+    [
+      ["missing-limit", "spin"],
+      ["missing-limit", "slide"],
+      ["limit-range", "bent"],
+    ]
+  );
+  assert.ok(issues.every((issue) => issue.severity === "error" && issue.line > 0));
+});
+
+test("lint grades inertials by severity", () => {
+  const check = (body) => rules(robot(link("a", body)));
+  assert.deepEqual(check(""), ["warning:missing-inertial"]);
+  assert.deepEqual(check(inertial(0)), ["warning:zero-mass"]);
+  assert.deepEqual(check(inertial(-1)), ["error:negative-mass"]);
+  assert.deepEqual(check(inertial("heavy")), ["error:invalid-mass"]);
+  assert.deepEqual(check('<inertial><mass value="1"/></inertial>'), ["error:missing-inertia"]);
+  assert.deepEqual(check(inertial(1, 'ixx="1" ixy="0" ixz="0" iyy="x" iyz="0"')), ["error:invalid-inertia"]);
+  assert.deepEqual(check(inertial(1, 'ixx="-1" ixy="0" ixz="0" iyy="1" iyz="0" izz="-2"')), [
+    "error:negative-inertia",
+  ]);
+  const [negative] = lintUrdf(
+    parseUrdf(robot(link("a", inertial(1, 'ixx="-1" ixy="0" ixz="0" iyy="1" iyz="0" izz="-2"'))))
+  );
+  assert.equal(negative.message, 'Link "a" has negative ixx, izz.');
+});
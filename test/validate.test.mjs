@@ -0,0 +1,231 @@
+// Link normalizers, the shared validation checks and validate-all run
+// against a scratch gallery built from the fixture catalog.
+
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import Ajv from "ajv/dist/2020.js";
+import {
+  normalizeGithubUrl,
+  normalizeHfDataset,
+  normalizeLinkedinUrl,
+  normalizeRepoUrl,
+  normalizeUrl,
+  normalizeXUrl,
+} from "../tools/lib/links.mjs";
+import { ROBOTS_FILE, checkConsistency, checkPreviews, schemaIssues } from "../tools/lib/validate.mjs";
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const run = promisify(execFile);
+
+const readJson = async (filePath) => JSON.parse(await fs.readFile(filePath, "utf8"));
+
+test("links are normalized to their canonical form", () => {
+  assert.equal(normalizeXUrl("@robot_lab"), "https://x.com/robot_lab");
+  assert.equal(normalizeXUrl("https://twitter.com/robot_lab/status/1"), "https://x.com/robot_lab");
+  assert.equal(normalizeXUrl("https://example.com/robot_lab"), "");
+  assert.equal(normalizeGithubUrl("github.com/Example-Lab"), "https://github.com/Example-Lab");
+  assert.equal(normalizeGithubUrl("not a login"), "");
+  assert.equal(
+    normalizeLinkedinUrl("http://uk.linkedin.com/company/robot-lab?trk=x"),
+    "https://www.linkedin.com/company/robot-lab/"
+  );
+  assert.equal(normalizeRepoUrl("github.com/Example-Lab/arm.git"), "https://github.com/Example-Lab/arm");
+  assert.equal(normalizeHfDataset("https://huggingface.co/datasets/lab/grasps/tree/main"), "lab/grasps");
+  assert.equal(normalizeHfDataset("https://huggingface.co/lab/model"), "");
+  assert.equal(normalizeUrl("http://example.com/demo"), "https://example.com/demo");
+  assert.equal(normalizeUrl("ftp://example.com"), "");
+});
+
+test("schema pattern errors on links name the canonical value", async () => {
+  const catalog = await readJson(path.join(REPO_ROOT, "tools", "fixtures", "robots.json"));
+  catalog[0].authorX = "@robot_lab";
+  catalog[0].hfDatasets = ["lab/grasps", "grasps"];
+  catalog[1].demo = "not a url";
+  const validate = new Ajv({ allErrors: true }).compile(
+    await readJson(path.join(REPO_ROOT, "docs", "robots.schema.json"))
+  );
+  assert.equal(validate(catalog), false);
+  assert.deepEqual(
+    schemaIssues(validate.errors, catalog, ROBOTS_FILE).map(({ rule, message, expected }) => [rule, message, expected]),
+    [
+      ["link", '/0/hfDatasets/1 "grasps" is not a Hugging Face dataset id (<org>/<name>).', undefined],
+      ["link", '/0/authorX "@robot_lab" should be "https://x.com/robot_lab".', "https://x.com/robot_lab"],
+      ["link", '/1/demo "not a url" is not an https:// URL.', undefined],
+    ]
+  );
+});
+
+test("previews, manifests and robots.meta.json are checked against robots.json", async () => {
+  const robots = await readJson(path.join(REPO_ROOT, "tools", "fixtures", "robots.json"));
+  const previews = {
+    version: 1,
+    previews: [
+      {
+        repoKey: "example-lab/rover",
+        fileBase: "rover--1vnetii",
+        png: "thumbnails/example-lab/rover/rover--1vnetii.png",
+        webp: "previews/example-lab/rover/rover--1vnetii.webp",
+      },
+      { repoKey: "example-lab/rover", fileBase: "gone--1", png: "thumbnails/example-lab/rover/gone--2.png" },
+    ],
+  };
+  assert.deepEqual(
+    checkPreviews(previews, { robots }).map(({ rule, fileBase }) => [rule, fileBase]),
+    [
+      ["unknown-robot", "gone--1"],
+      ["preview-path", "gone--1"],
+    ]
+  );
+
+  const issues = checkConsistency({
+    robots,
+    meta: { version: 1, count: 4 },
+    previews,
+    assets: new Set(["thumbnails/example-lab/rover/rover--1vnetii.png", "previews/example-lab/rover/old--1.webm"]),
+    manifests: [
+      {
+        file: "docs/manifests/example-lab/rover/rover--1vnetii.json",
+        manifest: { repoKey: "example-lab/rover", fileBase: "rover--1vnetii", filePath: "rover.urdf" },
+      },
+      { file: "docs/manifests/example-lab/rover/gone--1.json", manifest: {} },
+    ],
+  });
+  assert.deepEqual(
+    issues.map(({ severity, file, rule }) => [severity, file, rule]),
+    [
+      ["error", "docs/robots.meta.json", "meta-count"],
+      ["error", "docs/previews.json", "missing-file"],
+      ["error", "docs/previews.json", "missing-file"],
+      ["warning", "docs/previews/example-lab/rover/old--1.webm", "orphan-file"],
+      ["warning", "docs/manifests/example-lab/rover/rover--1vnetii.json", "manifest-stale"],
+      ["error", "docs/manifests/example-lab/rover/gone--1.json", "unknown-robot"],
+    ]
+  );
+  assert.equal(issues[0].expected, robots.length);
+});
+
+test("validate-all writes one report for the whole gallery", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "gallery-validate-"));
+  const docs = path.join(dir, "docs");
+  const validateAll = () =>
+    run(
+      process.execPath,
+      [path.join(REPO_ROOT, "tools", "validate-all.mjs"), "--gallery", dir, "--report", "report.json"],
+      { cwd: dir }
+    );
+  try {
+    await fs.mkdir(path.join(docs, "thumbnails", "example-lab", "rover"), { recursive: true });
+    for (const file of ["robots.schema.json", "previews.schema.json", "tags.json"]) {
+      await fs.copyFile(path.join(REPO_ROOT, "docs", file), path.join(docs, file));
+    }
+    const robots = await readJson(path.join(REPO_ROOT, "tools", "fixtures", "robots.json"));
+    await fs.writeFile(path.join(docs, "robots.json"), JSON.stringify(robots, null, 2));
+    await fs.writeFile(path.join(docs, "robots.meta.json"), JSON.stringify({ version: 1, count: robots.length }));
+    await fs.writeFile(path.join(docs, "thumbnails", "example-lab", "rover", "rover--1vnetii.png"), "");
+    await fs.writeFile(
+      path.join(docs, "previews.json"),
+      JSON.stringify({
+        version: 1,
+        generatedAt: "2026-01-01T00:00:00.000Z",
+        previews: [
+          {
+            repoKey: "example-lab/rover",
+            fileBase: "rover--1vnetii",
+            png: "thumbnails/example-lab/rover/rover--1vnetii.png",
+          },
+        ],
+      })
+    );
+    const { stdout } = await validateAll();
+    assert.match(stdout, /OK: 0 errors, 0 warnings/);
+
+    robots[0].authorGithub = "example-lab";
+    await fs.writeFile(path.join(docs, "robots.json"), JSON.stringify(robots, null, 2));
+    await assert.rejects(validateAll(), /\[link\] \/0\/authorGithub "example-lab" should be "https:\/\/github\.com\//);
+    const report = await readJson(path.join(dir, "report.json"));
+    assert.equal(report.ok, false);
+    assert.deepEqual(report.summary, { errors: 1, warnings: 0 });
+    assert.deepEqual(report.issues[0], {
+      severity: "error",
+      file: "docs/robots.json",
+      rule: "link",
+      message: '/0/authorGithub "example-lab" should be "https://github.com/example-lab".',
+      repoKey: "example-lab/desk-arm",
+      field: "authorGithub",
+      pointer: "/0/authorGithub",
+      expected: "https://github.com/example-lab",
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true });
+  }
+});
+
+test("--fix applies deterministic corrections and fails only on what's left", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "gallery-fix-"));
+  const docs = path.join(dir, "docs");
+  const tool = (name) => run(process.execPath, [path.join(REPO_ROOT, "tools", name), "--fix"], { cwd: dir });
+  try {
+    await fs.mkdir(path.join(docs, "thumbnails", "example-lab", "rover"), { recursive: true });
+    for (const file of ["robots.schema.json", "previews.schema.json", "tags.json"]) {
+      await fs.copyFile(path.join(REPO_ROOT, "docs", file), path.join(docs, file));
+    }
+    const robots = await readJson(path.join(REPO_ROOT, "tools", "fixtures", "robots.json"));
+    Object.assign(robots[0], { repoKey: "Example-Lab/Desk-Arm", tags: ["arms", "Gripper"], authorX: "@desk_lab" });
+    delete robots[1].robots[0].fileBase;
+    robots[1].hfDatasets = ["https://huggingface.co/datasets/lab/rover-runs"];
+    robots[2].tags = ["Nonsense"];
+    // Nothing to hash a fileBase from.
+    delete robots[3].robots[0].fileBase;
+    delete robots[3].robots[0].path;
+    await fs.writeFile(path.join(docs, "robots.json"), JSON.stringify(robots, null, 2));
+    await fs.writeFile(path.join(docs, "robots.meta.json"), JSON.stringify({ version: 1, count: 1 }));
+    await fs.writeFile(path.join(docs, "thumbnails", "example-lab", "rover", "rover.png"), "png");
+    await fs.writeFile(
+      path.join(docs, "previews.json"),
+      JSON.stringify({
+        version: 1,
+        generatedAt: "2026-01-01T00:00:00.000Z",
+        previews: [
+          {
+            repoKey: "Example-Lab/Rover",
+            fileBase: "rover--1vnetii",
+            png: "thumbnails/example-lab/rover/rover.png",
+          },
+        ],
+      })
+    );
+
+    const failed = await tool("validate-robots.mjs").catch((error) => error);
+    assert.equal(failed.code, 1);
+    assert.match(failed.stdout, /Fixed docs\/robots.json \/0\/tags \[tag\]: \["arms","Gripper"\] -> \["Arm","Gripper"\]/);
+    assert.match(failed.stdout, /6 fixes applied/);
+    assert.match(failed.stderr, /invalid tag\(s\): Nonsense\./);
+    assert.match(failed.stderr, /"model.sdf" has no fileBase or path/);
+    const fixed = await readJson(path.join(docs, "robots.json"));
+    assert.equal(fixed[0].repoKey, "example-lab/desk-arm");
+    assert.equal(fixed[0].authorX, "https://x.com/desk_lab");
+    assert.equal(fixed[1].robots[0].fileBase, "rover--1vnetii");
+    assert.deepEqual(fixed[1].hfDatasets, ["lab/rover-runs"]);
+    assert.equal((await readJson(path.join(docs, "robots.meta.json"))).count, robots.length);
+    assert.equal(fixed[3].robots[0].fileBase, undefined);
+
+    const { stdout } = await tool("validate-previews.mjs");
+    assert.match(stdout, /Moved docs\/thumbnails\/example-lab\/rover\/rover.png/);
+    assert.match(stdout, /\[validate-previews\] OK/);
+    const [preview] = (await readJson(path.join(docs, "previews.json"))).previews;
+    assert.deepEqual(preview, {
+      repoKey: "example-lab/rover",
+      fileBase: "rover--1vnetii",
+      png: "thumbnails/example-lab/rover/rover--1vnetii.png",
+    });
+    assert.equal(await fs.readFile(path.join(docs, preview.png), "utf8"), "png");
+  } finally {
+    await fs.rm(dir, { recursive: true });
+  }
+});
@@ -0,0 +1,222 @@
+// The xacro expander on inline documents, an in-memory repo and the gripper
+// fixture: expressions, properties, macros, conditionals, substitutions,
+// includes and the errors each of them raises.
+
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { listRepoFiles } from "../tools/lib/checkout.mjs";
+import { computeStats, parseUrdf } from "../tools/lib/urdf.mjs";
+import {
+  compileExpression,
+  expandXacro,
+  findXacroEntryPoints,
+  generateXacroRobots,
+  xacroUrdfPath,
+} from "../tools/lib/xacro.mjs";
+import { childElements, firstChild, parseXml } from "../tools/lib/xml.mjs";
+
+const GRIPPER = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "tools",
+  "fixtures",
+  "urdf",
+  "example-lab",
+  "gripper"
+);
+
+const NS = 'xmlns:xacro="http://www.ros.org/wiki/xacro"';
+
+const doc = (body) => `<robot name="r" ${NS}>${body}</robot>`;
+
+// Repo files by path, read the way ingest and refresh read them.
+const repo = (files) => ({
+  readFile: async (filePath) => {
+    if (!Object.hasOwn(files, filePath)) throw new Error("not found");
+    return files[filePath];
+  },
+});
+
+const expand = async (body, options) => parseXml(await expandXacro(doc(body), options));
+
+const evaluate = (expr, properties = {}) => compileExpression(expr)((name) => properties[name]);
+
+test("expressions follow Python precedence and semantics", () => {
+  assert.equal(evaluate("1 + 2 * 3 ** 2"), 19);
+  assert.equal(evaluate("-2 ** 2"), -4);
+  assert.equal(evaluate("7 // 2 + 7 % 3 - -1"), 5);
+  assert.equal(evaluate("(1 + 2) * 3"), 9);
+  assert.equal(evaluate("'a' if x > 1 and not y else 'b'", { x: "2", y: "false" }), "a");
+  assert.equal(evaluate("x or 'fallback'", { x: "" }), "fallback");
+  assert.equal(evaluate("radians(180) == pi"), true);
+  assert.equal(evaluate("math.sqrt(16) + abs(-1) + max(1, 2)"), 7);
+  assert.equal(evaluate("'n' + str(2)"), "n2");
+  assert.equal(evaluate("True"), true);
+});
+
+test("bad expressions fail with the expression in the message", () => {
+  assert.throws(() => evaluate("1 +"), /Unexpected end of expression "1 \+"/);
+  assert.throws(() => evaluate("(1 + 2"), /Expected "\)" in expression "\(1 \+ 2"/);
+  assert.throws(() => evaluate("1 2"), /Unexpected "2" in expression "1 2"/);
+  assert.throws(() => evaluate("1 @ 2"), /Cannot parse expression "1 @ 2" near "@ 2"/);
+  assert.throws(() => evaluate("shout(1)"), /Unknown function "shout"/);
+  assert.throws(() => evaluate("width * 2"), /Undefined property "width"/);
+});
+
+test("properties and macros expand with defaults, inherited values and blocks", async () => {
+  const robot = await expand(`
+    <xacro:property name="size" value="2"/>
+    <xacro:property name="size" default="9"/>
+    <xacro:property name="origin_block"><origin xyz="0 0 1"/></xacro:property>
+    <xacro:macro name="part" params="name scale:=3 size:=^ *geometry **extra">
+      <link name="\${name}" scale="\${scale * size}">
+        <visual><xacro:insert_block name="geometry"/></visual>
+        <xacro:insert_block name="extra"/>
+        <xacro:insert_block name="origin_block"/>
+      </link>
+    </xacro:macro>
+    <xacro:part name="a"><box/><extra><a/><b/></extra></xacro:part>
+    <xacro:call macro="part" name="b" scale="1"><sphere/><extra/></xacro:call>
+    <xacro:element xacro:name="\${'li' + 'nk'}" name="c"><xacro:attribute name="kind" value="made"/></xacro:element>
+    <joint name="literal" note="$\${size}"/>`);
+  const [a, b, c] = childElements(robot, "link");
+  assert.deepEqual(a.attributes, { name: "a", scale: "6" });
+  assert.deepEqual(
+    childElements(a).map((element) => element.name),
+    ["visual", "a", "b", "origin"]
+  );
+  assert.equal(firstChild(firstChild(a, "visual"), "box").name, "box");
+  assert.deepEqual(b.attributes, { name: "b", scale: "2" });
+  assert.deepEqual(c.attributes, { name: "c", kind: "made" });
+  assert.equal(firstChild(robot, "joint").attributes.note, "${size}");
+  assert.equal(robot.attributes["xmlns:xacro"], undefined);
+});
+
+test("xacro:if and xacro:unless take booleans and numbers only", async () => {
+  const robot = await expand(`
+    <xacro:property name="on" value="true"/>
+    <xacro:if value="\${on}"><link name="if_true"/></xacro:if>
+    <xacro:if value="0"><link name="if_zero"/></xacro:if>
+    <xacro:unless value="\${not on}"><link name="unless_false"/></xacro:unless>
+    <xacro:if value="\${1 if on else 0}"><link name="if_number"/></xacro:if>`);
+  assert.deepEqual(
+    childElements(robot, "link").map((element) => element.attributes.name),
+    ["if_true", "unless_false", "if_number"]
+  );
+  await assert.rejects(expand('<xacro:if value="maybe"/>'), /Invalid xacro condition "maybe"/);
+});
+
+test("$(arg), $(find), $(dirname) and $(optenv) substitute repo-relative values", async () => {
+  const options = {
+    file: "pkg/urdf/robot.urdf.xacro",
+    args: { color: "red" },
+    env: { ROBOT: "bot" },
+    findPackage: (name) => (name === "pkg" ? "pkg" : name === "top" ? "" : undefined),
+  };
+  const robot = await expand(
+    `<xacro:arg name="color" default="blue"/>
+    <xacro:arg name="size" default="$(eval 1 + 1)"/>
+    <link name="l" color="$(arg color)" size="$(arg size)" mesh="$(find pkg)/meshes/a.stl" top="$(find top)"
+          dir="$(dirname)" env="$(optenv ROBOT none)" missing="$(optenv NOPE none at all)"/>`,
+    options
+  );
+  assert.deepEqual(firstChild(robot, "link").attributes, {
+    name: "l",
+    color: "red",
+    size: "2",
+    mesh: "/pkg/meshes/a.stl",
+    top: "/",
+    dir: "/pkg/urdf",
+    env: "bot",
+    missing: "none at all",
+  });
+  await assert.rejects(expand('<link name="$(arg nope)"/>', options), /Undefined xacro argument "nope"/);
+  await assert.rejects(
+    expand('<link name="$(find other)"/>', options),
+    /Package "other" is not part of this repository/
+  );
+  await assert.rejects(expand('<link name="$(env HOME)"/>', options), /Environment variable "HOME" is not set/);
+  await assert.rejects(expand('<link name="$(rospack x)"/>', options), /Unsupported substitution "\$\(rospack x\)"/);
+});
+
+test("includes resolve relative, $(find) and namespaced files", async () => {
+  const files = {
+    "desc/urdf/parts/wheel.xacro": doc(`
+      <xacro:property name="radius" value="0.1"/>
+      <xacro:macro name="wheel" params="n"><link name="\${n}" r="\${radius}"/></xacro:macro>`),
+    "desc/urdf/shared.xacro": doc('<link name="shared"/>'),
+  };
+  const robot = await expand(
+    `<xacro:include filename="parts/wheel.xacro"/>
+    <xacro:include filename="$(find desc)/urdf/parts/wheel.xacro" ns="w"/>
+    <xacro:include filename="/desc/urdf/shared.xacro"/>
+    <xacro:wheel n="left"/>
+    <xacro:w.wheel n="right"/>
+    <link name="r" value="\${w.radius * 2}"/>`,
+    { file: "desc/urdf/robot.urdf.xacro", findPackage: () => "desc", ...repo(files) }
+  );
+  assert.deepEqual(
+    childElements(robot, "link").map((element) => [element.attributes.name, element.attributes.r]),
+    [
+      ["shared", undefined],
+      ["left", "0.1"],
+      ["right", "0.1"],
+      ["r", undefined],
+    ]
+  );
+  assert.equal(childElements(robot, "link")[3].attributes.value, "0.2");
+
+  const loop = {
+    "a.xacro": doc('<xacro:include filename="b.xacro"/>'),
+    "b.xacro": doc('<xacro:include filename="a.xacro"/>'),
+  };
+  await assert.rejects(
+    expandXacro(loop["a.xacro"], { file: "a.xacro", ...repo(loop) }),
+    /Circular xacro include of "a.xacro"/
+  );
+  await assert.rejects(
+    expand('<xacro:include filename="gone.xacro"/>', { file: "urdf/r.xacro", ...repo({}) }),
+    /Cannot include "urdf\/gone.xacro" from "urdf\/r.xacro": not found/
+  );
+});
+
+test("macro misuse is reported with its line", async () => {
+  const macro = '<xacro:macro name="m" params="a *b"><link name="${a}"/></xacro:macro>';
+  await assert.rejects(expand("\n<xacro:nope/>"), /Unknown xacro macro or tag "xacro:nope" \(line 2\)/);
+  await assert.rejects(expand('<xacro:call macro="nope"/>'), /Unknown xacro macro "nope"/);
+  await assert.rejects(expand(`${macro}<xacro:m><x/></xacro:m>`), /Macro "m" called without parameter "a"/);
+  await assert.rejects(expand(`${macro}<xacro:m a="1"/>`), /Macro "m" expects block parameter "b"/);
+  await assert.rejects(expand(`${macro}<xacro:m a="1" c="2"><x/></xacro:m>`), /Macro "m" has no parameter\(s\) c/);
+  await assert.rejects(expand('<xacro:insert_block name="none"/>'), /No block named "none" to insert/);
+  await assert.rejects(
+    expand('<xacro:macro name="loop" params=""><xacro:loop/></xacro:macro><xacro:loop/>'),
+    /nested deeper than 100 levels/
+  );
+});
+
+test("the gripper fixture expands through its package include", async () => {
+  const treePaths = await listRepoFiles(GRIPPER);
+  const readFile = (filePath) => fs.readFile(path.join(GRIPPER, filePath), "utf8");
+  assert.deepEqual(findXacroEntryPoints(treePaths), ["gripper_description/urdf/gripper.urdf.xacro"]);
+  assert.equal(xacroUrdfPath("gripper_description/urdf/gripper.urdf.xacro"), "gripper_description/urdf/gripper.urdf");
+
+  const { generated, failed } = await generateXacroRobots(treePaths, readFile);
+  assert.deepEqual(failed, []);
+  assert.equal(generated[0].links, 3);
+  const model = parseUrdf(generated[0].urdf);
+  const right = model.joints.find((joint) => joint.name === "right_finger_joint");
+  assert.equal(right.mimic, "left_finger_joint");
+  assert.equal(right.limit.upper, 0.04);
+  assert.equal(model.links[0].inertial.mass, 0.3);
+  assert.equal(computeStats(model).dof, 1);
+
+  const withCamera = await generateXacroRobots(treePaths, readFile, { args: { with_camera: "true" } });
+  assert.equal(withCamera.generated[0].links, 4);
+
+  const library = async () => doc('<xacro:property name="a" value="1"/>');
+  const macrosOnly = await generateXacroRobots(["lib/macros.xacro"], library);
+  assert.deepEqual(macrosOnly.failed, [{ source: "lib/macros.xacro", error: "expansion produced no <link> elements" }]);
+});
@@ -2,28 +2,14 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
-import https from "node:https";
+import { normalizeRepoKey, parseArgs, parseRepo, toPreviewBase } from "./lib/gallery.mjs";
+import { createGithubClient } from "./lib/github.mjs";
+import { formatFromPath, modelName } from "./lib/models.mjs";
+import { createWalkBudget, readWalkStates, walkTree, writeWalkStates } from "./lib/tree-walk.mjs";
 
 const ROOT = path.resolve();
 const ROBOTS_PATH = path.join(ROOT, "docs", "robots.json");
 
-const parseArgs = () => {
-  const args = new Map();
-  for (let i = 2; i < process.argv.length; i += 1) {
-    const arg = process.argv[i];
-    if (!arg.startsWith("--")) continue;
-    const key = arg.slice(2);
-    const next = process.argv[i + 1];
-    if (next && !next.startsWith("--")) {
-      args.set(key, next);
-      i += 1;
-    } else {
-      args.set(key, true);
-    }
-  }
-  return args;
-};
-
 const args = parseArgs();
 const token = args.get("token") || process.env.GITHUB_TOKEN || process.env.GH_TOKEN || "";
 const only = new Set(
@@ -40,117 +26,19 @@ const previewKeysPath =
 const concurrency = Math.max(1, Number(args.get("concurrency") || 2));
 const maxRetries = Math.max(0, Number(args.get("retries") || 3));
 const retryDelayMs = Math.max(250, Number(args.get("retry-delay-ms") || 1000));
+const treeBudget = Number(args.get("tree-budget") || 500);
+const walkStatePath = args.get("walk-state") || path.join(ROOT, "reports", "tree-walk-state.json");
 const metaPath = path.join(ROOT, "docs", "robots.meta.json");
-
-const slugify = (value) =>
-  value
-    .trim()
-    .replace(/\.urdf$/i, "")
-    .replace(/[^a-zA-Z0-9._-]+/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "")
-    .toLowerCase();
-
-const hashString = (value) => {
-  let hash = 2166136261;
-  for (let i = 0; i < value.length; i += 1) {
-    hash ^= value.charCodeAt(i);
-    hash = Math.imul(hash, 16777619);
-  }
-  return (hash >>> 0).toString(36);
-};
-
-const toPreviewBase = (value) => {
-  const normalized = value.replace(/\\/g, "/").replace(/\.urdf$/i, "");
-  const name = normalized.split("/").pop() || normalized;
-  const slug = slugify(name) || "robot";
-  return `${slug}--${hashString(normalized)}`;
-};
-
-const normalizeRepoKey = (value) =>
-  value
-    ? value
-        .replace(/^https?:\/\/github\.com\//, "")
-        .split("/")
-        .slice(0, 2)
-        .join("/")
-        .toLowerCase()
-    : "";
-
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-const githubFetchOnce = (url) =>
-  new Promise((resolve, reject) => {
-    const request = https.get(
-      url,
-      {
-        headers: {
-          Accept: "application/vnd.github.v3+json",
-          "User-Agent": "urdf-robot-gallery-backfill",
-          ...(token ? { Authorization: `token ${token}` } : {}),
-        },
-      },
-      (res) => {
-        if (res.statusCode !== 200) {
-          const error = new Error(`GitHub API ${res.statusCode} for ${url}`);
-          error.statusCode = res.statusCode;
-          error.headers = res.headers;
-          res.resume();
-          reject(error);
-          return;
-        }
-        let data = "";
-        res.setEncoding("utf8");
-        res.on("data", (chunk) => {
-          data += chunk;
-        });
-        res.on("end", () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (error) {
-            reject(error);
-          }
-        });
-      }
-    );
-    request.on("error", reject);
-  });
-
-const githubFetch = async (url) => {
-  let attempt = 0;
-  while (true) {
-    try {
-      return await githubFetchOnce(url);
-    } catch (error) {
-      attempt += 1;
-      const status = error.statusCode || 0;
-      const headers = error.headers || {};
-      const remaining = Number(headers["x-ratelimit-remaining"] || "");
-      const reset = Number(headers["x-ratelimit-reset"] || "");
-      if (status === 403 && Number.isFinite(remaining) && remaining === 0 && reset) {
-        const waitMs = Math.max(reset * 1000 - Date.now() + 1000, retryDelayMs);
-        console.warn(`[backfill] rate limit hit, waiting ${Math.ceil(waitMs / 1000)}s`);
-        await sleep(waitMs);
-        continue;
-      }
-      const retryable = [429, 500, 502, 503, 504].includes(status);
-      if (!retryable || attempt > maxRetries) {
-        throw error;
-      }
-      const delay = retryDelayMs * Math.pow(2, attempt - 1);
-      console.warn(`[backfill] retry ${attempt}/${maxRetries} after ${delay}ms (${status || "err"})`);
-      await sleep(delay);
-    }
-  }
-};
-
-const parseRepo = (repoUrl) => {
-  if (!repoUrl) return null;
-  const cleaned = repoUrl.replace(/^https?:\/\/github\.com\//, "").replace(/\.git$/i, "");
-  const [owner, repo] = cleaned.split("/");
-  if (!owner || !repo) return null;
-  return { owner, repo };
-};
+const github = createGithubClient({
+  token,
+  userAgent: "urdf-robot-gallery-backfill",
+  maxRetries,
+  retryDelayMs,
+  logPrefix: "[backfill]",
+  fixtures: args.get("fixtures") ? path.resolve(String(args.get("fixtures"))) : "",
+  record: Boolean(args.get("record")),
+});
+const githubFetch = github.fetch;
 
 const pickBestPath = (paths, preferredPrefix) => {
   if (!Array.isArray(paths) || paths.length === 0) return "";
@@ -166,6 +54,9 @@ const pickBestPath = (paths, preferredPrefix) => {
 };
 
 const main = async () => {
+  if (github.mode !== "live") {
+    console.log(`[backfill] GitHub ${github.mode} mode: ${args.get("fixtures")}`);
+  }
   const raw = await fs.readFile(ROBOTS_PATH, "utf8");
   const robotsJson = JSON.parse(raw);
   if (!Array.isArray(robotsJson)) {
@@ -179,9 +70,40 @@ const main = async () => {
     missing: [],
     truncated: [],
     collisions: [],
+    duplicates: [],
     previewKeys: [],
   };
 
+  const walkBudget = createWalkBudget(treeBudget);
+  const walkStates = await readWalkStates(walkStatePath);
+
+  // Truncated listings are replaced by a directory walk. Returns the blob
+  // nodes, or null while the walk is still incomplete. A failed request
+  // throws after its progress is saved, so the next run resumes from there.
+  const walkTruncatedTree = async (repoKey, repoInfo, treeData, focus) => {
+    const walk = await walkTree({
+      root: treeData.sha,
+      fetchTree: (sha) =>
+        githubFetch(`https://api.github.com/repos/${repoInfo.owner}/${repoInfo.repo}/git/trees/${sha}`),
+      focus,
+      budget: walkBudget,
+      state: walkStates[repoKey],
+    });
+    report.truncated.push({
+      repoKey,
+      complete: walk.complete,
+      requests: walk.requests,
+      pending: walk.state ? walk.state.pending.length : 0,
+    });
+    if (walk.state) {
+      walkStates[repoKey] = walk.state;
+      if (walk.error) throw new Error(walk.error);
+      return null;
+    }
+    delete walkStates[repoKey];
+    return walk.blobs.map((blob) => ({ ...blob, type: "blob" }));
+  };
+
   const collisionMap = new Map();
   const previewKeySet = new Set();
 
@@ -215,7 +137,7 @@ const main = async () => {
         repoKey,
         reason: `repo fetch failed: ${error.message}`,
       });
-      continue;
+      return;
     }
 
     const branch = repoData.default_branch || "main";
@@ -230,20 +152,30 @@ const main = async () => {
         repoKey,
         reason: `tree fetch failed: ${error.message}`,
       });
-      continue;
+      return;
     }
 
+    const normalizedPath = entry.path ? entry.path.replace(/^\/+|\/+$/g, "") : "";
+    let treeNodes = treeData.tree || [];
     if (treeData.truncated) {
-      report.truncated.push(repoKey);
-      report.skipped += 1;
-      return;
+      try {
+        treeNodes = await walkTruncatedTree(repoKey, repoInfo, treeData, normalizedPath);
+      } catch (error) {
+        report.skipped += 1;
+        report.missing.push({
+          repoKey,
+          reason: `tree walk failed: ${error.message}`,
+        });
+        return;
+      }
+      if (!treeNodes) {
+        report.skipped += 1;
+        return;
+      }
     }
 
-    const treePaths = (treeData.tree || [])
-      .filter((node) => node?.path && node?.type === "blob")
-      .map((node) => node.path);
+    const treePaths = treeNodes.filter((node) => node?.path && node?.type === "blob").map((node) => node.path);
 
-    const normalizedPath = entry.path ? entry.path.replace(/^\/+|\/+$/g, "") : "";
     const hasPrefix = normalizedPath
       ? treePaths.some((p) => p.startsWith(`${normalizedPath}/`))
       : false;
@@ -251,54 +183,88 @@ const main = async () => {
       ? treePaths.map((p) => `${normalizedPath}/${p}`)
       : treePaths;
 
-    const urdfPaths = normalizedTreePaths.filter((p) => p.toLowerCase().endsWith(".urdf"));
-    const urdfByName = new Map();
-    const urdfByPath = new Map();
-    for (const p of urdfPaths) {
-      urdfByPath.set(p.toLowerCase(), p);
+    const modelPaths = normalizedTreePaths.filter((p) => formatFromPath(p));
+    const modelByName = new Map();
+    const modelByPath = new Map();
+    const modelByBase = new Map();
+    for (const p of modelPaths) {
+      modelByPath.set(p.toLowerCase(), p);
+      modelByBase.set(toPreviewBase(p), p);
       const name = path.posix.basename(p).toLowerCase();
-      if (!urdfByName.has(name)) urdfByName.set(name, []);
-      urdfByName.get(name).push(p);
+      if (!modelByName.has(name)) modelByName.set(name, []);
+      modelByName.get(name).push(p);
     }
 
     const robots = Array.isArray(entry.robots) ? entry.robots : [];
     let changed = false;
-    const updatedRobots = robots.map((robot) => {
-      if (!robot) return robot;
+    const rekeyed = [];
+    const seenPaths = new Set();
+    const updatedRobots = [];
+    for (const robot of robots) {
       const isString = typeof robot === "string";
-      const raw = (isString ? robot : robot.file || "").replace(/\\/g, "/").replace(/^\/+/, "");
-      if (!raw) return robot;
-      const direct = urdfByPath.get(raw.toLowerCase());
+      // Robots generated from xacro are keyed by their xacro source, which
+      // refresh-robots maintains.
+      if (!robot || (!isString && robot.source)) {
+        updatedRobots.push(robot);
+        continue;
+      }
+      const raw = (isString ? robot : robot.path || robot.file || "").replace(/\\/g, "/").replace(/^\/+/, "");
+      if (!raw) {
+        updatedRobots.push(robot);
+        continue;
+      }
+      // A stored fileBase tells same-named files apart (it hashes the path).
+      const direct = modelByPath.get(raw.toLowerCase()) || (!isString && modelByBase.get(robot.fileBase));
       const nameKey = path.posix.basename(raw).toLowerCase();
-      const candidate = direct || pickBestPath(urdfByName.get(nameKey), normalizedPath);
+      const candidate = direct || pickBestPath(modelByName.get(nameKey), normalizedPath);
       if (!candidate) {
         report.missing.push({ repoKey, file: raw, reason: "not found in tree" });
+        // Keep an existing key rather than re-deriving it from the bare filename.
+        if (!isString && robot.fileBase) {
+          updatedRobots.push(robot);
+          continue;
+        }
+      } else if (seenPaths.has(candidate.toLowerCase())) {
+        report.duplicates.push({ repoKey, path: candidate });
+        changed = true;
+        continue;
+      } else {
+        seenPaths.add(candidate.toLowerCase());
       }
       const resolved = candidate || raw;
       const fileName = path.posix.basename(resolved);
       const fileBase = toPreviewBase(resolved);
-      const name = !isString && robot?.name ? robot.name : fileName.replace(/\.urdf$/i, "");
+      const name = !isString && robot?.name ? robot.name : modelName(fileName);
       const prevFile = isString ? raw : robot.file || "";
       const prevBase = isString ? "" : robot.fileBase || "";
+      const prevPath = isString ? "" : robot.path || "";
       if (isString || prevFile !== fileName || prevBase !== fileBase) {
         changed = true;
+        rekeyed.push(fileBase);
       }
-      return {
+      if (candidate && prevPath !== candidate) {
+        changed = true;
+      }
+      updatedRobots.push({
         ...(isString ? {} : robot),
         name,
         file: fileName,
         fileBase,
-      };
-    });
+        ...(candidate ? { path: candidate } : {}),
+      });
+    }
 
     if (changed) {
       entry.robots = updatedRobots;
       report.updated += 1;
+      // Adding `path` alone keeps the key, so only re-keyed robots need new previews.
+      for (const fileBase of rekeyed) {
+        previewKeySet.add(`${repoKey}::${fileBase}`);
+      }
       for (const robot of updatedRobots) {
         const fileBase = typeof robot === "string" ? "" : robot?.fileBase;
         if (!fileBase) continue;
         const previewKey = `${repoKey}::${fileBase}`;
-        previewKeySet.add(previewKey);
         const list = collisionMap.get(previewKey) || [];
         list.push(fileBase);
         collisionMap.set(previewKey, list);
@@ -328,6 +294,11 @@ const main = async () => {
 
   await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
   console.log(`[backfill] Report written: ${reportPath}`);
+  await writeWalkStates(walkStatePath, walkStates);
+  const unfinished = report.truncated.filter((item) => !item.complete).length;
+  if (unfinished) {
+    console.log(`[backfill] ${unfinished} truncated tree walk(s) saved to ${walkStatePath}; re-run to resume`);
+  }
   await fs.writeFile(previewKeysPath, report.previewKeys.join(","));
   console.log(`[backfill] Preview keys written: ${previewKeysPath}`);
 
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import Ajv from "ajv/dist/2020.js";
+import { SCHEMA_FILES, buildApi, serialize } from "./lib/api.mjs";
+import { parseArgs, SITE_URL } from "./lib/gallery.mjs";
+
+const ROOT = path.resolve();
+const DOCS = path.join(ROOT, "docs");
+const API_ROOT = path.join(DOCS, "api", "v1");
+
+const args = parseArgs();
+const robotsPath = path.resolve(String(args.get("robots") || path.join(DOCS, "robots.json")));
+const previewsPath = path.resolve(String(args.get("previews") || path.join(DOCS, "previews.json")));
+const manifestRoot = path.resolve(String(args.get("manifests") || path.join(DOCS, "manifests")));
+const outDir = path.resolve(String(args.get("out") || API_ROOT));
+const baseUrl = String(args.get("base-url") || SITE_URL);
+const dryRun = Boolean(args.get("dry-run"));
+
+// Generated resource directories; schemas/ is maintained by hand.
+const GENERATED_DIRS = ["repos", "robots", "tags"];
+
+const readJson = async (filePath, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (fallback !== undefined && error.code === "ENOENT") return fallback;
+    throw error;
+  }
+};
+
+// docs/manifests/<owner>/<repo>/<fileBase>.json, keyed like previews.json.
+const readManifests = async () => {
+  const manifests = new Map();
+  const walk = async (dir, parts) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === "ENOENT") return;
+      throw error;
+    }
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory() && parts.length < 2) {
+        await walk(fullPath, [...parts, entry.name]);
+      } else if (entry.isFile() && parts.length === 2 && entry.name.endsWith(".json")) {
+        const repoKey = parts.join("/").toLowerCase();
+        manifests.set(`${repoKey}::${path.basename(entry.name, ".json")}`, await readJson(fullPath));
+      }
+    }
+  };
+  await walk(manifestRoot, []);
+  return manifests;
+};
+
+const schemaFor = (file) => {
+  if (file === "index.json") return "index";
+  return { repos: "repo", robots: "robot", tags: "tag" }[file.split("/")[0]];
+};
+
+const main = async () => {
+  const [catalog, previews, manifests, previousIndex] = await Promise.all([
+    readJson(robotsPath),
+    readJson(previewsPath, {}),
+    readManifests(),
+    readJson(path.join(outDir, "index.json"), null),
+  ]);
+  if (!Array.isArray(catalog)) {
+    throw new Error("robots.json must be an array");
+  }
+
+  const { files, skipped } = buildApi({
+    catalog,
+    previews,
+    manifests,
+    generatedAt: new Date().toISOString(),
+    baseUrl,
+  });
+  for (const { repoKey, file } of skipped) {
+    console.warn(`[api] ${repoKey}: no fileBase for ${file || "(unnamed robot)"}; run backfill-urdf-paths first`);
+  }
+
+  // Keep the previous timestamp when nothing else changed, so rebuilding an
+  // unchanged catalog leaves the tree clean.
+  const index = files.get("index.json");
+  const withoutTimestamp = (resource) => serialize({ ...resource, generatedAt: "" });
+  if (previousIndex && withoutTimestamp(previousIndex) === withoutTimestamp(index)) {
+    index.generatedAt = previousIndex.generatedAt;
+  }
+
+  const ajv = new Ajv({ allErrors: true });
+  const validators = {};
+  for (const [name, file] of Object.entries(SCHEMA_FILES)) {
+    validators[name] = ajv.compile(await readJson(path.join(API_ROOT, file)));
+  }
+  const errors = [];
+  for (const [file, resource] of files) {
+    const validate = validators[schemaFor(file)];
+    if (validate(resource)) continue;
+    for (const error of validate.errors || []) {
+      errors.push(`${file}: ${error.instancePath || "(root)"} ${error.message || "invalid"}`);
+    }
+  }
+  if (errors.length) {
+    console.error("[api] Generated resources do not match their schemas:");
+    for (const error of errors) {
+      console.error(`- ${error}`);
+    }
+    process.exitCode = 1;
+    return;
+  }
+
+  const { repos, robots, variants, tags } = index.counts;
+  console.log(`[api] ${repos} repos, ${robots} robots (${variants} variants), ${tags} tags, ${files.size} files`);
+  if (dryRun) {
+    console.log("[api] Dry run; no files written.");
+    return;
+  }
+
+  // Rebuilt from scratch so removed repos and robots don't linger.
+  for (const dir of GENERATED_DIRS) {
+    await fs.rm(path.join(outDir, dir), { recursive: true, force: true });
+  }
+  for (const [file, resource] of files) {
+    const target = path.join(outDir, ...file.split("/"));
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, serialize(resource));
+  }
+  if (outDir !== API_ROOT) {
+    await fs.cp(path.join(API_ROOT, "schemas"), path.join(outDir, "schemas"), { recursive: true });
+  }
+  console.log(`[api] Written to ${outDir}`);
+};
+
+main().catch((error) => {
+  console.error("[api] Failed:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { FEED_LIMIT, checkFeeds, feedItems, renderAtom, renderJsonFeed } from "./lib/feed.mjs";
+import { parseArgs, SITE_URL } from "./lib/gallery.mjs";
+
+const ROOT = path.resolve();
+const DOCS = path.join(ROOT, "docs");
+
+const args = parseArgs();
+const robotsPath = path.resolve(String(args.get("robots") || path.join(DOCS, "robots.json")));
+const previewsPath = path.resolve(String(args.get("previews") || path.join(DOCS, "previews.json")));
+const changelogPath = path.resolve(String(args.get("changelog") || path.join(DOCS, "changelog.json")));
+const outDir = path.resolve(String(args.get("out") || DOCS));
+const siteUrl = String(args.get("site-url") || SITE_URL);
+const limit = Number(args.get("limit") || FEED_LIMIT);
+const dryRun = Boolean(args.get("dry-run"));
+const checkOnly = Boolean(args.get("check"));
+
+const atomPath = path.join(outDir, "feed.xml");
+const jsonPath = path.join(outDir, "feed.json");
+
+const readJson = async (filePath, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (fallback !== undefined && error.code === "ENOENT") return fallback;
+    throw error;
+  }
+};
+
+const report = (errors, label) => {
+  if (!errors.length) return true;
+  console.error(`[feeds] ${label}:`);
+  for (const error of errors) {
+    console.error(`- ${error}`);
+  }
+  process.exitCode = 1;
+  return false;
+};
+
+const main = async () => {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error("--limit must be a positive integer");
+  }
+  new URL(siteUrl);
+
+  // --check validates the feeds already on disk, e.g. the committed ones.
+  if (checkOnly) {
+    const [atom, json] = await Promise.all([fs.readFile(atomPath, "utf8"), readJson(jsonPath)]);
+    if (report(checkFeeds({ atom, json }), `${path.relative(ROOT, outDir) || "."} feeds are invalid`)) {
+      console.log(`[feeds] ${json.items.length} items in ${atomPath} and ${jsonPath} are valid.`);
+    }
+    return;
+  }
+
+  const [catalog, previews, changelog] = await Promise.all([
+    readJson(robotsPath),
+    readJson(previewsPath, {}),
+    readJson(changelogPath, {}),
+  ]);
+  if (!Array.isArray(catalog)) {
+    throw new Error("robots.json must be an array");
+  }
+
+  const items = feedItems({ catalog, changelog, previews, siteUrl, limit });
+  const atom = renderAtom(items, { siteUrl });
+  const json = renderJsonFeed(items, { siteUrl });
+  if (!report(checkFeeds({ atom, json }), "Generated feeds are invalid")) return;
+
+  const withImages = items.filter((item) => item.image).length;
+  console.log(`[feeds] ${items.length} items (${withImages} with thumbnails), newest ${items[0]?.date || "none"}`);
+  if (dryRun) {
+    console.log("[feeds] Dry run; no files written.");
+    return;
+  }
+  await fs.mkdir(outDir, { recursive: true });
+  await fs.writeFile(atomPath, atom);
+  await fs.writeFile(jsonPath, JSON.stringify(json, null, 2));
+  console.log(`[feeds] Written ${atomPath} and ${jsonPath}`);
+};
+
+main().catch((error) => {
+  console.error("[feeds] Failed:", error);
+  process.exitCode = 1;
+});
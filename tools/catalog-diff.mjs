@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { promisify } from "node:util";
+import { appendChangelog, changeCounts, diffCatalogs, hasChanges } from "./lib/catalog-diff.mjs";
+import { parseArgs } from "./lib/gallery.mjs";
+
+const ROOT = path.resolve();
+const run = promisify(execFile);
+
+const args = parseArgs();
+const afterPath = path.resolve(String(args.get("after") || path.join(ROOT, "docs", "robots.json")));
+const beforePath = args.get("before") ? path.resolve(String(args.get("before"))) : "";
+const beforeRef = String(args.get("before-ref") || "HEAD");
+const changelogPath = path.resolve(String(args.get("changelog") || path.join(ROOT, "docs", "changelog.json")));
+const reportPath = args.get("report") ? path.resolve(String(args.get("report"))) : "";
+const source = String(args.get("source") || "manual");
+const ref = args.get("ref") ? String(args.get("ref")) : "";
+const write = Boolean(args.get("write"));
+
+const readJson = async (filePath, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (fallback !== undefined && error.code === "ENOENT") return fallback;
+    throw error;
+  }
+};
+
+// Without --before, the baseline is the committed robots.json, so running
+// this right after `refresh-robots --write` records what the refresh changed.
+const readBefore = async () => {
+  if (beforePath) return readJson(beforePath);
+  const { stdout } = await run("git", ["show", `${beforeRef}:./${path.relative(ROOT, afterPath)}`], {
+    cwd: ROOT,
+    maxBuffer: 64 * 1024 * 1024,
+  });
+  return JSON.parse(stdout);
+};
+
+const main = async () => {
+  const [before, after] = await Promise.all([readBefore(), readJson(afterPath)]);
+  const changes = diffCatalogs(before, after);
+
+  const counts = Object.entries(changeCounts(changes)).map(([change, count]) => `${change} ${count}`);
+  console.log(`[catalog-diff] ${counts.length ? counts.join(", ") : "no changes"}`);
+  for (const { repoKey, from, to } of changes.robots?.rekeyed || []) {
+    console.log(`[catalog-diff] ${repoKey}: ${from} -> ${to} (previews under ${from} are orphaned)`);
+  }
+  if (reportPath) {
+    await fs.writeFile(reportPath, JSON.stringify(changes, null, 2));
+    console.log(`[catalog-diff] Report written: ${reportPath}`);
+  }
+
+  if (!write) {
+    console.log("[catalog-diff] Dry run (use --write to append to the changelog).");
+    return;
+  }
+  if (!hasChanges(changes)) return;
+  const changelog = appendChangelog(await readJson(changelogPath, null), {
+    date: new Date().toISOString(),
+    source,
+    ref,
+    changes,
+  });
+  await fs.writeFile(changelogPath, JSON.stringify(changelog, null, 2));
+  console.log(`[catalog-diff] Appended to ${changelogPath}`);
+};
+
+main().catch((error) => {
+  console.error("[catalog-diff] Failed:", error);
+  process.exitCode = 1;
+});
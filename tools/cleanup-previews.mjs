@@ -2,26 +2,10 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { parseArgs } from "./lib/gallery.mjs";
 
 const ROOT = path.resolve();
 
-const parseArgs = () => {
-  const args = new Map();
-  for (let i = 2; i < process.argv.length; i += 1) {
-    const arg = process.argv[i];
-    if (!arg.startsWith("--")) continue;
-    const key = arg.slice(2);
-    const next = process.argv[i + 1];
-    if (next && !next.startsWith("--")) {
-      args.set(key, next);
-      i += 1;
-    } else {
-      args.set(key, true);
-    }
-  }
-  return args;
-};
-
 const args = parseArgs();
 const galleryRoot = path.resolve(args.get("gallery") || ROOT);
 const write = Boolean(args.get("write"));
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { findRepoDir, listRepoFiles, readRobotSource } from "./lib/checkout.mjs";
+import { applyKind, classifyItem, classifyRobots } from "./lib/classify.mjs";
+import { normalizeRepoKey, parseArgs } from "./lib/gallery.mjs";
+import { parseRobotModel } from "./lib/models.mjs";
+import { computeStats } from "./lib/urdf.mjs";
+
+const ROOT = path.resolve();
+
+const args = parseArgs();
+const robotsPath = path.resolve(args.get("robots") || path.join(ROOT, "docs", "robots.json"));
+const urdfRoot = args.get("urdf-root") ? path.resolve(args.get("urdf-root")) : "";
+const only = new Set(
+  String(args.get("only") || "")
+    .split(",")
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean)
+);
+const write = Boolean(args.get("write"));
+const classify = !args.get("skip-classify");
+const reportPath = args.get("report") || path.join(ROOT, "reports", "stats-report.json");
+
+const main = async () => {
+  if (!urdfRoot) {
+    console.error("[stats] --urdf-root is required (directory of <owner>/<repo> checkouts).");
+    process.exitCode = 1;
+    return;
+  }
+
+  const raw = await fs.readFile(robotsPath, "utf8");
+  const robotsJson = JSON.parse(raw);
+  if (!Array.isArray(robotsJson)) {
+    throw new Error("robots.json must be an array");
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    updated: [],
+    missing: [],
+    failed: [],
+    classified: [],
+  };
+
+  for (const entry of robotsJson) {
+    const repoKey = normalizeRepoKey(entry.repo || entry.repoKey);
+    if (!repoKey) continue;
+    if (only.size && !only.has(repoKey)) continue;
+
+    const repoDir = await findRepoDir(urdfRoot, entry);
+    if (!repoDir) {
+      report.missing.push({ repoKey, reason: "no local checkout" });
+      continue;
+    }
+    const repoPaths = await listRepoFiles(repoDir);
+
+    const robots = (Array.isArray(entry.robots) ? entry.robots : []).filter(
+      (robot) => robot && typeof robot !== "string" && robot.file
+    );
+    // Stores the robot's stats and returns its model, or null if it couldn't be read.
+    const loadModel = async (robot) => {
+      try {
+        const loaded = await readRobotSource(repoDir, repoPaths, robot);
+        if (!loaded) {
+          report.missing.push({ repoKey, file: robot.file, reason: "not found in checkout" });
+          return null;
+        }
+        const { model } = parseRobotModel(loaded.xml);
+        robot.stats = computeStats(model);
+        report.updated.push({ repoKey, fileBase: robot.fileBase || "", path: loaded.path });
+        return model;
+      } catch (error) {
+        report.failed.push({ repoKey, file: robot.file, path: robot.source || "", error: error.message });
+        return null;
+      }
+    };
+    const models = [];
+    for (const robot of robots) {
+      models.push(await loadModel(robot));
+    }
+
+    // Same fragment/variant rules as refresh-robots, from the checkout.
+    if (!classify) continue;
+    const results = classifyRobots(robots.map((robot, index) => classifyItem(robot, models[index])));
+    robots.forEach((robot, index) => {
+      applyKind(robot, results[index]);
+      if (results[index] && results[index].kind !== "robot") {
+        report.classified.push({ repoKey, fileBase: robot.fileBase || "", file: robot.file, ...results[index] });
+      }
+    });
+  }
+
+  await fs.mkdir(path.dirname(reportPath), { recursive: true });
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+  console.log(`[stats] Report written: ${reportPath}`);
+  console.log(
+    `[stats] updated: ${report.updated.length}, missing: ${report.missing.length}, failed: ${report.failed.length}`
+  );
+  console.log(`[stats] fragments and variants: ${report.classified.length}`);
+
+  if (write) {
+    await fs.writeFile(robotsPath, JSON.stringify(robotsJson, null, 2));
+    console.log(`[stats] Updated ${robotsPath}`);
+  } else {
+    console.log("[stats] Dry run (use --write to apply changes).");
+  }
+};
+
+main().catch((error) => {
+  console.error("[stats] Failed:", error);
+  process.exitCode = 1;
+});
@@ -2,28 +2,12 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { normalizeRepoKey, parseArgs } from "./lib/gallery.mjs";
 
 const ROOT = path.resolve();
 const ROBOTS_PATH = path.join(ROOT, "docs", "robots.json");
 const MANIFEST_ROOT = path.join(ROOT, "docs", "manifests");
 
-const parseArgs = () => {
-  const args = new Map();
-  for (let i = 2; i < process.argv.length; i += 1) {
-    const arg = process.argv[i];
-    if (!arg.startsWith("--")) continue;
-    const key = arg.slice(2);
-    const next = process.argv[i + 1];
-    if (next && !next.startsWith("--")) {
-      args.set(key, next);
-      i += 1;
-    } else {
-      args.set(key, true);
-    }
-  }
-  return args;
-};
-
 const args = parseArgs();
 const only = new Set(
   String(args.get("only") || "")
@@ -34,31 +18,6 @@ const only = new Set(
 const force = Boolean(args.get("force"));
 const dryRun = Boolean(args.get("dry-run"));
 
-const slugify = (value) =>
-  value
-    .trim()
-    .replace(/\.urdf$/i, "")
-    .replace(/[^a-zA-Z0-9._-]+/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "")
-    .toLowerCase();
-
-const hashString = (value) => {
-  let hash = 2166136261;
-  for (let i = 0; i < value.length; i += 1) {
-    hash ^= value.charCodeAt(i);
-    hash = Math.imul(hash, 16777619);
-  }
-  return (hash >>> 0).toString(36);
-};
-
-const toPreviewBase = (value) => {
-  const normalized = value.replace(/\\/g, "/").replace(/\.urdf$/i, "");
-  const name = normalized.split("/").pop() || normalized;
-  const slug = slugify(name) || "robot";
-  return `${slug}--${hashString(normalized)}`;
-};
-
 const ensureDir = async (dir) => {
   await fs.mkdir(dir, { recursive: true });
 };
@@ -72,11 +31,11 @@ const main = async () => {
 
   let written = 0;
   let skipped = 0;
+  let unkeyed = 0;
   const generatedAt = new Date().toISOString();
 
   for (const entry of robotsJson) {
-    const repoKey = (entry.repoKey || entry.repo || "").replace(/^https?:\/\/github\.com\//, "");
-    const normalizedRepoKey = repoKey.toLowerCase();
+    const normalizedRepoKey = normalizeRepoKey(entry.repo || entry.repoKey);
     if (!normalizedRepoKey) continue;
     if (only.size && !only.has(normalizedRepoKey)) continue;
 
@@ -84,10 +43,15 @@ const main = async () => {
     for (const robot of robots) {
       const file = typeof robot === "string" ? robot : robot?.file;
       if (!file) continue;
-      const fileBase =
-        typeof robot !== "string" && robot?.fileBase
-          ? robot.fileBase
-          : toPreviewBase(file);
+      // Manifests are named by the preview key, which hashes the file's path
+      // in the repo. Only refresh/backfill see that path, so robots they
+      // haven't keyed yet are skipped rather than keyed by filename alone.
+      const fileBase = typeof robot === "string" ? "" : robot?.fileBase || "";
+      if (!fileBase) {
+        console.warn(`[manifests] ${normalizedRepoKey}: no fileBase for ${file}; run backfill-urdf-paths first`);
+        unkeyed += 1;
+        continue;
+      }
       const manifestDir = path.join(MANIFEST_ROOT, normalizedRepoKey);
       const manifestPath = path.join(manifestDir, `${fileBase}.json`);
 
@@ -109,6 +73,7 @@ const main = async () => {
         path: entry.path || "",
         robotName: typeof robot === "string" ? "" : robot?.name || "",
         file,
+        filePath: typeof robot === "string" ? "" : robot?.path || "",
         fileBase,
         sourceUpdatedAt: entry.updatedAt || "",
       };
@@ -121,7 +86,7 @@ const main = async () => {
     }
   }
 
-  console.log(`[manifests] written: ${written}, skipped: ${skipped}`);
+  console.log(`[manifests] written: ${written}, skipped: ${skipped}, without fileBase: ${unkeyed}`);
   if (dryRun) {
     console.log("[manifests] Dry run; no files written.");
   }
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { chromium } from "playwright";
+import { normalizeRepoKey, parseArgs } from "./lib/gallery.mjs";
+import { muxAnimatedWebp, previewPaths, upsertPreview } from "./lib/previews.mjs";
+import { runThumbnailPool, thumbnailUrl } from "./lib/thumbnails.mjs";
+
+const ROOT = path.resolve();
+const DOCS = path.join(ROOT, "docs");
+const ROBOTS_JSON = path.join(DOCS, "robots.json");
+const PREVIEWS_JSON = path.join(DOCS, "previews.json");
+const VIEWPORT = 256;
+
+const args = parseArgs();
+const studioBase = args.get("studio-url") || process.env.URDF_STUDIO_URL || "http://localhost:5173/";
+const STUDIO_URL = String(studioBase).replace(/\/+$/, "/");
+const onlyArg = args.get("only") ? String(args.get("only")) : "";
+const keysFile = args.get("keys-file") ? path.resolve(String(args.get("keys-file"))) : "";
+const repoFilter = String(args.get("repo") || "");
+const limit = Number(args.get("limit") || 0);
+const force = Boolean(args.get("force"));
+const dryRun = Boolean(args.get("dry-run"));
+const frameCount = Math.max(2, Number(args.get("frames") || 48));
+const fps = Math.max(1, Number(args.get("fps") || 24));
+const quality = Math.min(1, Math.max(0, Number(args.get("quality") || 0.8)));
+const concurrency = Math.max(1, Number(args.get("concurrency") || 2));
+const retries = Math.max(0, Number(args.get("retries") || 2));
+const retryDelayMs = Math.max(1, Number(args.get("retry-delay-ms") || 2000));
+const reportPath = path.resolve(String(args.get("report") || path.join(ROOT, "reports", "preview-report.json")));
+
+const readJson = async (filePath, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT" && fallback !== undefined) return fallback;
+    throw error;
+  }
+};
+
+const fileExists = async (filePath) => {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Same comma-separated `repoKey::fileBase` list rebuild-previews passes on.
+const readOnlyKeys = async () => {
+  const raw = onlyArg || (keysFile ? await fs.readFile(keysFile, "utf8") : "");
+  const keys = raw
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+  return keys.length ? new Set(keys) : null;
+};
+
+const buildTasks = (repos, onlyKeys, skipped) => {
+  const tasks = [];
+  for (const entry of repos) {
+    const repoUrl = entry.repo;
+    const repoKey = normalizeRepoKey(repoUrl || entry.repoKey);
+    if (!repoUrl || !repoKey) continue;
+    if (repoFilter && repoKey !== repoFilter.toLowerCase()) continue;
+    for (const robot of Array.isArray(entry.robots) ? entry.robots : []) {
+      if (!robot || typeof robot !== "object") continue;
+      const file = robot.file || robot.name || "";
+      if (onlyKeys && !onlyKeys.has(`${repoKey}::${robot.fileBase}`)) continue;
+      if (!robot.fileBase) {
+        console.warn(`skip ${repoKey}/${file} (no fileBase; run backfill-urdf-paths first)`);
+        skipped.push({ repoKey, file, reason: "no fileBase" });
+        continue;
+      }
+      if (robot.kind === "fragment") {
+        skipped.push({ repoKey, fileBase: robot.fileBase, reason: "fragment" });
+        continue;
+      }
+      tasks.push({ repoUrl, repoKey, baseName: robot.fileBase, fileTarget: robot.path || file });
+    }
+  }
+  return tasks;
+};
+
+// Runs in the page. The thumbnail page exposes __URDF_THUMB_ORBIT__(angle),
+// which turns the camera to `angle` radians around the robot and resolves
+// once that frame is drawn. Each step is grabbed as a WebP frame and pushed
+// to a MediaRecorder on the canvas stream for the WebM.
+const captureOrbit = async ({ frameCount, fps, quality }) => {
+  const canvas = document.getElementById("urdf-thumb-canvas");
+  const orbit = window.__URDF_THUMB_ORBIT__;
+  const mimeType = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find((type) =>
+    MediaRecorder.isTypeSupported(type)
+  );
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (event) => {
+    if (event.data.size) chunks.push(event.data);
+  };
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = resolve;
+  });
+  recorder.start();
+  const frames = [];
+  for (let index = 0; index < frameCount; index += 1) {
+    await orbit((2 * Math.PI * index) / frameCount);
+    frames.push(canvas.toDataURL("image/webp", quality).split(",")[1]);
+    track.requestFrame();
+    await new Promise((resolve) => setTimeout(resolve, 1000 / fps));
+  }
+  recorder.stop();
+  await stopped;
+  const webm = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(new Blob(chunks, { type: "video/webm" }));
+  });
+  await orbit(0);
+  return { width: canvas.width, height: canvas.height, frames, webm };
+};
+
+const captureOnPage = async (page, task) => {
+  await page.goto(thumbnailUrl(STUDIO_URL, task), { waitUntil: "domcontentloaded", timeout: 60000 });
+  await page.waitForFunction(() => window.__URDF_THUMB_READY__ === true, {
+    timeout: 120000,
+  });
+  const error = await page.evaluate(() => window.__URDF_THUMB_ERROR__ || "");
+  if (error) {
+    throw new Error(error);
+  }
+  const canvas = await page.$("#urdf-thumb-canvas");
+  if (!canvas) {
+    throw new Error("Thumbnail canvas not found");
+  }
+  if (!(await page.evaluate(() => typeof window.__URDF_THUMB_ORBIT__ === "function"))) {
+    throw new Error("Thumbnail page has no __URDF_THUMB_ORBIT__ hook");
+  }
+  const capture = await page.evaluate(captureOrbit, { frameCount, fps, quality });
+  if (!capture.webm) {
+    throw new Error("MediaRecorder produced no WebM data");
+  }
+  const webp = muxAnimatedWebp(
+    capture.frames.map((frame) => Buffer.from(frame, "base64")),
+    { width: capture.width, height: capture.height, frameDurationMs: 1000 / fps }
+  );
+  const files = previewPaths(task.repoKey, task.baseName);
+  await fs.mkdir(path.dirname(path.join(DOCS, files.webp)), { recursive: true });
+  await fs.mkdir(path.dirname(path.join(DOCS, files.png)), { recursive: true });
+  await fs.writeFile(path.join(DOCS, files.webp), webp);
+  await fs.writeFile(path.join(DOCS, files.webm), Buffer.from(capture.webm, "base64"));
+  // The orbit ends back at angle 0, the same view render-thumbnails saves.
+  await canvas.screenshot({ path: path.join(DOCS, files.png), omitBackground: true });
+};
+
+const run = async () => {
+  const repos = await readJson(ROBOTS_JSON);
+  if (!Array.isArray(repos)) {
+    throw new Error("robots.json must be an array");
+  }
+  let manifest = await readJson(PREVIEWS_JSON, { version: 1, previews: [] });
+  const report = {
+    generatedAt: new Date().toISOString(),
+    studioUrl: STUDIO_URL,
+    frames: frameCount,
+    fps,
+    done: [],
+    skipped: [],
+    failed: [],
+  };
+
+  const onlyKeys = await readOnlyKeys();
+  const tasks = buildTasks(repos, onlyKeys, report.skipped);
+  const pending = [];
+  for (const task of limit > 0 ? tasks.slice(0, limit) : tasks) {
+    // Without an explicit key list, only robots missing a preview are generated.
+    const listed = manifest.previews?.find(
+      (item) => item.repoKey === task.repoKey && item.fileBase === task.baseName
+    );
+    const files = previewPaths(task.repoKey, task.baseName);
+    const present =
+      listed && (await fileExists(path.join(DOCS, files.webp))) && (await fileExists(path.join(DOCS, files.webm)));
+    if (!force && !onlyKeys && present) {
+      report.skipped.push({ repoKey: task.repoKey, fileBase: task.baseName, reason: "exists" });
+      continue;
+    }
+    pending.push(task);
+  }
+
+  if (dryRun) {
+    console.log(`[generate-previews] Dry run: ${pending.length} preview(s) to generate.`);
+    for (const task of pending) {
+      console.log(`  ${task.repoKey}::${task.baseName} (${task.fileTarget})`);
+    }
+    return;
+  }
+
+  if (pending.length === 0) {
+    console.log("[generate-previews] No previews to generate.");
+  } else {
+    const browser = await chromium.launch({ headless: true });
+    try {
+      const context = await browser.newContext({
+        viewport: { width: VIEWPORT, height: VIEWPORT },
+        deviceScaleFactor: 1,
+      });
+      const results = await runThumbnailPool({
+        tasks: pending,
+        concurrency,
+        retries,
+        retryDelayMs,
+        openWorker: async () => {
+          const page = await context.newPage();
+          return { render: (task) => captureOnPage(page, task), close: () => page.close() };
+        },
+        onResult: ({ task, status, attempts, error }) => {
+          if (status === "done") {
+            console.log(`done ${task.repoKey}/${task.baseName}`);
+          } else {
+            console.error(`fail ${task.repoKey}/${task.baseName} after ${attempts} attempt(s): ${error}`);
+          }
+        },
+      });
+      for (const { task, status, attempts, durationMs, error } of results) {
+        const item = { repoKey: task.repoKey, fileBase: task.baseName, file: task.fileTarget, attempts, durationMs };
+        report[status].push(error ? { ...item, error } : item);
+        if (status === "done") {
+          manifest = upsertPreview(manifest, {
+            repoKey: task.repoKey,
+            fileBase: task.baseName,
+            ...previewPaths(task.repoKey, task.baseName),
+          });
+        }
+      }
+    } finally {
+      await browser.close();
+    }
+  }
+
+  if (report.done.length) {
+    await fs.writeFile(PREVIEWS_JSON, JSON.stringify(manifest, null, 2));
+    console.log(`[generate-previews] Updated ${report.done.length} preview entries in ${PREVIEWS_JSON}`);
+  }
+  await fs.mkdir(path.dirname(reportPath), { recursive: true });
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+  const failed = report.failed.length;
+  console.log(`[generate-previews] Generated ${report.done.length}/${pending.length} previews (${failed} failed).`);
+  console.log(`[generate-previews] Report written: ${reportPath}`);
+  if (failed) {
+    process.exitCode = 1;
+  }
+};
+
+run().catch((error) => {
+  console.error("[generate-previews] Failed:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+// Dry-runs a robot submission offline: reads an issue body, resolves the
+// submitted repo against a tree fixture or local checkout, and prints the
+// robots.json diff and the bot comments the ingest workflow would post.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "./lib/gallery.mjs";
+import { buildIngestWrites, ingestSubmission } from "./lib/ingest.mjs";
+
+const ROOT = path.resolve();
+
+const args = parseArgs();
+const issuePath = args.get("issue") && args.get("issue") !== true ? String(args.get("issue")) : "-";
+const treePath = args.get("tree") ? path.resolve(String(args.get("tree"))) : "";
+const robotsPath = path.resolve(args.get("robots") || path.join(ROOT, "docs", "robots.json"));
+const tagsPath = path.resolve(args.get("tags") || path.join(ROOT, "docs", "tags.json"));
+const historyPath = args.get("history") ? path.resolve(String(args.get("history"))) : "";
+const author = args.has("author") ? String(args.get("author") === true ? "" : args.get("author")) : "submitter";
+const permission = String(args.get("permission") || "write");
+const issueNumber = Number(args.get("number") || 0);
+const title = String(args.get("title") || "");
+const write = Boolean(args.get("write"));
+const json = Boolean(args.get("json"));
+
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+const readJson = async (filePath) => JSON.parse(await fs.readFile(filePath, "utf8"));
+
+const walkFiles = async (dir, prefix = "") => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    if (entry.name === ".git") continue;
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await walkFiles(path.join(dir, entry.name), rel)));
+    } else {
+      files.push(rel);
+    }
+  }
+  return files;
+};
+
+// A tree fixture is either a local checkout or a JSON file shaped like the
+// GitHub trees API response (`{ default_branch, tree: [{ path, type, sha,
+// content }] }`), where `content` is only needed for files that get read.
+const loadTree = async (target) => {
+  const stat = await fs.stat(target);
+  if (stat.isDirectory()) {
+    const files = await walkFiles(target);
+    return {
+      defaultBranch: "main",
+      tree: files.map((file) => ({ path: file, type: "blob", sha: file })),
+      read: (entryPath) => fs.readFile(path.join(target, ...entryPath.split("/")), "utf8"),
+    };
+  }
+  const fixture = await readJson(target);
+  const tree = Array.isArray(fixture) ? fixture : fixture.tree || [];
+  const contents = new Map(tree.filter((entry) => entry.content !== undefined).map((entry) => [entry.path, entry.content]));
+  return {
+    defaultBranch: fixture.default_branch || "main",
+    tree: tree.map(({ content, ...entry }) => ({ sha: entry.path, ...entry })),
+    read: async (entryPath) => {
+      if (!contents.has(entryPath)) throw new Error(`no content for ${entryPath} in ${target}`);
+      return contents.get(entryPath);
+    },
+  };
+};
+
+// Answers the ingest logic's GitHub queries from the fixtures. Without a
+// tree fixture the submitted repo is treated as inaccessible.
+const createFixtureSource = (fixture, history) => ({
+  getRepo: async ({ owner, repo }) => {
+    if (!fixture) throw new Error(`no tree fixture for ${owner}/${repo}`);
+    return { defaultBranch: fixture.defaultBranch };
+  },
+  getPermission: async () => permission,
+  getTree: async ({ ref }) => {
+    const [, subPath = ""] = ref.split(":");
+    if (!subPath) return fixture.tree;
+    const prefix = `${subPath.replace(/^\/+|\/+$/g, "")}/`;
+    const scoped = fixture.tree.filter((entry) => entry.path.startsWith(prefix));
+    if (scoped.length === 0) throw new Error(`${subPath} not found in tree fixture`);
+    return scoped.map((entry) => ({ ...entry, path: entry.path.slice(prefix.length) }));
+  },
+  readBlob: async ({ path: blobPath }) => fixture.read(blobPath),
+  listRecentIssues: async () => history,
+  listComments: async ({ number }) => history.find((item) => item.number === number)?.comments || [],
+});
+
+// Line diff for a localized change: only the span between the common prefix
+// and suffix is reported, which is exact for a single added or merged entry.
+const diffLines = (before, after, context = 3) => {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+  if (start === endA && start === endB) return "";
+  const from = Math.max(0, start - context);
+  const toA = Math.min(a.length, endA + context);
+  const toB = Math.min(b.length, endB + context);
+  return [
+    `@@ -${from + 1},${toA - from} +${from + 1},${toB - from} @@`,
+    ...a.slice(from, start).map((line) => ` ${line}`),
+    ...a.slice(start, endA).map((line) => `-${line}`),
+    ...b.slice(start, endB).map((line) => `+${line}`),
+    ...a.slice(endA, toA).map((line) => ` ${line}`),
+  ].join("\n");
+};
+
+const main = async () => {
+  const body = issuePath === "-" ? await readStdin() : await fs.readFile(path.resolve(issuePath), "utf8");
+  const robots = await readJson(robotsPath);
+  if (!Array.isArray(robots)) {
+    throw new Error("robots.json must be an array");
+  }
+  const allowedTags = await readJson(tagsPath).catch(() => []);
+  const history = historyPath ? await readJson(historyPath) : [];
+  const fixture = treePath ? await loadTree(treePath) : null;
+
+  const result = await ingestSubmission(createFixtureSource(fixture, history), {
+    issue: { number: issueNumber, title, body, author },
+    robots,
+    allowedTags,
+  });
+
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(`[ingest] status: ${result.status}`);
+    if (result.title) console.log(`[ingest] retitle issue: ${result.title}`);
+    for (const comment of result.comments) {
+      console.log(`[ingest] comment:\n${comment.body}\n`);
+    }
+    if (result.close) console.log("[ingest] close issue");
+    if (result.robots) {
+      const diff = diffLines(JSON.stringify(robots, null, 2), JSON.stringify(result.robots, null, 2));
+      console.log(`--- ${path.relative(ROOT, robotsPath)}\n+++ ${path.relative(ROOT, robotsPath)}\n${diff}`);
+    }
+    for (const file of result.generatedFiles) {
+      console.log(`[ingest] generated ${file.path} (${file.content.length} bytes)`);
+    }
+  }
+
+  if (!result.robots) return;
+  if (write) {
+    const changelog = await readJson(path.join(path.dirname(robotsPath), "changelog.json")).catch((error) => {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    });
+    const ref = issueNumber ? `#${issueNumber}` : "";
+    // The writes are docs/-relative; docs/ maps to the directory holding --robots.
+    for (const file of buildIngestWrites(result, { previous: robots, changelog, ref })) {
+      const target = path.join(path.dirname(robotsPath), ...file.path.split("/").slice(1));
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, file.content);
+    }
+    if (!json) console.log(`[ingest] Updated ${robotsPath}`);
+  } else if (!json) {
+    console.log("[ingest] Dry run (use --write to apply changes).");
+  }
+};
+
+main().catch((error) => {
+  console.error("[ingest] Failed:", error);
+  process.exitCode = 1;
+});
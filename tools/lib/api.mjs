@@ -0,0 +1,196 @@
+// Builds the static catalog API published under docs/api/v1/. Consumers read
+// these files instead of robots.json, so the shapes here are a contract:
+// fields are whitelisted, defaults are spelled out (`format`, `kind`) and
+// anything incompatible goes into a new version directory.
+
+import { createHash } from "node:crypto";
+import { normalizeRepoKey, SITE_URL } from "./gallery.mjs";
+
+export const API_VERSION = 1;
+
+export const SCHEMA_FILES = {
+  index: "schemas/index.schema.json",
+  repo: "schemas/repo.schema.json",
+  robot: "schemas/robot.schema.json",
+  tag: "schemas/tag.schema.json",
+};
+
+// Entry fields that are published. Contact details and free-form notes from
+// the submission form stay in robots.json.
+const REPO_FIELDS = [
+  "name",
+  "org",
+  "summary",
+  "demo",
+  "path",
+  "stars",
+  "ownerLogin",
+  "ownerAvatar",
+  "authorLogin",
+  "authorAvatar",
+  "authorWebsite",
+  "authorGithub",
+  "authorX",
+  "authorLinkedin",
+  "hfDatasets",
+  "revision",
+  "repoUpdatedAt",
+  "updatedAt",
+];
+
+const ROBOT_FIELDS = ["path", "source", "blobSha", "variantOf", "variantLabel", "variantDiff", "stats"];
+
+const PREVIEW_FIELDS = ["png", "webp", "webm", "mp4"];
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0);
+
+const pick = (source, fields) => {
+  const picked = {};
+  for (const field of fields) {
+    if (!isEmpty(source[field])) picked[field] = source[field];
+  }
+  return picked;
+};
+
+/** Serialises a resource the way it is written to disk. */
+export const serialize = (resource) => JSON.stringify(resource, null, 2);
+
+/** Short content hash of a serialised resource, for `?v=` cache busting. */
+export const contentHash = (body) => createHash("sha256").update(body).digest("hex").slice(0, 16);
+
+/** "Mobile Manipulator" -> "mobile-manipulator". */
+export const tagSlug = (tag) =>
+  tag
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+export const repoHref = (repoKey) => `repos/${repoKey}.json`;
+export const robotHref = (repoKey, fileBase) => `robots/${repoKey}/${fileBase}.json`;
+export const tagHref = (slug) => `tags/${slug}.json`;
+
+/**
+ * Builds every API resource from robots.json, the previews.json manifest and
+ * the per-robot manifests (keyed `repoKey::fileBase`). Returns `{ files,
+ * skipped }`: `files` maps paths relative to the API root to resources, and
+ * `skipped` lists robots without a fileBase, which have no stable URL yet.
+ *
+ * Resources other than the index carry no timestamps, so their hashes only
+ * change with their content. Preview media and generated URDFs are stored
+ * relative to the gallery root (as in previews.json) and published as
+ * absolute URLs against `baseUrl`, so they resolve wherever the API file is
+ * fetched from.
+ */
+export const buildApi = ({ catalog, previews = {}, manifests = new Map(), generatedAt, baseUrl = SITE_URL }) => {
+  const media = (file) => new URL(file, baseUrl).href;
+  const previewIndex = new Map(
+    (previews.previews || []).map((entry) => [`${entry.repoKey}::${entry.fileBase}`, entry])
+  );
+  const files = new Map();
+  const add = (href, resource) => {
+    files.set(href, resource);
+    return { href, hash: contentHash(serialize(resource)) };
+  };
+
+  const skipped = [];
+  const repos = [];
+  const robots = [];
+  const tags = new Map();
+
+  const entries = [...catalog]
+    .map((entry) => ({ entry, repoKey: normalizeRepoKey(entry.repo || entry.repoKey) }))
+    .filter(({ repoKey }) => repoKey)
+    .sort((a, b) => a.repoKey.localeCompare(b.repoKey));
+
+  for (const { entry, repoKey } of entries) {
+    const repoTags = Array.isArray(entry.tags) ? entry.tags : [];
+    const repoLink = { repoKey, href: repoHref(repoKey) };
+    const repoRobots = [];
+
+    for (const robot of Array.isArray(entry.robots) ? entry.robots : []) {
+      if (!robot || typeof robot === "string" || !robot.fileBase) {
+        skipped.push({ repoKey, file: typeof robot === "string" ? robot : robot?.file || "" });
+        continue;
+      }
+      const key = `${repoKey}::${robot.fileBase}`;
+      const preview = previewIndex.get(key);
+      const manifest = manifests.get(key);
+      const resource = {
+        apiVersion: API_VERSION,
+        repoKey,
+        fileBase: robot.fileBase,
+        name: robot.name || robot.file,
+        file: robot.file,
+        format: robot.format || "urdf",
+        kind: robot.kind || "robot",
+        ...pick(robot, ROBOT_FIELDS),
+        ...(robot.generated && { generated: media(robot.generated) }),
+        repo: { ...repoLink, url: entry.repo, tags: repoTags },
+        previews: Object.fromEntries(
+          PREVIEW_FIELDS.filter((field) => preview?.[field]).map((field) => [field, media(preview[field])])
+        ),
+      };
+      if (manifest) {
+        // The manifest's own version and timestamp would churn the hash.
+        resource.manifest = { ...manifest };
+        delete resource.manifest.version;
+        delete resource.manifest.generatedAt;
+      }
+      const link = add(robotHref(repoKey, robot.fileBase), resource);
+      const summary = { fileBase: robot.fileBase, name: resource.name, kind: resource.kind, ...link };
+      repoRobots.push(summary);
+      robots.push({ repoKey, ...summary });
+      if (resource.kind === "fragment") continue;
+      for (const tag of repoTags) {
+        const listing = tags.get(tag) || [];
+        listing.push({ repoKey, ...summary });
+        tags.set(tag, listing);
+      }
+    }
+
+    const repo = {
+      apiVersion: API_VERSION,
+      repoKey,
+      url: entry.repo,
+      tags: repoTags,
+      ...pick(entry, REPO_FIELDS),
+      robots: repoRobots,
+    };
+    const link = add(repoLink.href, repo);
+    repos.push({
+      repoKey,
+      name: entry.name || repoKey,
+      robots: repoRobots.filter((robot) => robot.kind !== "fragment").length,
+      ...link,
+    });
+  }
+
+  const tagLinks = [...tags.keys()]
+    .sort((a, b) => a.localeCompare(b))
+    .map((tag) => {
+      const slug = tagSlug(tag);
+      const listing = tags.get(tag);
+      const link = add(tagHref(slug), { apiVersion: API_VERSION, tag, slug, count: listing.length, robots: listing });
+      return { tag, slug, robots: listing.length, ...link };
+    });
+
+  const listed = robots.filter((robot) => robot.kind !== "fragment");
+  files.set("index.json", {
+    apiVersion: API_VERSION,
+    generatedAt,
+    counts: {
+      repos: repos.length,
+      robots: listed.length,
+      variants: listed.filter((robot) => robot.kind === "variant").length,
+      fragments: robots.length - listed.length,
+      tags: tagLinks.length,
+    },
+    schemas: SCHEMA_FILES,
+    repos,
+    robots,
+    tags: tagLinks,
+  });
+
+  return { files, skipped };
+};
@@ -0,0 +1,140 @@
+// Compares two robots.json snapshots and keeps the results in
+// docs/changelog.json. Used by tools/catalog-diff.mjs (refresh, manual edits)
+// and by the ingest workflow, which only has the snapshots in memory.
+
+import { normalizeRepoKey } from "./gallery.mjs";
+
+export const CHANGELOG_VERSION = 1;
+
+const repoKeyOf = (entry) => normalizeRepoKey(entry.repo || entry.repoKey);
+
+const robotsOf = (entry) =>
+  (Array.isArray(entry.robots) ? entry.robots : []).filter((robot) => robot && typeof robot !== "string");
+
+// What a fileBase is hashed from; older entries only know the filename.
+const robotIdentity = (robot) => (robot.path || robot.source || robot.file || "").toLowerCase();
+
+const robotRef = (repoKey, robot) => {
+  const ref = { repoKey, fileBase: robot.fileBase || "", name: robot.name || robot.file || "" };
+  if (robot.kind) ref.kind = robot.kind;
+  return ref;
+};
+
+const byRepoKey = (catalog) => {
+  const entries = new Map();
+  for (const entry of Array.isArray(catalog) ? catalog : []) {
+    const repoKey = repoKeyOf(entry);
+    if (repoKey) entries.set(repoKey, entry);
+  }
+  return entries;
+};
+
+const diffRobots = (repoKey, before, after, changes) => {
+  const unmatched = new Set(before);
+  const added = [];
+  const byFileBase = new Map(before.filter((robot) => robot.fileBase).map((robot) => [robot.fileBase, robot]));
+  for (const robot of after) {
+    const previous = robot.fileBase ? byFileBase.get(robot.fileBase) : null;
+    if (!previous || !unmatched.has(previous)) {
+      added.push(robot);
+      continue;
+    }
+    unmatched.delete(previous);
+    const [from, to] = [previous.name || previous.file, robot.name || robot.file];
+    if (from !== to) changes.renamed.push({ repoKey, fileBase: robot.fileBase, from, to });
+  }
+  // The same file under a new key: its previews are orphaned under the old one.
+  for (const robot of added) {
+    const previous = [...unmatched].find((item) => robotIdentity(item) === robotIdentity(robot));
+    if (!previous) {
+      changes.added.push(robotRef(repoKey, robot));
+      continue;
+    }
+    unmatched.delete(previous);
+    changes.rekeyed.push({
+      repoKey,
+      name: robot.name || robot.file,
+      path: robot.path || robot.source || robot.file,
+      from: previous.fileBase || "",
+      to: robot.fileBase || "",
+    });
+  }
+  for (const robot of unmatched) changes.removed.push(robotRef(repoKey, robot));
+};
+
+const diffTags = (repoKey, before, after) => {
+  const [from, to] = [new Set(before.tags || []), new Set(after.tags || [])];
+  const added = [...to].filter((tag) => !from.has(tag));
+  const removed = [...from].filter((tag) => !to.has(tag));
+  if (!added.length && !removed.length) return null;
+  const change = { repoKey };
+  if (added.length) change.added = added;
+  if (removed.length) change.removed = removed;
+  return change;
+};
+
+const omitEmpty = (groups) =>
+  Object.fromEntries(Object.entries(groups).filter(([, list]) => list.length > 0));
+
+/**
+ * Diffs two catalogs. Robots are matched by fileBase; a robot whose file is
+ * still there under another fileBase is `rekeyed`, and one whose display
+ * name changed is `renamed`. Robots of added and removed repos are listed
+ * too, so `robots.added` is everything new. Empty lists are left out:
+ * `{ repos: { added, removed }, robots: { added, removed, renamed, rekeyed },
+ * tags: [{ repoKey, added, removed }] }`.
+ */
+export const diffCatalogs = (before, after) => {
+  const [previous, next] = [byRepoKey(before), byRepoKey(after)];
+  const repos = { added: [], removed: [] };
+  const robots = { added: [], removed: [], renamed: [], rekeyed: [] };
+  const tags = [];
+
+  for (const [repoKey, entry] of next) {
+    const old = previous.get(repoKey);
+    if (!old) repos.added.push({ repoKey, name: entry.name || repoKey });
+    diffRobots(repoKey, old ? robotsOf(old) : [], robotsOf(entry), robots);
+    const tagChange = old && diffTags(repoKey, old, entry);
+    if (tagChange) tags.push(tagChange);
+  }
+  for (const [repoKey, entry] of previous) {
+    if (next.has(repoKey)) continue;
+    repos.removed.push({ repoKey, name: entry.name || repoKey });
+    diffRobots(repoKey, robotsOf(entry), [], robots);
+  }
+
+  const changes = {};
+  const [repoChanges, robotChanges] = [omitEmpty(repos), omitEmpty(robots)];
+  if (Object.keys(repoChanges).length) changes.repos = repoChanges;
+  if (Object.keys(robotChanges).length) changes.robots = robotChanges;
+  if (tags.length) changes.tags = tags;
+  return changes;
+};
+
+export const hasChanges = (changes) => Object.keys(changes).length > 0;
+
+/** `{ reposAdded: 1, robotsAdded: 3, ... }` for log lines and feed titles. */
+export const changeCounts = (changes) => {
+  const counts = {};
+  for (const group of ["repos", "robots"]) {
+    for (const [change, list] of Object.entries(changes[group] || {})) {
+      counts[`${group}${change[0].toUpperCase()}${change.slice(1)}`] = list.length;
+    }
+  }
+  if (changes.tags) counts.tagsChanged = changes.tags.length;
+  return counts;
+};
+
+/**
+ * Adds an entry (`{ date, source, ref?, changes }`) to the front of a
+ * changelog and returns the new changelog. Entries without changes are not
+ * recorded.
+ */
+export const appendChangelog = (changelog, entry) => {
+  const entries = Array.isArray(changelog?.entries) ? changelog.entries : [];
+  if (!hasChanges(entry.changes)) return { version: CHANGELOG_VERSION, entries };
+  const recorded = { date: entry.date, source: entry.source };
+  if (entry.ref) recorded.ref = entry.ref;
+  recorded.changes = entry.changes;
+  return { version: CHANGELOG_VERSION, entries: [recorded, ...entries] };
+};
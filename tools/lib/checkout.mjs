@@ -0,0 +1,82 @@
+// Helpers for tools that read URDFs from local repo checkouts laid out as
+// `<root>/<owner>/<repo>` instead of going through the GitHub API.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { normalizeRepoKey, toPreviewBase } from "./gallery.mjs";
+import { indexPackages } from "./meshes.mjs";
+import { formatFromPath } from "./models.mjs";
+import { expandXacro } from "./xacro.mjs";
+
+const walkFiles = async (dir) => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    if (entry.name === ".git") continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await walkFiles(fullPath)));
+    } else {
+      files.push(fullPath);
+    }
+  }
+  return files;
+};
+
+/** Returns the checkout directory for a robots.json entry, or "" if absent. */
+export const findRepoDir = async (root, entry) => {
+  const candidates = [
+    path.join(root, normalizeRepoKey(entry.repo || entry.repoKey)),
+    path.join(root, (entry.repo || "").replace(/^https?:\/\/github\.com\//, "")),
+  ];
+  for (const candidate of candidates) {
+    try {
+      if ((await fs.stat(candidate)).isDirectory()) return candidate;
+    } catch {
+      // try the next layout
+    }
+  }
+  return "";
+};
+
+/** Lists every file in a checkout as a repo-relative POSIX path. */
+export const listRepoFiles = async (repoDir) =>
+  (await walkFiles(repoDir)).map((filePath) => path.relative(repoDir, filePath).split(path.sep).join("/"));
+
+/**
+ * Picks the checkout path for a robot entry: its stored `path` when the
+ * checkout has it. Otherwise fileBase, which hashes the repo-relative path,
+ * pins down which of several same-named URDFs the entry refers to, and
+ * failing that the shortest match wins, as in refresh-robots.
+ */
+export const resolveRobotFile = (repoPaths, robot) => {
+  if (robot.path && repoPaths.includes(robot.path)) return robot.path;
+  const fileName = path.posix.basename((robot.file || "").replace(/\\/g, "/")).toLowerCase();
+  const matches = repoPaths.filter((rel) => path.posix.basename(rel).toLowerCase() === fileName);
+  if (matches.length === 0) return "";
+  const exact = robot.fileBase ? matches.find((rel) => toPreviewBase(rel) === robot.fileBase) : "";
+  return exact || [...matches].sort((a, b) => a.length - b.length || a.localeCompare(b))[0];
+};
+
+/**
+ * Loads the description text (URDF, SDF or MJCF) for a robot entry from a
+ * checkout. Entries generated from xacro (`source` set) are expanded on the
+ * fly; plain entries are resolved with resolveRobotFile. Returns
+ * `{ path, xml }` or null when the file is not in the checkout.
+ */
+export const readRobotSource = async (repoDir, repoPaths, robot) => {
+  const readFile = (rel) => fs.readFile(path.join(repoDir, rel), "utf8");
+  if (robot.source) {
+    if (!repoPaths.includes(robot.source)) return null;
+    const packages = indexPackages(repoPaths);
+    const xml = await expandXacro(await readFile(robot.source), {
+      file: robot.source,
+      readFile,
+      findPackage: (name) => packages.get(name)?.[0],
+    });
+    return { path: robot.source, xml };
+  }
+  const modelPaths = repoPaths.filter((rel) => formatFromPath(rel));
+  const rel = resolveRobotFile(modelPaths, robot);
+  return rel ? { path: rel, xml: await readFile(rel) } : null;
+};
@@ -0,0 +1,187 @@
+// Tells robots apart from the other description files robot repos carry:
+// include-only fragments (shared materials, gazebo plugins, properties) and
+// near-copies of a sibling robot (the same model with another hand, locked
+// joints or a different control mode). Works on parsed models, so refresh
+// (GitHub blobs) and extract-robot-stats (local checkouts) classify alike.
+
+// Share of link/joint names two models must have in common (Jaccard) to
+// count as variants of one another.
+export const VARIANT_SIMILARITY = 0.8;
+
+const FRAGMENT_REASONS = {
+  material: "only materials",
+  gazebo: "only gazebo tags",
+};
+
+/**
+ * Returns the reason a model is a fragment rather than a robot ("no links",
+ * "only materials", "only gazebo tags"), or "" for a robot.
+ */
+export const fragmentReason = (model) => {
+  if (model.links.some((link) => !link.virtual)) return "";
+  const elements = Object.keys(model.elementCounts || {}).filter((name) => name !== "link");
+  const only = elements.length === 1 ? FRAGMENT_REASONS[elements[0]] : "";
+  return only || "no links";
+};
+
+const signature = (model) =>
+  new Set([
+    ...model.links.filter((link) => !link.virtual).map((link) => `link:${link.name}`),
+    ...model.joints.map((joint) => `joint:${joint.name}`),
+  ]);
+
+/** Jaccard similarity of two models' link and joint names. */
+export const modelSimilarity = (a, b) => {
+  const left = a instanceof Set ? a : signature(a);
+  const right = b instanceof Set ? b : signature(b);
+  if (left.size === 0 && right.size === 0) return 1;
+  let shared = 0;
+  for (const item of left) {
+    if (right.has(item)) shared += 1;
+  }
+  return shared / (left.size + right.size - shared);
+};
+
+const namesOf = (model, field) =>
+  field === "links"
+    ? new Map(model.links.filter((link) => !link.virtual).map((link) => [link.name, link]))
+    : new Map(model.joints.map((joint) => [joint.name, joint]));
+
+/**
+ * Summarises how a variant differs from its base: `{ links, joints }`, each
+ * with sorted `added`/`removed` names, plus `changed` for joints whose type
+ * differs (e.g. "waist_yaw_joint: revolute -> fixed" on a locked variant).
+ * Empty lists and fields are omitted, so identical models give `{}`.
+ */
+export const modelDiff = (base, variant) => {
+  const diff = {};
+  for (const field of ["links", "joints"]) {
+    const [from, to] = [namesOf(base, field), namesOf(variant, field)];
+    const added = [...to.keys()].filter((name) => !from.has(name)).sort();
+    const removed = [...from.keys()].filter((name) => !to.has(name)).sort();
+    const changed =
+      field === "joints"
+        ? [...to.values()]
+            .filter((joint) => from.has(joint.name) && from.get(joint.name).type !== joint.type)
+            .map((joint) => `${joint.name}: ${from.get(joint.name).type} -> ${joint.type}`)
+            .sort()
+        : [];
+    const summary = {};
+    if (added.length) summary.added = added;
+    if (removed.length) summary.removed = removed;
+    if (changed.length) summary.changed = changed;
+    if (Object.keys(summary).length) diff[field] = summary;
+  }
+  return diff;
+};
+
+/** What sets a variant apart from its base by name: "mode_11" for "g1_29dof_mode_11". */
+export const variantLabel = (name, baseName) => {
+  const rest = baseName && name.startsWith(baseName) ? name.slice(baseName.length).replace(/^[-_.\s]+/, "") : "";
+  return rest || name;
+};
+
+// The member most others are named after ("g1_29dof" for
+// "g1_29dof_mode_11"), then the shortest name, then alphabetical.
+const pickBase = (members) => {
+  const prefixCount = (member) =>
+    members.filter((other) => other !== member && other.name.startsWith(member.name)).length;
+  return [...members].sort(
+    (a, b) => prefixCount(b) - prefixCount(a) || a.name.length - b.name.length || a.name.localeCompare(b.name)
+  )[0];
+};
+
+/**
+ * The classifier's view of a robots.json robot. A robot with
+ * `variantDeclared` keeps the `variantOf` (and `variantLabel`) a maintainer
+ * set by hand instead of being matched by similarity.
+ */
+export const classifyItem = (robot, model) => ({
+  key: robot.fileBase || "",
+  name: robot.name || robot.file || "",
+  model,
+  declared: robot.variantDeclared && robot.variantOf ? { variantOf: robot.variantOf, label: robot.variantLabel } : null,
+});
+
+/**
+ * Classifies the robots of one repo entry. `items` come from `classifyItem`
+ * (`key` is the fileBase, `model` null when the file couldn't be parsed).
+ * Returns one result per item, in order: `{ kind: "robot" }`,
+ * `{ kind: "fragment", reason }` or `{ kind: "variant", variantOf, label,
+ * diff, similarity, declared? }`, or null for unparsed items. Detected
+ * variants are grouped transitively, and every member of a group points at
+ * the same base, which stays a robot.
+ */
+export const classifyRobots = (items, { similarity = VARIANT_SIMILARITY } = {}) => {
+  const results = items.map((item) => {
+    if (!item.model) return null;
+    if (item.declared) return { kind: "variant", variantOf: item.declared.variantOf, declared: true };
+    const reason = fragmentReason(item.model);
+    return reason ? { kind: "fragment", reason } : { kind: "robot" };
+  });
+
+  const robots = items
+    .map((item, index) => ({ ...item, index, signature: item.model && signature(item.model) }))
+    .filter((item) => item.key && results[item.index]?.kind === "robot");
+  const parent = robots.map((_, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  for (let i = 0; i < robots.length; i += 1) {
+    for (let j = i + 1; j < robots.length; j += 1) {
+      if (modelSimilarity(robots[i].signature, robots[j].signature) >= similarity) parent[find(j)] = find(i);
+    }
+  }
+  const groups = new Map();
+  robots.forEach((robot, index) => {
+    const root = find(index);
+    groups.set(root, [...(groups.get(root) || []), robot]);
+  });
+  for (const members of groups.values()) {
+    if (members.length < 2) continue;
+    const base = pickBase(members);
+    for (const member of members) {
+      if (member === base) continue;
+      results[member.index] = { kind: "variant", variantOf: base.key };
+    }
+  }
+
+  // Labels and diffs are taken against the base; a declared base that was
+  // itself detected as a variant is followed to its own base.
+  const byKey = new Map(items.map((item, index) => [item.key, index]).filter(([key]) => key));
+  items.forEach((item, index) => {
+    const result = results[index];
+    if (result?.kind !== "variant") return;
+    let baseIndex = byKey.get(result.variantOf);
+    const seen = new Set([index]);
+    while (results[baseIndex]?.kind === "variant" && !seen.has(baseIndex)) {
+      seen.add(baseIndex);
+      baseIndex = byKey.get(results[baseIndex].variantOf);
+    }
+    const base = items[baseIndex];
+    if (base && !seen.has(baseIndex)) result.variantOf = base.key;
+    result.label = item.declared?.label || variantLabel(item.name, base?.name || "");
+    if (base?.model) {
+      result.diff = modelDiff(base.model, item.model);
+      result.similarity = Math.round(modelSimilarity(item.model, base.model) * 100) / 100;
+    }
+  });
+  return results;
+};
+
+const KIND_FIELDS = ["kind", "variantOf", "variantLabel", "variantDeclared", "variantDiff"];
+
+/**
+ * Writes a classification onto a robots.json robot. Plain robots carry no
+ * `kind`, the same way a missing `format` means URDF; `variantDiff` is
+ * left out when a variant only differs in its file.
+ */
+export const applyKind = (robot, result) => {
+  if (!result) return robot;
+  for (const field of KIND_FIELDS) delete robot[field];
+  if (result.kind === "fragment") robot.kind = "fragment";
+  if (result.kind === "variant") {
+    Object.assign(robot, { kind: "variant", variantOf: result.variantOf, variantLabel: result.label });
+    if (result.declared) robot.variantDeclared = true;
+    if (result.diff && Object.keys(result.diff).length) robot.variantDiff = result.diff;
+  }
+  return robot;
+};
@@ -0,0 +1,203 @@
+// Atom and JSON Feed of robots added to the gallery, written to docs/feed.xml
+// and docs/feed.json by tools/build-feeds.mjs. Feeds need absolute URLs, so
+// everything is resolved against the gallery's public address.
+
+import { normalizeRepoKey, SITE_URL } from "./gallery.mjs";
+import { childElements, firstChild, parseXml, serializeXml, textContent } from "./xml.mjs";
+
+export const FEED_TITLE = "URDF Robot Gallery: new robots";
+export const FEED_LIMIT = 50;
+
+const ATOM_NS = "http://www.w3.org/2005/Atom";
+const MEDIA_NS = "http://search.yahoo.com/mrss/";
+const JSON_FEED_VERSION = "https://jsonfeed.org/version/1.1";
+// `updated` of a feed with no items; it has to be a date.
+const EPOCH = "1970-01-01T00:00:00.000Z";
+
+// Same deep link as the gallery's robotHref().
+export const robotUrl = (siteUrl, repoKey, fileBase) =>
+  new URL(`#/r/${repoKey.split("/").map(encodeURIComponent).join("/")}/${encodeURIComponent(fileBase)}`, siteUrl)
+    .href;
+
+const isoDate = (value) => {
+  const time = Date.parse(value || "");
+  return Number.isFinite(time) ? new Date(time).toISOString() : "";
+};
+
+/**
+ * One item per catalogued robot (fragments excluded), newest first. A robot
+ * is dated by the changelog entry that first added it, or by its repo
+ * entry's `updatedAt` when it predates the changelog.
+ */
+export const feedItems = ({ catalog, changelog = {}, previews = {}, siteUrl = SITE_URL, limit = FEED_LIMIT }) => {
+  const addedAt = new Map();
+  // Entries are newest first; the oldest "added" wins.
+  for (const entry of Array.isArray(changelog.entries) ? changelog.entries : []) {
+    for (const robot of entry.changes?.robots?.added || []) {
+      const date = isoDate(entry.date);
+      if (date) addedAt.set(`${robot.repoKey}::${robot.fileBase}`, date);
+    }
+  }
+  const images = new Map(
+    (previews.previews || [])
+      .filter((preview) => preview.png)
+      .map((preview) => [`${preview.repoKey}::${preview.fileBase}`, new URL(preview.png, siteUrl).href])
+  );
+
+  const items = [];
+  for (const entry of Array.isArray(catalog) ? catalog : []) {
+    const repoKey = normalizeRepoKey(entry.repo || entry.repoKey);
+    if (!repoKey) continue;
+    for (const robot of Array.isArray(entry.robots) ? entry.robots : []) {
+      if (!robot || typeof robot === "string" || !robot.fileBase || robot.kind === "fragment") continue;
+      const key = `${repoKey}::${robot.fileBase}`;
+      const date = addedAt.get(key) || isoDate(entry.updatedAt);
+      if (!date) continue;
+      const url = robotUrl(siteUrl, repoKey, robot.fileBase);
+      const name = robot.name || robot.file;
+      const item = {
+        id: url,
+        url,
+        title: `${name} (${repoKey})`,
+        summary: entry.summary || `${name} from ${repoKey}.`,
+        date,
+        tags: Array.isArray(entry.tags) ? entry.tags : [],
+        repoKey,
+        fileBase: robot.fileBase,
+      };
+      if (images.has(key)) item.image = images.get(key);
+      items.push(item);
+    }
+  }
+  return items
+    .sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title))
+    .slice(0, limit);
+};
+
+const element = (name, attributes = {}, children = []) => ({
+  type: "element",
+  name,
+  attributes,
+  children: typeof children === "string" ? [{ type: "text", value: children }] : children,
+});
+
+/** Renders items as an Atom 1.0 document. */
+export const renderAtom = (items, { siteUrl = SITE_URL, title = FEED_TITLE } = {}) => {
+  const entries = items.map((item) =>
+    element("entry", {}, [
+      element("id", {}, item.id),
+      element("title", {}, item.title),
+      element("link", { rel: "alternate", type: "text/html", href: item.url }),
+      element("published", {}, item.date),
+      element("updated", {}, item.date),
+      element("summary", {}, item.summary),
+      ...item.tags.map((tag) => element("category", { term: tag })),
+      ...(item.image
+        ? [
+            element("link", { rel: "enclosure", type: "image/png", href: item.image }),
+            element("media:thumbnail", { url: item.image }),
+          ]
+        : []),
+    ])
+  );
+  const feed = element("feed", { xmlns: ATOM_NS, "xmlns:media": MEDIA_NS }, [
+    element("id", {}, siteUrl),
+    element("title", {}, title),
+    element("link", { rel: "alternate", type: "text/html", href: siteUrl }),
+    element("link", { rel: "self", type: "application/atom+xml", href: new URL("feed.xml", siteUrl).href }),
+    element("updated", {}, items[0]?.date || EPOCH),
+    element("author", {}, [element("name", {}, "URDF Robot Gallery")]),
+    ...entries,
+  ]);
+  return `<?xml version="1.0" encoding="utf-8"?>\n${serializeXml(feed)}\n`;
+};
+
+/** Renders items as a JSON Feed 1.1 object. */
+export const renderJsonFeed = (items, { siteUrl = SITE_URL, title = FEED_TITLE } = {}) => ({
+  version: JSON_FEED_VERSION,
+  title,
+  home_page_url: siteUrl,
+  feed_url: new URL("feed.json", siteUrl).href,
+  items: items.map((item) => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    content_text: item.summary,
+    date_published: item.date,
+    ...(item.image && { image: item.image }),
+    tags: item.tags,
+    _gallery: { repoKey: item.repoKey, fileBase: item.fileBase },
+  })),
+});
+
+const isAbsoluteUrl = (value) => {
+  try {
+    return Boolean(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const isDate = (value) => typeof value === "string" && isoDate(value) !== "";
+
+/**
+ * Checks both feeds against the parts of the Atom and JSON Feed specs that
+ * readers rely on (required elements, absolute URLs, RFC 3339 dates, unique
+ * ids) and that both list the same items. Returns a list of problems.
+ */
+export const checkFeeds = ({ atom, json }) => {
+  const errors = [];
+  let root;
+  try {
+    root = parseXml(atom);
+  } catch (error) {
+    return [`feed.xml: ${error.message}`];
+  }
+  if (root.name !== "feed" || root.attributes.xmlns !== ATOM_NS) {
+    errors.push(`feed.xml: root must be <feed xmlns="${ATOM_NS}">`);
+  }
+  for (const name of ["id", "title", "updated"]) {
+    if (!textContent(firstChild(root, name)).trim()) errors.push(`feed.xml: feed is missing <${name}>`);
+  }
+  if (!isDate(textContent(firstChild(root, "updated")))) errors.push("feed.xml: feed <updated> is not a date");
+  if (!firstChild(root, "author")) errors.push("feed.xml: feed is missing <author>");
+  const atomIds = [];
+  childElements(root, "entry").forEach((entry, index) => {
+    const id = textContent(firstChild(entry, "id")).trim();
+    const where = `feed.xml: entry ${index + 1}${id ? ` (${id})` : ""}`;
+    if (!isAbsoluteUrl(id)) errors.push(`${where}: <id> must be an absolute URL`);
+    if (!textContent(firstChild(entry, "title")).trim()) errors.push(`${where}: missing <title>`);
+    if (!isDate(textContent(firstChild(entry, "updated")))) errors.push(`${where}: <updated> is not a date`);
+    const links = childElements(entry, "link");
+    if (!links.some((link) => link.attributes.rel === "alternate" && isAbsoluteUrl(link.attributes.href))) {
+      errors.push(`${where}: missing an absolute alternate <link>`);
+    }
+    atomIds.push(id);
+  });
+
+  if (json?.version !== JSON_FEED_VERSION) errors.push(`feed.json: version must be ${JSON_FEED_VERSION}`);
+  if (!json?.title) errors.push("feed.json: missing title");
+  if (!Array.isArray(json?.items)) return [...errors, "feed.json: items must be an array"];
+  const jsonIds = [];
+  json.items.forEach((item, index) => {
+    const where = `feed.json: item ${index + 1}${item?.id ? ` (${item.id})` : ""}`;
+    if (typeof item?.id !== "string" || !item.id) errors.push(`${where}: missing id`);
+    if (!item?.content_text && !item?.content_html) errors.push(`${where}: needs content_text or content_html`);
+    for (const field of ["url", "image"]) {
+      if (item?.[field] === undefined || isAbsoluteUrl(item[field])) continue;
+      errors.push(`${where}: ${field} must be absolute`);
+    }
+    if (!isDate(item?.date_published)) errors.push(`${where}: date_published is not a date`);
+    jsonIds.push(item?.id);
+  });
+
+  for (const [name, ids] of [
+    ["feed.xml", atomIds],
+    ["feed.json", jsonIds],
+  ]) {
+    const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+    if (duplicates.length) errors.push(`${name}: duplicate ids: ${[...new Set(duplicates)].join(", ")}`);
+  }
+  if (atomIds.join("\n") !== jsonIds.join("\n")) errors.push("feed.xml and feed.json list different items");
+  return errors;
+};
@@ -0,0 +1,86 @@
+// Naming and argument helpers shared by the tools and the workflow scripts.
+// Preview keys derived here name files under docs/previews/, docs/thumbnails/
+// and docs/manifests/, so any change to them renames published assets; the
+// golden file in test/golden/preview-keys.json pins the current output.
+
+const MODEL_EXTENSION = /\.(urdf|sdf|xml)$/i;
+
+/** Public address of the gallery; files under docs/ are served relative to it. */
+export const SITE_URL = "https://www.urdfstudio.com/";
+
+export const slugify = (value) =>
+  value
+    .trim()
+    .replace(MODEL_EXTENSION, "")
+    .replace(/[^a-zA-Z0-9._-]+/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "")
+    .toLowerCase();
+
+/** 32-bit FNV-1a over UTF-16 code units, in base 36. */
+export const hashString = (value) => {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i += 1) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * `fileBase` for a robot file: the slugged basename plus a hash of the full
+ * repo path, so equally named files in different directories don't collide.
+ * Always pass the path within the repo, never just the basename.
+ */
+export const toPreviewBase = (value) => {
+  const normalized = value.replace(/\\/g, "/").replace(MODEL_EXTENSION, "");
+  const name = normalized.split("/").pop() || normalized;
+  const slug = slugify(name) || "robot";
+  return `${slug}--${hashString(normalized)}`;
+};
+
+/** "owner/repo" in lower case from a GitHub URL or repo key. */
+export const normalizeRepoKey = (value) =>
+  value
+    ? value
+        .replace(/^https?:\/\/github\.com\//, "")
+        .split("/")
+        .slice(0, 2)
+        .join("/")
+        .toLowerCase()
+    : "";
+
+/** `{ owner, repo }` with the original casing, or null. */
+export const parseRepo = (repoUrl) => {
+  if (!repoUrl) return null;
+  const cleaned = repoUrl.replace(/^https?:\/\/github\.com\//, "").replace(/\.git$/i, "");
+  const [owner, repo] = cleaned.split("/");
+  if (!owner || !repo) return null;
+  return { owner, repo };
+};
+
+/**
+ * `--key value` pairs into a Map; a flag without a value maps to true.
+ * Arguments not starting with "--" are ignored, and everything after a bare
+ * "--" is collected under "_" for tools that pass arguments through.
+ */
+export const parseArgs = (argv = process.argv.slice(2)) => {
+  const args = new Map();
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === "--") {
+      args.set("_", argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith("--")) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next && !next.startsWith("--")) {
+      args.set(key, next);
+      i += 1;
+    } else {
+      args.set(key, true);
+    }
+  }
+  return args;
+};
@@ -0,0 +1,159 @@
+// GitHub REST client for the tools that scan robot repos. Three backends:
+//
+//   live    requests api.github.com
+//   record  requests api.github.com and saves every response under a
+//           fixture directory
+//   replay  serves the saved responses and never touches the network
+//
+// Live requests are retried on 429/5xx with exponential backoff, and a 403
+// with an exhausted rate limit waits until the reset time instead of failing.
+// Non-200 responses are recorded too, so replayed runs fail the same way.
+
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import https from "node:https";
+import path from "node:path";
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Git blob SHA-1 of some file contents, i.e. the `sha` a tree listing would
+ * show for them. Used for files that only exist locally, like expanded xacro.
+ */
+export const gitBlobSha = (content) => {
+  const data = Buffer.from(content, "utf8");
+  return createHash("sha1").update(`blob ${data.length}\0`).update(data).digest("hex");
+};
+
+const RETRYABLE = [429, 500, 502, 503, 504];
+const RATE_LIMIT_HEADERS = ["x-ratelimit-remaining", "x-ratelimit-reset"];
+
+// Backends resolve with `{ status, headers, body }`; only transport
+// failures reject.
+const liveBackend = (headers) => (url) =>
+  new Promise((resolve, reject) => {
+    const request = https.get(url, { headers }, (res) => {
+      let data = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        data += chunk;
+      });
+      res.on("end", () => {
+        let body = null;
+        try {
+          body = data ? JSON.parse(data) : null;
+        } catch (error) {
+          if (res.statusCode === 200) {
+            reject(error);
+            return;
+          }
+        }
+        const kept = Object.fromEntries(
+          RATE_LIMIT_HEADERS.filter((name) => res.headers[name] !== undefined).map((name) => [name, res.headers[name]])
+        );
+        resolve({ status: res.statusCode, headers: kept, body });
+      });
+    });
+    request.on("error", reject);
+  });
+
+const safeSegment = (value) => value.replace(/[^A-Za-z0-9._@=,+-]/gu, (char) => encodeURIComponent(char));
+
+/**
+ * Fixture file for a request URL: the API path with the query string
+ * appended after "@", e.g. repos/o/r/git/trees/main@recursive=1.json.
+ */
+export const fixturePath = (dir, url) => {
+  const { pathname, search } = new URL(url);
+  const segments = pathname.split("/").filter(Boolean).map((segment) => decodeURIComponent(segment));
+  const name = `${segments.pop() || "index"}${search ? `@${search.slice(1)}` : ""}.json`;
+  return path.join(dir, ...segments.map(safeSegment), safeSegment(name));
+};
+
+const recordBackend = (backend, dir) => async (url) => {
+  const response = await backend(url);
+  const target = fixturePath(dir, url);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, JSON.stringify({ url, status: response.status, body: response.body }, null, 2));
+  return response;
+};
+
+const replayBackend = (dir) => async (url) => {
+  const target = fixturePath(dir, url);
+  let raw;
+  try {
+    raw = await fs.readFile(target, "utf8");
+  } catch {
+    throw new Error(`No recorded response for ${url} (expected ${target}; re-run with --record)`);
+  }
+  const { status, body } = JSON.parse(raw);
+  return { status, headers: {}, body };
+};
+
+const withRetries = (backend, { maxRetries, retryDelayMs, logPrefix }) => async (url) => {
+  let attempt = 0;
+  while (true) {
+    const response = await backend(url);
+    if (response.status === 200) return response;
+    attempt += 1;
+    const remaining = Number(response.headers["x-ratelimit-remaining"] || "");
+    const reset = Number(response.headers["x-ratelimit-reset"] || "");
+    if (response.status === 403 && Number.isFinite(remaining) && remaining === 0 && reset) {
+      const waitMs = Math.max(reset * 1000 - Date.now() + 1000, retryDelayMs);
+      console.warn(`${logPrefix} rate limit hit, waiting ${Math.ceil(waitMs / 1000)}s`);
+      await sleep(waitMs);
+      continue;
+    }
+    if (!RETRYABLE.includes(response.status) || attempt > maxRetries) {
+      return response;
+    }
+    const delay = retryDelayMs * Math.pow(2, attempt - 1);
+    console.warn(`${logPrefix} retry ${attempt}/${maxRetries} after ${delay}ms (${response.status})`);
+    await sleep(delay);
+  }
+};
+
+/**
+ * Returns `{ mode, fetch }`, where `fetch(url)` resolves with the parsed JSON
+ * body and rejects with `error.statusCode` set for non-200 responses.
+ * `fixtures` selects replay mode, or record mode together with `record`.
+ * `userAgent` identifies the tool and `logPrefix` tags retry warnings.
+ */
+export const createGithubClient = ({
+  token = "",
+  userAgent = "urdf-robot-gallery",
+  maxRetries = 3,
+  retryDelayMs = 1000,
+  logPrefix = "[github]",
+  fixtures = "",
+  record = false,
+} = {}) => {
+  const mode = !fixtures ? "live" : record ? "record" : "replay";
+  const headers = {
+    Accept: "application/vnd.github.v3+json",
+    "User-Agent": userAgent,
+    ...(token ? { Authorization: `token ${token}` } : {}),
+  };
+  const backend =
+    mode === "replay"
+      ? replayBackend(fixtures)
+      : withRetries(mode === "record" ? recordBackend(liveBackend(headers), fixtures) : liveBackend(headers), {
+          maxRetries,
+          retryDelayMs,
+          logPrefix,
+        });
+
+  return {
+    mode,
+    fetch: async (url) => {
+      const response = await backend(url);
+      if (response.status !== 200) {
+        const error = new Error(`GitHub API ${response.status} for ${url}`);
+        error.statusCode = response.status;
+        error.headers = response.headers;
+        throw error;
+      }
+      return response.body;
+    },
+  };
+};
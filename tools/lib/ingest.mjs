@@ -0,0 +1,446 @@
+// Turns a robot submission issue into a robots.json update. All GitHub
+// access goes through a `source` object so the same logic runs in the ingest
+// workflow (backed by Octokit) and offline in tools/ingest-submission.mjs
+// (backed by a tree fixture or a local checkout).
+//
+// The source provides:
+//   getRepo({ owner, repo })                   -> { defaultBranch }, throws if inaccessible
+//   getPermission({ owner, repo, username })   -> "admin" | "maintain" | "write" | ...
+//   getTree({ owner, repo, ref })              -> [{ path, type, sha }], throws if missing
+//   readBlob({ owner, repo, path, sha })       -> file contents
+//   listRecentIssues({ author, limit })        -> [{ number, created_at, pull_request }]
+//   listComments({ number })                   -> [comment body]
+
+import { appendChangelog, diffCatalogs, hasChanges } from "./catalog-diff.mjs";
+import { normalizeRepoKey, toPreviewBase } from "./gallery.mjs";
+import {
+  clean,
+  normalizeTagKey,
+  parseIssueFields,
+  parseLines,
+  parseRepoUrl,
+  parseRobotMapping,
+  parseTags,
+  TAG_ALIASES,
+} from "./issues.mjs";
+import { LINK_FIELDS, normalizeHfDataset } from "./links.mjs";
+import { discoverModels, modelName } from "./models.mjs";
+import { generateXacroRobots } from "./xacro.mjs";
+
+export const MAINTAINERS = ["amtellezfernandez", "urdf-studio"];
+
+const FAILURE_STREAK_LIMIT = 3;
+const NO_URDF_LIMIT = 3;
+const NO_URDF_WINDOW_DAYS = 30;
+const ISSUE_LOOKBACK = 20;
+
+export const NO_ROBOTS_PREFIX = "Auto-ingest: no .urdf files were detected";
+export const SUCCESS_PREFIX = "Auto-ingest: updated robots.json on main.";
+
+const FAILURE_PREFIXES = [
+  NO_ROBOTS_PREFIX,
+  "Auto-ingest: missing GitHub repo URL.",
+  "Auto-ingest: couldn't parse repo URL:",
+  "Auto-ingest: couldn't access",
+];
+
+export const isMaintainer = (login) => MAINTAINERS.includes((login || "").toLowerCase());
+
+/**
+ * Looks at the author's recent submissions, newest first. Authors whose last
+ * submissions failed FAILURE_STREAK_LIMIT times in a row, or who filed
+ * NO_URDF_LIMIT repos without robots within NO_URDF_WINDOW_DAYS, are routed
+ * to manual review. Returns `{ throttled, failureStreak, noUrdfCount }`.
+ */
+export const checkThrottle = async (source, { author, issueNumber, now = new Date() }) => {
+  const noUrdfSince = new Date(now.getTime() - NO_URDF_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const recentIssues = await source.listRecentIssues({ author, limit: ISSUE_LOOKBACK });
+
+  const getOutcome = async (number, createdAt) => {
+    const bodies = await source.listComments({ number });
+    const hasSuccess = bodies.some((body) => body.startsWith(SUCCESS_PREFIX));
+    const hasFailure = bodies.some((body) => FAILURE_PREFIXES.some((prefix) => body.startsWith(prefix)));
+    const hasNoUrdf = bodies.some((body) => body.startsWith(NO_ROBOTS_PREFIX));
+    const createdDate = createdAt ? new Date(createdAt) : null;
+    const inNoUrdfWindow = createdDate ? createdDate >= noUrdfSince : false;
+    return { success: hasSuccess, failure: hasFailure, noUrdf: hasNoUrdf && inNoUrdfWindow };
+  };
+
+  let failureStreak = 0;
+  let noUrdfCount = 0;
+  for (const item of recentIssues) {
+    if (item.pull_request) continue;
+    if (item.number === issueNumber) continue;
+    const outcome = await getOutcome(item.number, item.created_at);
+    if (outcome.noUrdf) noUrdfCount += 1;
+    if (outcome.success) break;
+    if (outcome.failure) {
+      failureStreak += 1;
+      if (failureStreak >= FAILURE_STREAK_LIMIT) break;
+      continue;
+    }
+    if (failureStreak > 0) break;
+  }
+  return {
+    throttled: failureStreak >= FAILURE_STREAK_LIMIT || noUrdfCount >= NO_URDF_LIMIT,
+    failureStreak,
+    noUrdfCount,
+  };
+};
+
+// A /tree/<branch>/<path> submission is read from that subtree; if the
+// subtree can't be fetched directly, the root tree is filtered instead.
+// Paths always come back relative to the repo root.
+const fetchTree = async (source, { owner, repo, branch, path }) => {
+  let tree;
+  try {
+    tree = await source.getTree({ owner, repo, ref: path ? `${branch}:${path}` : branch });
+  } catch {
+    if (!path) return [];
+    const rootTree = await source.getTree({ owner, repo, ref: branch });
+    tree = rootTree.filter((entry) => entry.path.startsWith(path));
+  }
+  const normalizedPath = path ? path.replace(/^\/+|\/+$/g, "") : "";
+  const hasPrefix = normalizedPath && tree.some((entry) => entry.path && entry.path.startsWith(`${normalizedPath}/`));
+  return normalizedPath && !hasPrefix
+    ? tree.map((entry) => (entry.path ? { ...entry, path: `${normalizedPath}/${entry.path}` } : entry))
+    : tree;
+};
+
+const pickBestPath = (paths) => {
+  if (!Array.isArray(paths) || paths.length === 0) return "";
+  return [...paths].sort((a, b) => a.length - b.length || a.localeCompare(b))[0];
+};
+
+// Xacro-only repos: expand the xacro entry points and publish the URDFs
+// under docs/generated/. Failing that, list SDF and MJCF models as they are.
+const detectFallbackRobots = async (source, { owner, repo, tree }) => {
+  const blobShas = new Map(tree.filter((entry) => entry.type === "blob").map((entry) => [entry.path, entry.sha]));
+  const readFile = async (filePath) => {
+    if (!blobShas.has(filePath)) throw new Error("not found in tree");
+    return source.readBlob({ owner, repo, path: filePath, sha: blobShas.get(filePath) });
+  };
+  const { generated, failed } = await generateXacroRobots([...blobShas.keys()], readFile);
+  const xacroRobots = generated.map((item) => {
+    const fileName = item.path.split("/").pop() || item.path;
+    const fileBase = toPreviewBase(item.path);
+    return {
+      name: fileName.replace(/\.urdf$/i, ""),
+      file: fileName,
+      fileBase,
+      source: item.source,
+      generated: `generated/${owner}/${repo}/${fileBase}.urdf`.toLowerCase(),
+      urdf: item.urdf,
+    };
+  });
+  const failures = failed.map((failure) => `${failure.source} (${failure.error})`);
+  if (xacroRobots.length) return { xacroRobots, modelRobots: [], failures };
+
+  const { found, failed: failedModels } = await discoverModels([...blobShas.keys()], readFile);
+  const modelRobots = found.map((item) => ({
+    name: modelName(item.path),
+    file: item.path.split("/").pop() || item.path,
+    fileBase: toPreviewBase(item.path),
+    path: item.path,
+    format: item.format,
+  }));
+  failures.push(...failedModels.map((failure) => `${failure.path} (${failure.error})`));
+  return { xacroRobots: [], modelRobots, failures };
+};
+
+// Fields from the issue only replace existing values when non-empty.
+const mergeEntry = (prev, entry) => {
+  const mergeValue = (value, fallback) => (value !== undefined && value !== "" ? value : fallback);
+  const mergeArray = (value, fallback) => (Array.isArray(value) && value.length ? value : fallback);
+  return {
+    ...prev,
+    repo: entry.repo || prev.repo,
+    repoKey: entry.repoKey,
+    path: mergeValue(entry.path, prev.path),
+    org: mergeValue(entry.org, prev.org),
+    summary: mergeValue(entry.summary, prev.summary),
+    demo: mergeValue(entry.demo, prev.demo),
+    tags: mergeArray(entry.tags, prev.tags),
+    robots: mergeArray(entry.robots, prev.robots),
+    hfDatasets: mergeArray(entry.hfDatasets, prev.hfDatasets),
+    authorWebsite: mergeValue(entry.authorWebsite, prev.authorWebsite),
+    authorX: mergeValue(entry.authorX, prev.authorX),
+    authorLinkedin: mergeValue(entry.authorLinkedin, prev.authorLinkedin),
+    authorGithub: mergeValue(entry.authorGithub, prev.authorGithub),
+    contact: mergeValue(entry.contact, prev.contact),
+    extra: mergeValue(entry.extra, prev.extra),
+    updatedAt: entry.updatedAt,
+  };
+};
+
+/**
+ * Runs one submission. `issue` is `{ number, title, body, author }`,
+ * `robots` the current robots.json array (left untouched) and `allowedTags`
+ * the contents of docs/tags.json.
+ *
+ * Returns `{ status, title, comments, close, robots, entry, generatedFiles,
+ * dispatch }`. `comments` are `{ prefix, body }`; a comment with a prefix is
+ * skipped when a bot comment starting with it already exists. `robots` is
+ * the updated array, or null when nothing should be written.
+ */
+export const ingestSubmission = async (source, { issue, robots, allowedTags, now = new Date() }) => {
+  const result = {
+    status: "",
+    title: null,
+    comments: [],
+    close: false,
+    robots: null,
+    entry: null,
+    generatedFiles: [],
+    dispatch: null,
+  };
+  const stop = (status, prefix, body) => {
+    result.status = status;
+    result.comments.push({ prefix, body });
+    return result;
+  };
+
+  const issueAuthor = issue.author || "";
+  const maintainer = isMaintainer(issueAuthor);
+  if (!maintainer && issueAuthor) {
+    const throttle = await checkThrottle(source, { author: issueAuthor, issueNumber: issue.number, now });
+    if (throttle.throttled) {
+      return stop(
+        "throttled",
+        "Auto-ingest: repeated failed submissions.",
+        `Auto-ingest: repeated failed submissions from ${issueAuthor}. ` +
+          "This submission will be reviewed manually by a maintainer."
+      );
+    }
+  }
+
+  const body = issue.body || "";
+  const fields = parseIssueFields(body);
+  let repoUrl = clean(fields["GitHub repo URL"]);
+  if (!repoUrl) {
+    const match = body.match(/https?:\/\/github\.com\/[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+(?:\/[^\s\)]*)?/);
+    if (match) repoUrl = match[0];
+  }
+  if (!repoUrl) {
+    return stop("missing-url", "Auto-ingest: missing GitHub repo URL.", "Auto-ingest: missing GitHub repo URL.");
+  }
+
+  const repoInfo = parseRepoUrl(repoUrl);
+  if (!repoInfo || repoInfo.error) {
+    return stop(
+      "invalid-url",
+      "Auto-ingest: couldn't parse repo URL:",
+      repoInfo && repoInfo.error === "missing-repo"
+        ? `Auto-ingest: please provide a full GitHub repo URL (owner/repo). I received an org URL: ${repoUrl}\nExample: https://github.com/TheRobotStudio/SO-ARM100`
+        : `Auto-ingest: couldn't parse repo URL: ${repoUrl}`
+    );
+  }
+
+  const { owner, repo, path } = repoInfo;
+  const desiredTitle = `robot-showcase-request: ${owner}/${repo}`;
+  if ((issue.title || "").trim() !== desiredTitle) {
+    result.title = desiredTitle;
+  }
+
+  const existing = Array.isArray(robots) ? robots : [];
+  const tagList = Array.isArray(allowedTags) ? allowedTags : [];
+  const allowedTagMap = new Map(tagList.map((tag) => [normalizeTagKey(tag), tag]));
+
+  const repoKey = `${owner}/${repo}`.toLowerCase();
+  if (existing.some((item) => normalizeRepoKey(item.repo || item.repoKey) === repoKey)) {
+    result.close = true;
+    return stop(
+      "already-included",
+      "Auto-ingest: repo already included.",
+      `Auto-ingest: ${owner}/${repo} is already included in the gallery. Closing this issue.`
+    );
+  }
+
+  let defaultBranch;
+  try {
+    defaultBranch = (await source.getRepo({ owner, repo })).defaultBranch || "main";
+  } catch {
+    return stop("inaccessible", "Auto-ingest: couldn't access", `Auto-ingest: couldn't access ${owner}/${repo}.`);
+  }
+
+  let hasWriteAccess = false;
+  if (!maintainer && issueAuthor) {
+    try {
+      const level = await source.getPermission({ owner, repo, username: issueAuthor });
+      hasWriteAccess = ["admin", "maintain", "write"].includes(level || "");
+    } catch {
+      hasWriteAccess = false;
+    }
+  }
+  if (!maintainer && !hasWriteAccess) {
+    return stop(
+      "manual-review",
+      "Auto-ingest: manual review required.",
+      `Auto-ingest: manual review required. ${issueAuthor || "The submitter"} does not appear to have write access to ${owner}/${repo}. ` +
+        "This submission will be reviewed manually by a maintainer."
+    );
+  }
+
+  const tree = await fetchTree(source, { owner, repo, branch: defaultBranch, path });
+  const urdfFiles = tree
+    .filter((entry) => entry.type === "blob" && entry.path.toLowerCase().endsWith(".urdf"))
+    .map((entry) => entry.path);
+  const fallback = urdfFiles.length
+    ? { xacroRobots: [], modelRobots: [], failures: [] }
+    : await detectFallbackRobots(source, { owner, repo, tree });
+  const { xacroRobots, modelRobots } = fallback;
+  if (urdfFiles.length === 0 && xacroRobots.length === 0 && modelRobots.length === 0) {
+    const failureHint = fallback.failures.length
+      ? `These files could not be read as robots: ${fallback.failures.slice(0, 3).join("; ")}. `
+      : "";
+    return stop(
+      "no-robots",
+      NO_ROBOTS_PREFIX,
+      `${NO_ROBOTS_PREFIX} in ${owner}/${repo}. ` +
+        failureHint +
+        "Supported formats are URDF, xacro, SDF and MJCF. " +
+        "Please add a robot description or point to the correct path and re-open this issue."
+    );
+  }
+
+  const normalizedTags = [];
+  const invalidTags = [];
+  for (const tag of parseTags(clean(fields["Tags (optional)"]))) {
+    const key = normalizeTagKey(tag);
+    const canonical = TAG_ALIASES.get(key) || allowedTagMap.get(key);
+    if (!canonical) {
+      invalidTags.push(tag);
+      continue;
+    }
+    if (!normalizedTags.includes(canonical)) normalizedTags.push(canonical);
+  }
+  if (invalidTags.length > 0) {
+    const allowedText = tagList.length ? `Allowed tags: ${tagList.join(", ")}.` : "Allowed tags list is unavailable.";
+    return stop(
+      "invalid-tags",
+      "Auto-ingest: invalid tags.",
+      `Auto-ingest: invalid tags provided: ${invalidTags.join(", ")}. ${allowedText}`
+    );
+  }
+
+  const mapping = parseRobotMapping(clean(fields["Robot mapping (optional)"]));
+  const urdfFileNameMap = new Map();
+  for (const filePath of urdfFiles) {
+    const key = (filePath.split("/").pop() || filePath).toLowerCase();
+    if (!urdfFileNameMap.has(key)) urdfFileNameMap.set(key, []);
+    urdfFileNameMap.get(key).push(filePath);
+  }
+  const mappedRobots = [];
+  const mappedFileBases = new Set();
+  for (const robot of mapping) {
+    const rawFile = (robot.file || "").trim();
+    if (!rawFile) continue;
+    const candidate = rawFile.toLowerCase().endsWith(".urdf") ? rawFile : `${rawFile}.urdf`;
+    const actualPath = pickBestPath(urdfFileNameMap.get(candidate.toLowerCase()));
+    if (!actualPath) continue;
+    const fileName = actualPath.split("/").pop() || actualPath;
+    const name = (robot.name || fileName.replace(/\.urdf$/i, "")).trim();
+    const fileBase = toPreviewBase(actualPath);
+    mappedRobots.push({ name, file: fileName, fileBase, path: actualPath });
+    mappedFileBases.add(fileBase);
+  }
+  const detectedRobots = urdfFiles.length
+    ? urdfFiles.map((filePath) => ({
+        name: (filePath.split("/").pop() || filePath).replace(/\.urdf$/i, ""),
+        file: filePath.split("/").pop() || filePath,
+        fileBase: toPreviewBase(filePath),
+        path: filePath,
+      }))
+    : xacroRobots.length
+      ? xacroRobots.map(({ urdf, ...robot }) => robot)
+      : modelRobots;
+  const entryRobots =
+    mapping.length > 0
+      ? [...mappedRobots, ...detectedRobots.filter((robot) => !mappedFileBases.has(robot.fileBase))]
+      : detectedRobots;
+
+  // Links are stored in their canonical form; answers that can't be read as
+  // one are left out and listed in the reply.
+  const links = {
+    demo: clean(fields["Demo URL (optional)"]),
+    authorWebsite: clean(fields["Author website (optional)"]),
+    authorX: clean(fields["Author X/Twitter (optional)"]),
+    authorLinkedin: clean(fields["Author LinkedIn (optional)"]),
+    authorGithub: clean(fields["Author GitHub (optional)"]),
+  };
+  const skippedLinks = [];
+  for (const [field, value] of Object.entries(links)) {
+    if (!value) continue;
+    links[field] = LINK_FIELDS[field].normalize(value);
+    if (!links[field]) skippedLinks.push(`${field} "${value}"`);
+  }
+  const hfDatasets = [];
+  for (const value of parseLines(clean(fields["Hugging Face datasets (one per line, optional)"]))) {
+    const id = normalizeHfDataset(value);
+    if (!id) skippedLinks.push(`hfDatasets "${value}"`);
+    else if (!hfDatasets.includes(id)) hfDatasets.push(id);
+  }
+
+  const entry = {
+    repo: `https://github.com/${owner}/${repo}`,
+    repoKey,
+    path: path || undefined,
+    org: clean(fields["Author / Company / Lab (optional)"]),
+    summary: clean(fields["Short summary"]),
+    demo: links.demo,
+    tags: normalizedTags,
+    robots: entryRobots.length ? entryRobots : undefined,
+    hfDatasets,
+    authorWebsite: links.authorWebsite,
+    authorX: links.authorX,
+    authorLinkedin: links.authorLinkedin,
+    authorGithub: links.authorGithub,
+    contact: clean(fields["Contact (optional)"]),
+    extra: clean(fields["Extra links or notes (optional)"]),
+    updatedAt: now.toISOString(),
+  };
+
+  const updated = [...existing];
+  const idx = updated.findIndex((item) => normalizeRepoKey(item.repo || item.repoKey) === repoKey);
+  if (idx >= 0) {
+    updated[idx] = mergeEntry(updated[idx], entry);
+  } else {
+    updated.unshift(entry);
+  }
+
+  result.status = "added";
+  result.robots = updated;
+  result.entry = idx >= 0 ? updated[idx] : entry;
+  result.generatedFiles = xacroRobots.map((robot) => ({ path: `docs/${robot.generated}`, content: robot.urdf }));
+  const skipped = skippedLinks.length
+    ? `\n\nThese links were left out because they aren't valid links: ${skippedLinks.join(", ")}.`
+    : "";
+  result.comments.push({ prefix: null, body: `${SUCCESS_PREFIX} This entry is now live.${skipped}` });
+  result.close = true;
+  result.dispatch = { issueNumber: issue.number, repo: entry.repo };
+  return result;
+};
+
+/**
+ * The files a submission result writes, as `[{ path, content }]` with paths
+ * relative to the repo root, in the order the ingest workflow commits them:
+ * robots.json, generated URDFs, robots.meta.json, then changelog.json when
+ * the catalog differs from `previous`. Empty when the result has nothing to
+ * write. `changelog` is the current changelog.json (null if there is none)
+ * and `ref` the issue the entry points back to.
+ */
+export const buildIngestWrites = (result, { previous = [], changelog = null, ref = "", now = new Date() } = {}) => {
+  if (!result.robots) return [];
+  const meta = { version: 1, generatedAt: now.toISOString(), count: result.robots.length };
+  const writes = [
+    { path: "docs/robots.json", content: JSON.stringify(result.robots, null, 2) },
+    ...result.generatedFiles,
+    { path: "docs/robots.meta.json", content: JSON.stringify(meta, null, 2) },
+  ];
+  const changes = diffCatalogs(previous, result.robots);
+  if (hasChanges(changes)) {
+    const updated = appendChangelog(changelog, { date: meta.generatedAt, source: "ingest", ref, changes });
+    writes.push({ path: "docs/changelog.json", content: JSON.stringify(updated, null, 2) });
+  }
+  return writes;
+};
@@ -0,0 +1,152 @@
+// Parsing for robot submission issues filed through the issue form
+// (.github/ISSUE_TEMPLATE/robot-repo-submission.yml). Shared by the ingest
+// and auto-detect workflows and tools/ingest-submission.mjs.
+
+/** Form answer with GitHub's "_No response_" placeholder treated as empty. */
+export const clean = (value) => {
+  if (!value) return "";
+  const trimmed = value.trim();
+  if (!trimmed || trimmed.toLowerCase() === "no response" || trimmed === "_No response_") {
+    return "";
+  }
+  return trimmed;
+};
+
+/** Maps each "### Heading" of the rendered form to its cleaned answer. */
+export const parseIssueFields = (text) => {
+  const fields = {};
+  const regex = /^###\s+(.+)\n+([\s\S]*?)(?=^###\s+|(?![\s\S]))/gm;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    fields[match[1].trim()] = clean(match[2]);
+  }
+  return fields;
+};
+
+/**
+ * Accepts full URLs (including /tree/<branch>/<path>), markdown links,
+ * "github.com/..." without a scheme, SSH remotes and bare "owner/repo".
+ * Returns `{ owner, repo, path }` or `{ error }` ("missing", "missing-repo"
+ * or "invalid").
+ */
+export const parseRepoUrl = (url) => {
+  if (!url) return { error: "missing" };
+  let normalized = url.trim();
+  if (!normalized) return { error: "missing" };
+
+  const mdMatch = normalized.match(/\((https?:\/\/github\.com\/[^)]+)\)/);
+  if (mdMatch) {
+    normalized = mdMatch[1];
+  }
+
+  normalized = normalized.replace(/\.git$/i, "").replace(/\/+$/, "");
+
+  if (normalized.startsWith("github.com/") || normalized.startsWith("www.github.com/")) {
+    normalized = `https://${normalized.replace(/^www\./, "")}`;
+  }
+
+  const sshMatch = normalized.match(/^git@github\.com:([^/]+)\/(.+?)(?:\.git)?$/i);
+  if (sshMatch) {
+    return { owner: sshMatch[1], repo: sshMatch[2].replace(/\.git$/i, ""), path: "" };
+  }
+
+  if (!normalized.includes("github.com")) {
+    const parts = normalized.split("/").filter(Boolean);
+    if (parts.length === 1) {
+      return { error: "missing-repo", owner: parts[0] };
+    }
+    if (parts.length >= 2) {
+      return { owner: parts[0], repo: parts[1], path: parts.slice(2).join("/") || "" };
+    }
+    return { error: "invalid" };
+  }
+
+  try {
+    const urlObj = new URL(normalized);
+    const parts = urlObj.pathname.split("/").filter(Boolean);
+    if (parts.length === 1) {
+      return { error: "missing-repo", owner: parts[0] };
+    }
+    if (parts.length < 2) return { error: "invalid" };
+    const owner = parts[0];
+    const repo = parts[1].replace(/\.git$/i, "");
+    let path = "";
+    if (parts.length > 2 && parts[2] === "tree") {
+      if (parts.length > 4) {
+        path = parts.slice(4).join("/");
+      }
+    } else if (parts.length > 2) {
+      path = parts.slice(2).join("/");
+    }
+    return { owner, repo, path };
+  } catch {
+    return { error: "invalid" };
+  }
+};
+
+
+export const parseLines = (value) =>
+  value
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+export const parseTags = (value) => {
+  if (!value) return [];
+  return value
+    .split(/[,\n]/)
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+};
+
+export const normalizeTagKey = (value) =>
+  value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "")
+    .trim();
+
+/** Common spellings mapped to tags in docs/tags.json, keyed by normalizeTagKey. */
+export const TAG_ALIASES = new Map([
+  ["lerobot", "LeRobotCompatible"],
+  ["arms", "Arm"],
+]);
+
+/**
+ * Parses "Robot mapping" lines such as "SO-100 — so100.urdf" or
+ * "Leader: leader.urdf" into `{ name, file }`, keeping only the file's
+ * basename. Lines without a separator name a robot without a file.
+ */
+export const parseRobotMapping = (value) => {
+  if (!value) return [];
+  const lines = parseLines(value);
+  const robots = [];
+  for (const line of lines) {
+    let name = "";
+    let file = "";
+    const separators = [" — ", " – ", " - ", " —", " –", " -"];
+    let parts = null;
+    for (const sep of separators) {
+      if (line.includes(sep)) {
+        parts = line.split(sep);
+        break;
+      }
+    }
+    if (!parts && line.includes(":")) {
+      parts = line.split(":");
+    }
+    if (parts && parts.length >= 2) {
+      name = parts[0].trim();
+      file = parts.slice(1).join("-").trim();
+    } else {
+      name = line.trim();
+    }
+    if (!name && !file) continue;
+    if (file) {
+      const fileName = file.split("/").pop() || file;
+      robots.push({ name: name || fileName.replace(/\.urdf$/i, ""), file: fileName });
+    } else {
+      robots.push({ name });
+    }
+  }
+  return robots;
+};
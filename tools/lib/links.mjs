@@ -0,0 +1,95 @@
+// Canonical forms of the link fields of a robots.json entry. The schema's
+// patterns accept only these forms; ingest stores submissions in them, and
+// the validators use the same normalizers to suggest the canonical value.
+
+import { parseRepoUrl } from "./issues.mjs";
+
+const X_HANDLE = /^[A-Za-z0-9_]{1,15}$/;
+const GITHUB_LOGIN = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/;
+const REPO_NAME = /^[A-Za-z0-9_.-]+$/;
+const HF_PART = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+};
+
+/** Any web URL, with a missing scheme or "http:" turned into "https:". "" if it isn't one. */
+export const normalizeUrl = (value) => {
+  const trimmed = String(value || "").trim();
+  if (!trimmed || /\s/.test(trimmed)) return "";
+  const url = parseUrl(/^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`);
+  if (!url || !["http:", "https:"].includes(url.protocol) || !url.hostname.includes(".")) return "";
+  url.protocol = "https:";
+  return url.href;
+};
+
+// First path segment of a URL on one of `hosts`, or the value itself when it
+// is a bare handle ("name" or "@name").
+const handleFrom = (value, hosts) => {
+  const trimmed = String(value || "").trim().replace(/^@/, "");
+  if (!trimmed.includes("/") && !trimmed.includes(".")) return trimmed;
+  const url = parseUrl(normalizeUrl(trimmed));
+  if (!url || !hosts.includes(url.hostname.replace(/^(www|mobile)\./, ""))) return "";
+  return url.pathname.split("/").filter(Boolean)[0] || "";
+};
+
+/** "https://x.com/<handle>" from a handle or an x.com/twitter.com profile URL. */
+export const normalizeXUrl = (value) => {
+  const handle = handleFrom(value, ["x.com", "twitter.com"]);
+  return X_HANDLE.test(handle) ? `https://x.com/${handle}` : "";
+};
+
+/** "https://github.com/<login>" from a login or a github.com profile URL. */
+export const normalizeGithubUrl = (value) => {
+  const login = handleFrom(value, ["github.com"]);
+  return GITHUB_LOGIN.test(login) ? `https://github.com/${login}` : "";
+};
+
+/** A linkedin.com profile or company page on www.linkedin.com, without query or hash. */
+export const normalizeLinkedinUrl = (value) => {
+  const url = parseUrl(normalizeUrl(value));
+  if (!url || !/^([a-z]{2,3}\.)?linkedin\.com$/.test(url.hostname.replace(/^www\./, ""))) return "";
+  const [kind, name] = url.pathname.split("/").filter(Boolean);
+  if (!["in", "company", "school", "showcase"].includes(kind) || !name) return "";
+  return `https://www.linkedin.com/${kind}/${name}/`;
+};
+
+/** "https://github.com/<owner>/<repo>"; subpaths belong in the entry's `path`. */
+export const normalizeRepoUrl = (value) => {
+  const { owner, repo, error } = parseRepoUrl(String(value || ""));
+  if (error || !GITHUB_LOGIN.test(owner) || !REPO_NAME.test(repo)) return "";
+  return `https://github.com/${owner}/${repo}`;
+};
+
+const datasetPath = (value) => {
+  if (!/^[a-z]+:|^(www\.)?huggingface\.co\//i.test(value)) return value.split("/").filter(Boolean);
+  const url = parseUrl(normalizeUrl(value));
+  if (!url || url.hostname.replace(/^www\./, "") !== "huggingface.co") return [];
+  const [prefix, ...rest] = url.pathname.split("/").filter(Boolean);
+  return prefix === "datasets" ? rest : [];
+};
+
+/** "<org>/<name>" Hugging Face dataset id from an id or a huggingface.co/datasets URL. */
+export const normalizeHfDataset = (value) => {
+  const [org, name] = datasetPath(String(value || "").trim());
+  return org && name && HF_PART.test(org) && HF_PART.test(name) ? `${org}/${name}` : "";
+};
+
+/**
+ * Link fields by name: `normalize` returns the canonical value or "" when the
+ * value can't be read as that kind of link, and `expected` describes the
+ * canonical form for messages. `hfDatasets` applies to each list item.
+ */
+export const LINK_FIELDS = {
+  repo: { normalize: normalizeRepoUrl, expected: "https://github.com/<owner>/<repo>" },
+  demo: { normalize: normalizeUrl, expected: "an https:// URL" },
+  authorWebsite: { normalize: normalizeUrl, expected: "an https:// URL" },
+  authorX: { normalize: normalizeXUrl, expected: "https://x.com/<handle>" },
+  authorLinkedin: { normalize: normalizeLinkedinUrl, expected: "https://www.linkedin.com/<in|company>/<name>/" },
+  authorGithub: { normalize: normalizeGithubUrl, expected: "https://github.com/<login>" },
+  hfDatasets: { normalize: normalizeHfDataset, expected: "a Hugging Face dataset id (<org>/<name>)" },
+};
@@ -0,0 +1,120 @@
+// Resolves URDF <mesh filename="..."> references against a repo tree listing
+// (the blob paths from GitHub's git/trees?recursive=1 or a local checkout).
+
+import path from "node:path";
+
+export const SUPPORTED_MESH_FORMATS = new Set(["stl", "dae", "obj", "gltf", "glb"]);
+
+const extensionOf = (value) => {
+  const match = value.toLowerCase().match(/\.([a-z0-9]+)$/);
+  return match ? match[1] : "";
+};
+
+const cleanPath = (value) => path.posix.normalize(value.replace(/\\/g, "/")).replace(/^\/+/, "");
+
+/**
+ * Maps ROS package names to their directories ("" for the repo root). A
+ * directory holding a package.xml is a package root; its name is assumed to
+ * match the package name, which holds for catkin/ament layouts.
+ */
+export const indexPackages = (treePaths) => {
+  const packages = new Map();
+  for (const treePath of treePaths) {
+    if (path.posix.basename(treePath) !== "package.xml") continue;
+    const dir = path.posix.dirname(treePath);
+    const name = dir === "." ? "" : path.posix.basename(dir);
+    if (!packages.has(name)) packages.set(name, []);
+    packages.get(name).push(dir === "." ? "" : dir);
+  }
+  return packages;
+};
+
+/**
+ * Indexes tree paths for lookups by exact path, lowercase path (to spot case
+ * mismatches that break on GitHub's case-sensitive raw URLs) and ROS package
+ * directory.
+ */
+export const createMeshIndex = (treePaths) => {
+  const exact = new Set(treePaths);
+  const lower = new Map();
+  for (const treePath of treePaths) {
+    const key = treePath.toLowerCase();
+    if (!lower.has(key)) lower.set(key, []);
+    lower.get(key).push(treePath);
+  }
+  return { paths: treePaths, exact, lower, packages: indexPackages(treePaths) };
+};
+
+const lookup = (index, candidate) => {
+  if (index.exact.has(candidate)) return { status: "resolved", path: candidate };
+  const folded = index.lower.get(candidate.toLowerCase());
+  if (folded?.length) return { status: "case-mismatch", path: folded[0] };
+  return null;
+};
+
+// Last resort for package:// and absolute file:// URIs: a unique tree path
+// that ends with the same relative path.
+const lookupSuffix = (index, rest) => {
+  const suffix = `/${rest.toLowerCase()}`;
+  const matches = index.paths.filter((treePath) => `/${treePath.toLowerCase()}`.endsWith(suffix));
+  if (matches.length !== 1) return null;
+  const match = matches[0];
+  return { status: match.endsWith(rest) ? "resolved" : "case-mismatch", path: match };
+};
+
+const resolvePackageUri = (index, pkg, rest, repoName) => {
+  const roots = [...(index.packages.get(pkg) || [])];
+  if (!roots.length && repoName && pkg.toLowerCase() === repoName.toLowerCase()) {
+    roots.push("");
+  }
+  for (const root of roots) {
+    const found = lookup(index, cleanPath(root ? `${root}/${rest}` : rest));
+    if (found) return found;
+  }
+  return lookupSuffix(index, `${pkg}/${rest}`) || lookupSuffix(index, rest);
+};
+
+/**
+ * Maps one mesh URI to a tree path. Returns `{ filename, status, path? }`
+ * where status is "resolved", "case-mismatch", "unresolved", "unsupported"
+ * (the file exists but its format can't be loaded) or "remote" (http URLs).
+ */
+export const resolveMesh = (index, filename, { urdfPath = "", repoName = "" } = {}) => {
+  const raw = filename.trim();
+  if (/^https?:\/\//i.test(raw)) return { filename, status: "remote" };
+
+  let found = null;
+  const packageMatch = raw.match(/^(?:package|model):\/\/([^/]+)\/(.+)$/i);
+  if (packageMatch) {
+    found = resolvePackageUri(index, packageMatch[1], cleanPath(packageMatch[2]), repoName);
+  } else if (/^file:\/\//i.test(raw) || raw.startsWith("/")) {
+    const absolute = cleanPath(raw.replace(/^file:\/\//i, ""));
+    found = lookup(index, absolute) || lookupSuffix(index, absolute.split("/").slice(-3).join("/"));
+  } else {
+    found = lookup(index, cleanPath(path.posix.join(path.posix.dirname(urdfPath), raw)));
+  }
+
+  if (!found) return { filename, status: "unresolved" };
+  if (!SUPPORTED_MESH_FORMATS.has(extensionOf(found.path))) {
+    return { filename, status: "unsupported", path: found.path, format: extensionOf(found.path) };
+  }
+  return { filename, ...found };
+};
+
+/**
+ * Resolves every mesh of a parsed URDF (see parseUrdf) and groups the
+ * problems. Each distinct filename is reported once.
+ */
+export const resolveRobotMeshes = (index, model, options = {}) => {
+  const filenames = [...new Set(model.links.flatMap((link) => link.meshes.map((mesh) => mesh.filename)))];
+  const results = filenames.map((filename) => resolveMesh(index, filename, options));
+  const pick = (status) => results.filter((result) => result.status === status);
+  return {
+    total: results.length,
+    resolved: pick("resolved").length,
+    unresolved: pick("unresolved").map((result) => result.filename),
+    unsupported: pick("unsupported").map(({ filename, format }) => ({ filename, format })),
+    caseMismatches: pick("case-mismatch").map(({ filename, path: actual }) => ({ filename, actual })),
+    remote: pick("remote").map((result) => result.filename),
+  };
+};
@@ -0,0 +1,153 @@
+// Reads MuJoCo MJCF models into the link/joint records produced by parseUrdf.
+// Bodies become links and the joints declared inside a body connect it to its
+// parent body. A body with several joints gets virtual links between them so
+// the result is still a tree; a body without joints is welded to its parent.
+
+import path from "node:path";
+import { childElements, firstChild } from "./xml.mjs";
+import { toNumber } from "./urdf.mjs";
+
+const numbers = (value) =>
+  String(value || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(toNumber);
+
+const parseInertial = (element) => {
+  if (!element) return null;
+  const { mass, diaginertia, fullinertia } = element.attributes;
+  let inertia = null;
+  if (fullinertia) {
+    const [ixx, iyy, izz, ixy, ixz, iyz] = numbers(fullinertia);
+    inertia = { ixx, ixy, ixz, iyy, iyz, izz };
+  } else if (diaginertia) {
+    const [ixx, iyy, izz] = numbers(diaginertia);
+    inertia = { ixx, ixy: 0, ixz: 0, iyy, iyz: 0, izz };
+  }
+  if (inertia) {
+    for (const key of Object.keys(inertia)) inertia[key] ??= null;
+  }
+  return { mass: toNumber(mass), inertia };
+};
+
+const readAssets = (root, meshDir) => {
+  const meshes = new Map();
+  for (const asset of childElements(root, "asset")) {
+    for (const mesh of childElements(asset, "mesh")) {
+      const file = mesh.attributes.file;
+      if (!file) continue;
+      const name = mesh.attributes.name || path.posix.basename(file).replace(/\.[^.]+$/, "");
+      meshes.set(name, meshDir ? path.posix.join(meshDir, file) : file);
+    }
+  }
+  return meshes;
+};
+
+const parseMeshes = (body, assets) =>
+  childElements(body, "geom")
+    .filter((geom) => geom.attributes.mesh)
+    .map((geom) => ({
+      kind:
+        (geom.attributes.class || "").includes("collision") || geom.attributes.group === "3" ? "collision" : "visual",
+      filename: assets.get(geom.attributes.mesh) || geom.attributes.mesh,
+      line: geom.line,
+    }));
+
+const bodyJoints = (body) =>
+  childElements(body).filter((element) => element.name === "joint" || element.name === "freejoint");
+
+const parseJoint = (element, degrees) => {
+  const attributes = element.attributes;
+  const kind = element.name === "freejoint" ? "free" : attributes.type || "hinge";
+  const range = numbers(attributes.range);
+  const limited = attributes.limited === "true" || (attributes.limited !== "false" && range.length === 2);
+  const scale = kind === "hinge" && degrees ? Math.PI / 180 : 1;
+  const limit = limited ? { lower: range[0] * scale, upper: range[1] * scale, effort: null, velocity: null } : null;
+  switch (kind) {
+    case "hinge":
+      return { type: limited ? "revolute" : "continuous", limit };
+    case "slide":
+      // Unlimited slides are legal in MJCF; record an open limit rather than none.
+      return { type: "prismatic", limit: limit || { lower: null, upper: null, effort: null, velocity: null } };
+    case "free":
+      return { type: "floating", limit: null };
+    default:
+      return { type: kind, limit };
+  }
+};
+
+/** Builds link/joint records from a parsed <mujoco> element. */
+export const readMjcfModel = (root) => {
+  if (root.name !== "mujoco") {
+    throw new Error(`Expected <mujoco> root element, found <${root.name}>.`);
+  }
+  const compiler = Object.assign({}, ...childElements(root, "compiler").map((element) => element.attributes));
+  const degrees = compiler.angle !== "radian";
+  const assets = readAssets(root, compiler.meshdir || compiler.assetdir || "");
+  const worldbody = firstChild(root, "worldbody");
+  const topBodies = childElements(worldbody, "body");
+
+  const links = [];
+  const joints = [];
+  let unnamed = 0;
+
+  const walk = (body, parent) => {
+    const name = body.attributes.name || `body_${(unnamed += 1)}`;
+    links.push({
+      name,
+      line: body.line,
+      inertial: parseInertial(firstChild(body, "inertial")),
+      meshes: parseMeshes(body, assets),
+    });
+    const declared = bodyJoints(body);
+    if (parent !== null) {
+      if (declared.length === 0) {
+        joints.push({
+          name: `${parent}_to_${name}`,
+          type: "fixed",
+          line: body.line,
+          parent,
+          child: name,
+          limit: null,
+          mimic: null,
+        });
+      }
+      let previous = parent;
+      declared.forEach((element, index) => {
+        const jointName = element.attributes.name || `${name}_joint_${index + 1}`;
+        const child = index === declared.length - 1 ? name : `${name}::${jointName}`;
+        if (child !== name) {
+          links.push({ name: child, line: element.line, inertial: null, meshes: [], virtual: true });
+        }
+        joints.push({
+          name: jointName,
+          line: element.line,
+          parent: previous,
+          child,
+          mimic: null,
+          ...parseJoint(element, degrees),
+        });
+        previous = child;
+      });
+    }
+    for (const child of childElements(body, "body")) walk(child, name);
+  };
+
+  // A lone free-floating (or welded) body is the root, like a URDF base
+  // link. Several top-level bodies, or one jointed to the world, hang off a
+  // virtual "world" link instead.
+  const jointedToWorld = (body) =>
+    bodyJoints(body).some((element) => parseJoint(element, degrees).type !== "floating");
+  const needsWorld = topBodies.length > 1 || topBodies.some(jointedToWorld);
+  if (needsWorld) {
+    links.push({ name: "world", line: worldbody.line, inertial: null, meshes: [], virtual: true });
+  }
+  for (const body of topBodies) walk(body, needsWorld ? "world" : null);
+
+  const elementCounts = {};
+  for (const element of childElements(root)) {
+    elementCounts[element.name] = (elementCounts[element.name] || 0) + 1;
+  }
+  return { name: root.attributes.model || "", links, joints, elementCounts };
+};
@@ -0,0 +1,90 @@
+// Format dispatch for robot description files. URDF, SDF and MJCF all read
+// into the same link/joint records (see parseUrdf), so stats, lint and mesh
+// checks don't need to know which format a robot came from.
+
+import path from "node:path";
+import { readMjcfModel } from "./mjcf.mjs";
+import { readSdfModel } from "./sdf.mjs";
+import { readUrdfModel } from "./urdf.mjs";
+import { parseXml } from "./xml.mjs";
+
+export const MODEL_FORMATS = ["urdf", "sdf", "mjcf"];
+
+const READERS = {
+  robot: { format: "urdf", read: readUrdfModel },
+  sdf: { format: "sdf", read: readSdfModel },
+  mujoco: { format: "mjcf", read: readMjcfModel },
+};
+
+/** Format implied by a file extension; ".xml" is only a guess at MJCF. */
+export const formatFromPath = (filePath) => {
+  const lower = filePath.toLowerCase();
+  if (lower.endsWith(".urdf")) return "urdf";
+  if (lower.endsWith(".sdf")) return "sdf";
+  if (lower.endsWith(".xml")) return "mjcf";
+  return "";
+};
+
+/**
+ * Parses a robot description of any supported format, identified by its
+ * root element. Returns `{ format, model }`.
+ */
+export const parseRobotModel = (source) => {
+  const root = parseXml(source);
+  const reader = READERS[root.name];
+  if (!reader) {
+    throw new Error(`Unrecognised root element <${root.name}> (expected <robot>, <sdf> or <mujoco>).`);
+  }
+  return { format: reader.format, model: reader.read(root) };
+};
+
+// ROS manifests, launch files and config are the usual .xml noise in robot repos.
+const NOT_MODELS = /(^|\/)(package\.xml|[^/]*\.launch\.xml)$|(^|\/)(launch|config|test|tests)\//i;
+
+/**
+ * SDF and possible MJCF files in a tree, SDF first, then shallower paths,
+ * since scenes and robot roots tend to sit above their included parts.
+ */
+export const findModelCandidates = (treePaths) =>
+  treePaths
+    .filter((treePath) => ["sdf", "mjcf"].includes(formatFromPath(treePath)) && !NOT_MODELS.test(treePath))
+    .sort(
+      (a, b) =>
+        (formatFromPath(a) === "sdf" ? 0 : 1) - (formatFromPath(b) === "sdf" ? 0 : 1) ||
+        a.split("/").length - b.split("/").length ||
+        a.localeCompare(b)
+    );
+
+/**
+ * Reads candidate SDF/MJCF files and keeps those that describe at least one
+ * link. Returns `{ found: [{ path, format, model }], failed: [{ path, error }] }`;
+ * .xml files that turn out not to be MJCF, and MJCF scenes without bodies,
+ * are skipped silently.
+ */
+export const discoverModels = async (treePaths, readFile, { limit = 25 } = {}) => {
+  const found = [];
+  const failed = [];
+  for (const candidate of findModelCandidates(treePaths).slice(0, limit)) {
+    const expected = formatFromPath(candidate);
+    try {
+      const { format, model } = parseRobotModel(await readFile(candidate));
+      if (format !== expected) {
+        if (expected === "sdf") failed.push({ path: candidate, error: `expected <sdf>, found ${format}` });
+        continue;
+      }
+      if (model.links.filter((link) => !link.virtual).length === 0) {
+        if (format === "sdf") failed.push({ path: candidate, error: "no links" });
+        continue;
+      }
+      found.push({ path: candidate, format, model });
+    } catch (error) {
+      if (expected === "sdf" || !/Unrecognised root element/.test(error.message)) {
+        failed.push({ path: candidate, error: error.message });
+      }
+    }
+  }
+  return { found, failed };
+};
+
+/** Robot name for a model file: its basename without the extension. */
+export const modelName = (filePath) => path.posix.basename(filePath).replace(/\.(urdf|sdf|xml)$/i, "");
@@ -0,0 +1,220 @@
+// Image checks behind preview-qa. Everything here works on raw RGBA frames
+// (`{ data, width, height }`), so the tool decodes with sharp and the tests
+// can feed synthetic pixels.
+
+export const QA_DEFAULTS = {
+  // Alpha above which a pixel counts as drawn (transparent renders).
+  alphaThreshold: 8,
+  // Per-channel distance from the corner colour for opaque renders.
+  colorThreshold: 24,
+  // Below this share of drawn pixels an image is blank.
+  minOccupancy: 0.005,
+  // Drawn pixels needed on a border row/column before it counts as clipped.
+  edgePixels: 2,
+  // Longest bbox side, as a share of the image, below which a robot is tiny.
+  minExtent: 0.2,
+  // How far the bbox centre may sit from the image centre (share of the side).
+  maxOffset: 0.2,
+  // Hash distance (of 64 bits) at or below which two images look the same.
+  duplicateDistance: 4,
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const foregroundMask = ({ data, width, height }, { alphaThreshold, colorThreshold }) => {
+  const pixels = width * height;
+  const mask = new Uint8Array(pixels);
+  let transparent = false;
+  for (let i = 0; i < pixels && !transparent; i += 1) {
+    transparent = data[i * 4 + 3] < 255;
+  }
+  if (transparent) {
+    for (let i = 0; i < pixels; i += 1) mask[i] = data[i * 4 + 3] > alphaThreshold ? 1 : 0;
+    return mask;
+  }
+  // Opaque renders: anything that differs from the top-left pixel.
+  const [r, g, b] = data;
+  for (let i = 0; i < pixels; i += 1) {
+    const o = i * 4;
+    const distance = Math.max(Math.abs(data[o] - r), Math.abs(data[o + 1] - g), Math.abs(data[o + 2] - b));
+    mask[i] = distance > colorThreshold ? 1 : 0;
+  }
+  return mask;
+};
+
+/**
+ * 64-bit difference hash as 16 hex digits: `region` (in pixels) of the
+ * frame is composited on white, averaged down to 9x8 grey cells, and
+ * each bit says whether a cell is darker than its right-hand neighbour.
+ */
+export const differenceHash = ({ data, width }, region) => {
+  const cols = 9;
+  const rows = 8;
+  const sums = new Float64Array(cols * rows);
+  const counts = new Uint32Array(cols * rows);
+  for (let y = 0; y < region.height; y += 1) {
+    const row = Math.min(rows - 1, Math.floor((y * rows) / region.height));
+    for (let x = 0; x < region.width; x += 1) {
+      const col = Math.min(cols - 1, Math.floor((x * cols) / region.width));
+      const o = ((region.y + y) * width + region.x + x) * 4;
+      const alpha = data[o + 3] / 255;
+      const grey = 0.299 * data[o] + 0.587 * data[o + 1] + 0.114 * data[o + 2];
+      sums[row * cols + col] += grey * alpha + 255 * (1 - alpha);
+      counts[row * cols + col] += 1;
+    }
+  }
+  let hash = "";
+  for (let row = 0; row < rows; row += 1) {
+    for (let half = 0; half < 2; half += 1) {
+      let nibble = 0;
+      for (let bit = 0; bit < 4; bit += 1) {
+        const cell = row * cols + half * 4 + bit;
+        const left = sums[cell] / (counts[cell] || 1);
+        const right = sums[cell + 1] / (counts[cell + 1] || 1);
+        nibble = (nibble << 1) | (left < right ? 1 : 0);
+      }
+      hash += nibble.toString(16);
+    }
+  }
+  return hash;
+};
+
+/** Number of differing bits between two differenceHash values. */
+export const hashDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+};
+
+const measure = (frame, settings) => {
+  const { width, height } = frame;
+  const mask = foregroundMask(frame, settings);
+  const edges = { top: 0, right: 0, bottom: 0, left: 0 };
+  let count = 0;
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (!mask[y * width + x]) continue;
+      count += 1;
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+      if (y === 0) edges.top += 1;
+      if (y === height - 1) edges.bottom += 1;
+      if (x === 0) edges.left += 1;
+      if (x === width - 1) edges.right += 1;
+    }
+  }
+  return {
+    count,
+    box: count ? { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 } : null,
+    clipped: Object.keys(edges).filter((edge) => edges[edge] >= settings.edgePixels),
+  };
+};
+
+const relativeBox = (box, width, height) =>
+  box && {
+    x: round(box.x / width),
+    y: round(box.y / height),
+    width: round(box.width / width),
+    height: round(box.height / height),
+  };
+
+/**
+ * Occupancy (share of drawn pixels), bounding box and clipped edges of one
+ * frame. The bbox is in fractions of the frame so results don't depend on
+ * the size the image was decoded at.
+ */
+export const analyzeFrame = (frame, options = {}) => {
+  const { width, height } = frame;
+  const { count, box, clipped } = measure(frame, { ...QA_DEFAULTS, ...options });
+  return { occupancy: round(count / (width * height)), bbox: relativeBox(box, width, height), clipped };
+};
+
+/**
+ * Metrics for a still (one frame) or an animation (all frames): the highest
+ * occupancy, the union of bboxes and clipped edges, so a robot that leaves
+ * the frame at any point of its orbit counts. The hash covers the first
+ * frame's bbox only; hashing the whole, mostly empty frame makes every
+ * robot look alike.
+ */
+export const analyzeImage = (frames, options = {}) => {
+  const settings = { ...QA_DEFAULTS, ...options };
+  const [first] = frames;
+  const results = frames.map((frame) => measure(frame, settings));
+  const boxes = results.map((result) => result.box).filter(Boolean);
+  let union = null;
+  if (boxes.length) {
+    const x = Math.min(...boxes.map((box) => box.x));
+    const y = Math.min(...boxes.map((box) => box.y));
+    union = {
+      x,
+      y,
+      width: Math.max(...boxes.map((box) => box.x + box.width)) - x,
+      height: Math.max(...boxes.map((box) => box.y + box.height)) - y,
+    };
+  }
+  return {
+    frames: frames.length,
+    occupancy: round(Math.max(...results.map((result) => result.count)) / (first.width * first.height)),
+    bbox: relativeBox(union, first.width, first.height),
+    clipped: ["top", "right", "bottom", "left"].filter((edge) => results.some((r) => r.clipped.includes(edge))),
+    hash: differenceHash(first, results[0].box || { x: 0, y: 0, width: first.width, height: first.height }),
+  };
+};
+
+const issue = (severity, rule, message) => ({ severity, rule, message });
+
+/** `{ severity, rule, message }` issues for one image's metrics. */
+export const checkImage = (metrics, options = {}) => {
+  const settings = { ...QA_DEFAULTS, ...options };
+  if (metrics.occupancy < settings.minOccupancy || !metrics.bbox) {
+    return [issue("error", "blank", `Only ${(metrics.occupancy * 100).toFixed(1)}% of pixels are drawn.`)];
+  }
+  const issues = [];
+  if (metrics.clipped.length) {
+    issues.push(issue("error", "clipped", `Robot is cut off at the ${metrics.clipped.join(", ")} edge.`));
+  }
+  const { x, y, width, height } = metrics.bbox;
+  const extent = Math.max(width, height);
+  if (extent < settings.minExtent) {
+    issues.push(issue("warning", "tiny", `Robot spans only ${Math.round(extent * 100)}% of the frame.`));
+  }
+  const offset = Math.max(Math.abs(x + width / 2 - 0.5), Math.abs(y + height / 2 - 0.5));
+  if (offset > settings.maxOffset) {
+    issues.push(issue("warning", "off-center", `Robot centre is ${Math.round(offset * 100)}% off the frame centre.`));
+  }
+  return issues;
+};
+
+/**
+ * Groups items (`{ key, hash }`) whose hashes are within `duplicateDistance`
+ * bits of each other, directly or through other members. Returns the groups
+ * with more than one member as arrays of keys, in input order.
+ */
+export const groupLookalikes = (items, options = {}) => {
+  const { duplicateDistance } = { ...QA_DEFAULTS, ...options };
+  const parent = items.map((_, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  for (let i = 0; i < items.length; i += 1) {
+    for (let j = i + 1; j < items.length; j += 1) {
+      if (hashDistance(items[i].hash, items[j].hash) <= duplicateDistance) parent[find(j)] = find(i);
+    }
+  }
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    groups.set(root, [...(groups.get(root) || []), item.key]);
+  });
+  return [...groups.values()].filter((keys) => keys.length > 1);
+};
@@ -0,0 +1,91 @@
+// docs/previews.json bookkeeping and the animated WebP muxer used by
+// generate-previews. Frames come out of the browser as single-image WebPs
+// (canvas.toDataURL); muxing them here avoids an ffmpeg/libwebp dependency.
+
+/** Published files for a preview key, relative to docs/. */
+export const previewPaths = (repoKey, fileBase) => ({
+  webm: `previews/${repoKey}/${fileBase}.webm`,
+  webp: `previews/${repoKey}/${fileBase}.webp`,
+  png: `thumbnails/${repoKey}/${fileBase}.png`,
+});
+
+const previewSortKey = (preview) => `${preview.repoKey}::${preview.fileBase}`;
+
+/**
+ * Returns a copy of a previews.json manifest with `preview` merged into the
+ * entry for its repoKey/fileBase (or added), keeping entries sorted by key.
+ */
+export const upsertPreview = (manifest, preview, generatedAt = new Date().toISOString()) => {
+  const previews = Array.isArray(manifest?.previews) ? manifest.previews : [];
+  const existing = previews.find(
+    (item) => item.repoKey === preview.repoKey && item.fileBase === preview.fileBase
+  );
+  const merged = { ...(existing || {}), ...preview };
+  const next = [...previews.filter((item) => item !== existing), merged].sort((a, b) =>
+    previewSortKey(a).localeCompare(previewSortKey(b))
+  );
+  return { version: manifest?.version || 1, generatedAt, previews: next };
+};
+
+const readChunks = (buffer) => {
+  if (buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WEBP") {
+    throw new Error("Frame is not a WebP image");
+  }
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("ascii", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    chunks.push({ id, data: buffer.subarray(offset + 8, offset + 8 + size) });
+    offset += 8 + size + (size & 1);
+  }
+  return chunks;
+};
+
+const chunk = (id, data) => {
+  const out = Buffer.alloc(8 + data.length + (data.length & 1));
+  out.write(id, 0, "ascii");
+  out.writeUInt32LE(data.length, 4);
+  data.copy(out, 8);
+  return out;
+};
+
+const uint24 = (value) => {
+  const out = Buffer.alloc(3);
+  out.writeUIntLE(value, 0, 3);
+  return out;
+};
+
+/**
+ * Muxes same-sized single-image WebPs into one looping animated WebP
+ * (VP8X + ANIM + one ANMF per frame, each frame replacing the last).
+ */
+export const muxAnimatedWebp = (frames, { width, height, frameDurationMs, loops = 0 }) => {
+  if (frames.length === 0) throw new Error("No frames to mux");
+  let alpha = false;
+  const anmf = frames.map((frame) => {
+    const image = readChunks(frame).filter((item) => ["ALPH", "VP8 ", "VP8L"].includes(item.id));
+    if (!image.some((item) => item.id !== "ALPH")) throw new Error("WebP frame has no image data");
+    // Lossless frames may carry alpha without an ALPH chunk, so both count.
+    if (image.some((item) => item.id !== "VP8 ")) alpha = true;
+    const header = Buffer.concat([
+      uint24(0),
+      uint24(0),
+      uint24(width - 1),
+      uint24(height - 1),
+      uint24(Math.round(frameDurationMs)),
+      Buffer.from([0x02]), // no blending, no disposal
+    ]);
+    return chunk("ANMF", Buffer.concat([header, ...image.map((item) => chunk(item.id, item.data))]));
+  });
+  const flags = (alpha ? 0x10 : 0) | 0x02; // alpha, animation
+  const vp8x = Buffer.concat([Buffer.from([flags, 0, 0, 0]), uint24(width - 1), uint24(height - 1)]);
+  const anim = Buffer.alloc(6);
+  anim.writeUInt32LE(0, 0); // transparent background
+  anim.writeUInt16LE(loops, 4);
+  const body = Buffer.concat([Buffer.from("WEBP", "ascii"), chunk("VP8X", vp8x), chunk("ANIM", anim), ...anmf]);
+  const riff = Buffer.alloc(8);
+  riff.write("RIFF", 0, "ascii");
+  riff.writeUInt32LE(body.length, 4);
+  return Buffer.concat([riff, body]);
+};
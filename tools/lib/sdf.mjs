@@ -0,0 +1,115 @@
+// Reads Gazebo SDF models into the link/joint records produced by parseUrdf.
+// Nested <model>s are flattened with SDF's "outer::inner" scoping; joints to
+// the world frame are dropped, matching a URDF whose base link is its root.
+
+import { childElements, firstChild, textContent } from "./xml.mjs";
+import { toNumber } from "./urdf.mjs";
+
+// SDF spells unlimited revolute joints as ±1e16 limits.
+const UNLIMITED = 1e16;
+
+const textOf = (element, name) => {
+  const child = firstChild(element, name);
+  return child ? textContent(child).trim() : null;
+};
+
+const parseInertial = (element) => {
+  if (!element) return null;
+  const inertia = firstChild(element, "inertia");
+  return {
+    mass: toNumber(textOf(element, "mass")),
+    inertia: inertia
+      ? Object.fromEntries(["ixx", "ixy", "ixz", "iyy", "iyz", "izz"].map((key) => [key, toNumber(textOf(inertia, key))]))
+      : null,
+  };
+};
+
+const parseMeshes = (link) => {
+  const meshes = [];
+  for (const kind of ["visual", "collision"]) {
+    for (const block of childElements(link, kind)) {
+      const mesh = firstChild(firstChild(block, "geometry"), "mesh");
+      const uri = mesh ? textOf(mesh, "uri") : null;
+      if (uri) meshes.push({ kind, filename: uri, line: mesh.line });
+    }
+  }
+  return meshes;
+};
+
+const parseJoint = (joint, scope) => {
+  const axis = firstChild(joint, "axis");
+  const limit = firstChild(axis, "limit");
+  const parsedLimit = limit
+    ? {
+        lower: toNumber(textOf(limit, "lower")),
+        upper: toNumber(textOf(limit, "upper")),
+        effort: toNumber(textOf(limit, "effort")),
+        velocity: toNumber(textOf(limit, "velocity")),
+      }
+    : null;
+  let type = joint.attributes.type || "";
+  const unlimited =
+    !parsedLimit ||
+    parsedLimit.lower === null ||
+    parsedLimit.upper === null ||
+    Math.abs(parsedLimit.lower) >= UNLIMITED ||
+    Math.abs(parsedLimit.upper) >= UNLIMITED;
+  if (type === "revolute" && unlimited) type = "continuous";
+  const linkName = (name) => {
+    const value = textOf(joint, name) || "";
+    return value === "world" || value.includes("::") || !scope ? value : `${scope}${value}`;
+  };
+  return {
+    name: `${scope}${joint.attributes.name || ""}`,
+    type,
+    line: joint.line,
+    parent: linkName("parent"),
+    child: linkName("child"),
+    limit: type === "continuous" ? null : parsedLimit,
+    mimic: firstChild(axis, "mimic")?.attributes.joint || null,
+  };
+};
+
+const collect = (model, scope, links, joints) => {
+  for (const link of childElements(model, "link")) {
+    links.push({
+      name: `${scope}${link.attributes.name || ""}`,
+      line: link.line,
+      inertial: parseInertial(firstChild(link, "inertial")),
+      meshes: parseMeshes(link),
+    });
+  }
+  for (const joint of childElements(model, "joint")) {
+    joints.push(parseJoint(joint, scope));
+  }
+  for (const nested of childElements(model, "model")) {
+    collect(nested, `${scope}${nested.attributes.name || ""}::`, links, joints);
+  }
+};
+
+/** Builds link/joint records from a parsed <sdf> element (first model wins). */
+export const readSdfModel = (root) => {
+  if (root.name !== "sdf") {
+    throw new Error(`Expected <sdf> root element, found <${root.name}>.`);
+  }
+  const models = [
+    ...childElements(root, "model"),
+    ...childElements(root, "world").flatMap((world) => childElements(world, "model")),
+  ];
+  const model = models.find((candidate) => childElements(candidate, "link").length) || models[0];
+  const links = [];
+  const joints = [];
+  const elementCounts = {};
+  if (model) {
+    collect(model, "", links, joints);
+    for (const element of childElements(model)) {
+      elementCounts[element.name] = (elementCounts[element.name] || 0) + 1;
+    }
+  }
+  return {
+    name: model?.attributes.name || "",
+    links,
+    joints: joints.filter((joint) => joint.parent !== "world"),
+    elementCounts,
+  };
+};
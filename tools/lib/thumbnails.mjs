@@ -0,0 +1,71 @@
+// Task pool behind render-thumbnails. Browser handling stays in the tool:
+// each worker is whatever `openWorker` returns (a page there, a stub in the
+// tests), so retries and the run report can be exercised without Chromium.
+
+import { sleep } from "./github.mjs";
+
+/** Studio URL that renders one robot in thumbnail mode. */
+export const thumbnailUrl = (studioUrl, task) =>
+  `${studioUrl}?thumbnail=1&github=${encodeURIComponent(task.repoUrl)}&urdf=${encodeURIComponent(task.fileTarget)}`;
+
+/**
+ * Runs `tasks` on `concurrency` workers. `openWorker(index)` resolves with
+ * `{ render(task), close() }`; a failed render closes its worker and opens a
+ * fresh one before the next attempt, waiting `retryDelayMs * 2^(attempt - 1)`.
+ * Resolves with one result per task, in task order:
+ * `{ task, status: "done" | "failed", attempts, durationMs, error? }`.
+ */
+export const runThumbnailPool = async ({
+  tasks,
+  concurrency = 1,
+  retries = 0,
+  retryDelayMs = 0,
+  openWorker,
+  onResult = () => {},
+}) => {
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  const runWorker = async (index) => {
+    let worker = null;
+    try {
+      while (next < tasks.length) {
+        const position = next;
+        next += 1;
+        const task = tasks[position];
+        const started = Date.now();
+        let attempts = 0;
+        let error = null;
+        while (true) {
+          attempts += 1;
+          try {
+            worker ||= await openWorker(index);
+            await worker.render(task);
+            error = null;
+            break;
+          } catch (caught) {
+            error = caught;
+            await worker?.close().catch(() => {});
+            worker = null;
+            if (attempts > retries) break;
+            await sleep(retryDelayMs * Math.pow(2, attempts - 1));
+          }
+        }
+        const result = {
+          task,
+          status: error ? "failed" : "done",
+          attempts,
+          durationMs: Date.now() - started,
+          ...(error ? { error: error.message || String(error) } : {}),
+        };
+        results[position] = result;
+        onResult(result);
+      }
+    } finally {
+      await worker?.close().catch(() => {});
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, tasks.length)) }, (_, i) => runWorker(i)));
+  return results;
+};
@@ -0,0 +1,96 @@
+// Fallback for repos whose recursive tree listing comes back truncated
+// (GitHub caps it at 100k entries / 7 MB). The tree is walked one directory
+// at a time with non-recursive requests instead. Walks draw on a shared
+// request budget; a walk that runs out, or whose request fails, returns its
+// progress as state, and a later run with the same root tree picks up where
+// it stopped.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Folder names that usually hold robot descriptions.
+const ROBOT_DIRS = /^(urdf|urdfs|description|robots?)$|_description$/i;
+
+// 0: the entry's `path` and its ancestors, 1: likely robot folders, 2: the rest.
+const priorityOf = (dirPath, focus) => {
+  if (focus && (focus === dirPath || focus.startsWith(`${dirPath}/`) || dirPath.startsWith(`${focus}/`))) {
+    return 0;
+  }
+  return ROBOT_DIRS.test(path.posix.basename(dirPath)) ? 1 : 2;
+};
+
+/** Shared request budget for all walks of one run. */
+export const createWalkBudget = (limit) => ({ remaining: limit > 0 ? limit : Infinity });
+
+/**
+ * Walks the tree `root` (a tree SHA) breadth-first within each priority:
+ * `focus` first, then robot-looking folders, then everything else.
+ * `fetchTree(sha)` returns a non-recursive trees API response. Pass the
+ * `state` of an earlier incomplete walk to resume it; it is ignored if its
+ * root differs. Returns `{ complete, requests, blobs: [{ path, sha }], state,
+ * error }`, where `state` is null once the walk is complete. A failed request
+ * stops the walk with its directory still pending and the message in `error`.
+ */
+export const walkTree = async ({ root, fetchTree, focus = "", budget, state = null }) => {
+  const resume = state?.root === root ? state : null;
+  const blobs = resume ? [...resume.blobs] : [];
+  const buckets = [[], [], []];
+  for (const dir of resume ? resume.pending : [{ path: "", sha: root }]) {
+    buckets[dir.path ? priorityOf(dir.path, focus) : 0].push(dir);
+  }
+
+  let requests = 0;
+  let error = null;
+  while (budget.remaining > 0) {
+    const bucket = buckets.find((items) => items.length);
+    if (!bucket) break;
+    const dir = bucket.shift();
+    budget.remaining -= 1;
+    requests += 1;
+    let data;
+    try {
+      data = await fetchTree(dir.sha);
+    } catch (fetchError) {
+      bucket.unshift(dir);
+      error = fetchError.message;
+      break;
+    }
+    for (const node of data.tree || []) {
+      if (!node?.path) continue;
+      const nodePath = dir.path ? `${dir.path}/${node.path}` : node.path;
+      if (node.type === "blob") {
+        blobs.push({ path: nodePath, sha: node.sha });
+      } else if (node.type === "tree") {
+        buckets[priorityOf(nodePath, focus)].push({ path: nodePath, sha: node.sha });
+      }
+    }
+  }
+
+  const pending = buckets.flat();
+  return {
+    complete: pending.length === 0,
+    requests,
+    blobs,
+    state: pending.length ? { root, blobs, pending } : null,
+    error,
+  };
+};
+
+/** Saved walk states by repoKey; missing or unreadable files start fresh. */
+export const readWalkStates = async (filePath) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch {
+    return {};
+  }
+};
+
+/** Writes the states of unfinished walks, or removes the file when there are none. */
+export const writeWalkStates = async (filePath, states) => {
+  if (Object.keys(states).length) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(states, null, 2));
+  } else {
+    await fs.rm(filePath, { force: true });
+  }
+};
@@ -0,0 +1,311 @@
+import { childElements, firstChild, parseXml } from "./xml.mjs";
+
+export const JOINT_TYPES = ["revolute", "continuous", "prismatic", "fixed", "floating", "planar"];
+const ACTUATED_TYPES = new Set(["revolute", "continuous", "prismatic"]);
+
+// Missing attributes stay null; malformed numbers become NaN so callers can
+// tell "not given" from "given but broken".
+export const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+const parseInertial = (element) => {
+  if (!element) return null;
+  const mass = firstChild(element, "mass");
+  const inertia = firstChild(element, "inertia");
+  return {
+    mass: mass ? toNumber(mass.attributes.value) : null,
+    inertia: inertia
+      ? Object.fromEntries(
+          ["ixx", "ixy", "ixz", "iyy", "iyz", "izz"].map((key) => [key, toNumber(inertia.attributes[key])])
+        )
+      : null,
+  };
+};
+
+const parseMeshes = (link) => {
+  const meshes = [];
+  for (const kind of ["visual", "collision"]) {
+    for (const block of childElements(link, kind)) {
+      const mesh = firstChild(firstChild(block, "geometry"), "mesh");
+      if (!mesh || !mesh.attributes.filename) continue;
+      meshes.push({ kind, filename: mesh.attributes.filename, line: mesh.line });
+    }
+  }
+  return meshes;
+};
+
+const parseLimit = (element) => {
+  if (!element) return null;
+  return {
+    lower: toNumber(element.attributes.lower),
+    upper: toNumber(element.attributes.upper),
+    effort: toNumber(element.attributes.effort),
+    velocity: toNumber(element.attributes.velocity),
+  };
+};
+
+/**
+ * Builds the plain link/joint records from a parsed <robot> element. Only the
+ * structure the gallery tooling needs is kept (inertials, meshes, joint
+ * topology, limits). The SDF and MJCF readers produce the same shape, so
+ * stats and lint work on any of them.
+ */
+export const readUrdfModel = (root) => {
+  if (root.name !== "robot") {
+    throw new Error(`Expected <robot> root element, found <${root.name}>.`);
+  }
+
+  const links = childElements(root, "link").map((link) => ({
+    name: link.attributes.name || "",
+    line: link.line,
+    inertial: parseInertial(firstChild(link, "inertial")),
+    meshes: parseMeshes(link),
+  }));
+
+  const joints = childElements(root, "joint").map((joint) => ({
+    name: joint.attributes.name || "",
+    type: joint.attributes.type || "",
+    line: joint.line,
+    parent: firstChild(joint, "parent")?.attributes.link || "",
+    child: firstChild(joint, "child")?.attributes.link || "",
+    limit: parseLimit(firstChild(joint, "limit")),
+    mimic: firstChild(joint, "mimic")?.attributes.joint || null,
+  }));
+
+  const elementCounts = {};
+  for (const element of childElements(root)) {
+    elementCounts[element.name] = (elementCounts[element.name] || 0) + 1;
+  }
+
+  return { name: root.attributes.name || "", links, joints, elementCounts };
+};
+
+export const parseUrdf = (source) => readUrdfModel(parseXml(source));
+
+/**
+ * Indexes joints by parent and child link. `roots` are links that are never
+ * a joint child; a well-formed robot has exactly one.
+ */
+export const buildKinematicTree = (model) => {
+  const childJoints = new Map();
+  const parentJoints = new Map();
+  for (const joint of model.joints) {
+    if (!childJoints.has(joint.parent)) childJoints.set(joint.parent, []);
+    childJoints.get(joint.parent).push(joint);
+    if (!parentJoints.has(joint.child)) parentJoints.set(joint.child, []);
+    parentJoints.get(joint.child).push(joint);
+  }
+  const names = [...new Set(model.links.map((link) => link.name))];
+  const roots = names.filter((name) => !parentJoints.has(name));
+  return { childJoints, parentJoints, roots };
+};
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Summarises a parsed model. Depth counts joints on the longest root-to-leaf
+ * chain; end effectors are leaf links that sit behind at least one actuated
+ * joint, which leaves out base-mounted sensor frames. Links flagged
+ * `virtual` (frames the MJCF reader adds between stacked joints) are not
+ * counted.
+ */
+export const computeStats = (model) => {
+  const links = model.links.filter((link) => !link.virtual);
+  const joints = Object.fromEntries(JOINT_TYPES.map((type) => [type, 0]));
+  for (const joint of model.joints) {
+    if (Object.hasOwn(joints, joint.type)) joints[joint.type] += 1;
+  }
+  const dof = model.joints.filter((joint) => ACTUATED_TYPES.has(joint.type) && !joint.mimic).length;
+  const mass = links.reduce((sum, link) => {
+    const value = link.inertial?.mass;
+    return Number.isFinite(value) && value > 0 ? sum + value : sum;
+  }, 0);
+
+  const { childJoints, roots } = buildKinematicTree(model);
+  let depth = 0;
+  const endEffectors = new Set();
+  const visited = new Set();
+  const walk = (link, level, actuated) => {
+    if (visited.has(link)) return;
+    visited.add(link);
+    depth = Math.max(depth, level);
+    const next = childJoints.get(link) || [];
+    if (next.length === 0 && actuated) endEffectors.add(link);
+    for (const joint of next) {
+      walk(joint.child, level + 1, actuated || ACTUATED_TYPES.has(joint.type));
+    }
+  };
+  roots.forEach((root) => walk(root, 0, false));
+
+  return {
+    links: links.length,
+    joints,
+    dof,
+    mass: round(mass, 3),
+    depth,
+    endEffectors: [...endEffectors].sort(),
+  };
+};
+
+const LIMITED_TYPES = new Set(["revolute", "prismatic"]);
+
+const issue = (severity, rule, message, extra = {}) => ({ severity, rule, message, ...extra });
+
+const findDuplicates = (items, kind, rule) => {
+  const seen = new Map();
+  const issues = [];
+  for (const item of items) {
+    if (!item.name) {
+      issues.push(issue("error", `unnamed-${kind}`, `<${kind}> without a name.`, { line: item.line }));
+      continue;
+    }
+    if (seen.has(item.name)) {
+      issues.push(
+        issue("error", rule, `Duplicate ${kind} name "${item.name}" (first on line ${seen.get(item.name)}).`, {
+          [kind]: item.name,
+          line: item.line,
+        })
+      );
+    } else {
+      seen.set(item.name, item.line);
+    }
+  }
+  return issues;
+};
+
+const findCycles = (model, childJoints) => {
+  const state = new Map();
+  const cycles = [];
+  const visit = (link, trail) => {
+    state.set(link, "active");
+    for (const joint of childJoints.get(link) || []) {
+      const next = joint.child;
+      if (state.get(next) === "active") {
+        const start = trail.indexOf(next);
+        cycles.push([...trail.slice(start === -1 ? 0 : start), next]);
+      } else if (!state.has(next)) {
+        visit(next, [...trail, next]);
+      }
+    }
+    state.set(link, "done");
+  };
+  for (const link of model.links) {
+    if (!state.has(link.name)) visit(link.name, [link.name]);
+  }
+  return cycles;
+};
+
+const lintInertial = (link) => {
+  const issues = [];
+  const at = { link: link.name, line: link.line };
+  if (!link.inertial) {
+    issues.push(issue("warning", "missing-inertial", `Link "${link.name}" has no <inertial>.`, at));
+    return issues;
+  }
+  const { mass, inertia } = link.inertial;
+  if (mass === null || Number.isNaN(mass)) {
+    issues.push(issue("error", "invalid-mass", `Link "${link.name}" has a missing or non-numeric mass.`, at));
+  } else if (mass < 0) {
+    issues.push(issue("error", "negative-mass", `Link "${link.name}" has negative mass ${mass}.`, at));
+  } else if (mass === 0) {
+    issues.push(issue("warning", "zero-mass", `Link "${link.name}" has zero mass.`, at));
+  }
+  if (!inertia) {
+    issues.push(issue("error", "missing-inertia", `Link "${link.name}" has <inertial> without <inertia>.`, at));
+    return issues;
+  }
+  const broken = Object.entries(inertia).filter(([, value]) => value === null || Number.isNaN(value));
+  if (broken.length) {
+    issues.push(
+      issue(
+        "error",
+        "invalid-inertia",
+        `Link "${link.name}" has missing or non-numeric inertia terms: ${broken.map(([key]) => key).join(", ")}.`,
+        at
+      )
+    );
+  }
+  const negative = ["ixx", "iyy", "izz"].filter((key) => inertia[key] < 0);
+  if (negative.length) {
+    issues.push(
+      issue("error", "negative-inertia", `Link "${link.name}" has negative ${negative.join(", ")}.`, at)
+    );
+  }
+  return issues;
+};
+
+/**
+ * Structural checks for a parsed URDF. Returns `{ severity, rule, message }`
+ * issues (plus `link`/`joint`/`line` where known); "error" marks a model that
+ * cannot load as a single kinematic tree, "warning" marks suspicious physics.
+ */
+export const lintUrdf = (model) => {
+  const issues = [
+    ...findDuplicates(model.links, "link", "duplicate-link"),
+    ...findDuplicates(model.joints, "joint", "duplicate-joint"),
+  ];
+  const linkNames = new Set(model.links.map((link) => link.name));
+
+  if (model.links.length === 0) {
+    issues.push(issue("error", "no-links", "Robot has no <link> elements."));
+  }
+
+  for (const joint of model.joints) {
+    const at = { joint: joint.name, line: joint.line };
+    for (const side of ["parent", "child"]) {
+      if (!joint[side]) {
+        issues.push(issue("error", "missing-link", `Joint "${joint.name}" has no <${side}> link.`, at));
+      } else if (!linkNames.has(joint[side])) {
+        issues.push(
+          issue("error", "missing-link", `Joint "${joint.name}" references missing ${side} link "${joint[side]}".`, at)
+        );
+      }
+    }
+    if (joint.parent && joint.parent === joint.child) {
+      issues.push(issue("error", "cycle", `Joint "${joint.name}" connects link "${joint.parent}" to itself.`, at));
+    }
+    if (LIMITED_TYPES.has(joint.type) && !joint.limit) {
+      issues.push(issue("error", "missing-limit", `${joint.type} joint "${joint.name}" has no <limit>.`, at));
+    }
+    const { lower, upper } = joint.limit || {};
+    if (Number.isFinite(lower) && Number.isFinite(upper) && lower > upper) {
+      issues.push(
+        issue("error", "limit-range", `Joint "${joint.name}" has lower limit ${lower} > upper limit ${upper}.`, at)
+      );
+    }
+  }
+
+  const { childJoints, parentJoints, roots } = buildKinematicTree(model);
+  for (const [child, joints] of parentJoints) {
+    if (joints.length > 1 && linkNames.has(child)) {
+      issues.push(
+        issue(
+          "error",
+          "multiple-parents",
+          `Link "${child}" is the child of ${joints.length} joints (${joints.map((joint) => joint.name).join(", ")}).`,
+          { link: child }
+        )
+      );
+    }
+  }
+  if (model.links.length && roots.length === 0) {
+    issues.push(issue("error", "no-root", "Every link has a parent joint, so there is no root link."));
+  } else if (roots.length > 1) {
+    issues.push(
+      issue("error", "multiple-roots", `Found ${roots.length} root links: ${roots.join(", ")}.`, { links: roots })
+    );
+  }
+  for (const cycle of findCycles(model, childJoints)) {
+    if (cycle.length < 3) continue;
+    issues.push(issue("error", "cycle", `Kinematic cycle: ${cycle.join(" -> ")}.`, { links: cycle }));
+  }
+
+  for (const link of model.links) {
+    if (!link.virtual) issues.push(...lintInertial(link));
+  }
+
+  return issues;
+};
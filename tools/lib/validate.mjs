@@ -0,0 +1,335 @@
+// Checks behind validate-robots, validate-previews and validate-all. Each
+// returns a list of issues, `{ severity, file, rule, message }` plus
+// `repoKey`, `fileBase`, `field` and `expected` where they apply, so the
+// tools can print them and validate-all can collect one report. Issues that
+// also carry a `pointer` (a JSON pointer into their file) have a
+// deterministic fix: set the value there to `expected` (see applyFixes).
+
+import path from "node:path";
+import { normalizeRepoKey, toPreviewBase } from "./gallery.mjs";
+import { TAG_ALIASES, normalizeTagKey } from "./issues.mjs";
+import { LINK_FIELDS } from "./links.mjs";
+import { formatFromPath } from "./models.mjs";
+
+export const ROBOTS_FILE = "docs/robots.json";
+export const PREVIEWS_FILE = "docs/previews.json";
+export const META_FILE = "docs/robots.meta.json";
+
+const FILEBASE_REGEX = /^[a-z0-9][a-z0-9._-]*--[a-z0-9]+$/i;
+
+// Preview fields and where their files live: `<folder>/<repoKey>/<fileBase>.<ext>`.
+export const PREVIEW_FIELDS = [
+  ["webp", "previews", "webp"],
+  ["webm", "previews", "webm"],
+  ["mp4", "previews", "mp4"],
+  ["png", "thumbnails", "png"],
+];
+
+const error = (file, rule, message, extra = {}) => ({ severity: "error", file, rule, message, ...extra });
+const warning = (file, rule, message, extra = {}) => ({ severity: "warning", file, rule, message, ...extra });
+
+const normalizePath = (value) => value.replace(/^\/+/, "");
+
+const robotKey = (repoKey, fileBase) => `${repoKey}::${fileBase}`;
+
+/**
+ * Ajv errors as issues. Pattern errors on link fields name the canonical
+ * value when the normalizer can produce one, instead of the raw pattern.
+ */
+export const schemaIssues = (errors, data, file) =>
+  (errors || []).map((schemaError) => {
+    const where = schemaError.instancePath || "(root)";
+    const [index, field, item] = schemaError.instancePath.split("/").slice(1);
+    const link = schemaError.keyword === "pattern" && file === ROBOTS_FILE ? LINK_FIELDS[field] : null;
+    if (!link) return error(file, "schema", `${where} ${schemaError.message || "invalid"}`);
+    const entry = data?.[Number(index)] || {};
+    const value = item === undefined ? entry[field] : entry[field]?.[Number(item)];
+    const expected = link.normalize(value);
+    const extra = { repoKey: normalizeRepoKey(entry.repo || entry.repoKey), field };
+    if (!expected) return error(file, "link", `${where} "${value}" is not ${link.expected}.`, extra);
+    const fix = { pointer: schemaError.instancePath, expected };
+    return error(file, "link", `${where} "${value}" should be "${expected}".`, { ...extra, ...fix });
+  });
+
+/** Repo keys, tags, file names, formats, paths, fileBases and variants of every entry. */
+export const checkRobots = (robots, { allowedTags = [] } = {}) => {
+  const allowedSet = new Set(allowedTags);
+  const canonicalTags = new Map(allowedTags.map((tag) => [normalizeTagKey(tag), tag]));
+  const canonicalTag = (tag) => {
+    if (allowedSet.has(tag)) return tag;
+    const key = normalizeTagKey(tag);
+    return TAG_ALIASES.get(key) || canonicalTags.get(key);
+  };
+  const issues = [];
+  const fail = (rule, message, extra) => issues.push(error(ROBOTS_FILE, rule, message, extra));
+
+  robots.forEach((entry, index) => {
+    const repoKey = entry.repoKey || "";
+    const expected = normalizeRepoKey(entry.repo || repoKey);
+    const label = `Entry ${index} (${repoKey || entry.repo})`;
+    if (repoKey && expected && repoKey !== expected) {
+      const message = `repoKey "${repoKey}" does not match repo "${entry.repo}". Expected "${expected}".`;
+      fail("repo-key", `Entry ${index}: ${message}`, { repoKey, pointer: `/${index}/repoKey`, expected });
+    }
+
+    if (Array.isArray(entry.tags)) {
+      const invalid = entry.tags.filter((tag) => !allowedSet.has(tag));
+      // Aliases and other spellings of allowed tags map to the allowed tag.
+      const renamed = invalid.filter((tag) => canonicalTag(tag)).map((tag) => `"${tag}" is "${canonicalTag(tag)}"`);
+      if (invalid.length) {
+        const tags = [...new Set(entry.tags.map((tag) => canonicalTag(tag) || tag))];
+        const fix = renamed.length ? { pointer: `/${index}/tags`, expected: tags } : {};
+        const hint = renamed.length ? ` (${renamed.join(", ")})` : "";
+        fail("tag", `${label}: invalid tag(s): ${invalid.join(", ")}.${hint}`, { repoKey: expected, ...fix });
+      }
+    }
+
+    if (!Array.isArray(entry.robots)) return;
+    const seenFiles = new Map();
+    const seenFileBases = new Set();
+    entry.robots.forEach((robot, robotIndex) => {
+      const file = robot?.file || "";
+      if (!file) return;
+      const at = { repoKey: expected, fileBase: robot.fileBase || undefined };
+      if (robot.path && !robot.fileBase) {
+        fail("file-base", `${label}: "${robot.path}" has no fileBase.`, {
+          ...at,
+          pointer: `/${index}/robots/${robotIndex}/fileBase`,
+          expected: toPreviewBase(robot.path),
+        });
+      } else if (!robot.fileBase) {
+        // Hashing the bare filename would name previews differently from refresh.
+        fail("file-base", `${label}: "${file}" has no fileBase or path (run backfill-urdf-paths).`, at);
+      }
+      if (file.includes("/") || file.includes("\\")) {
+        fail("file-name", `${label}: file "${file}" must be a filename only (no path).`, at);
+      }
+      const format = robot.format || "urdf";
+      if (formatFromPath(file) !== format) {
+        fail("format", `${label}: file "${file}" does not match format "${format}".`, at);
+      }
+      // `path` is what fileBase is hashed from, so each fileBase names
+      // exactly one file in the repo.
+      if (robot.path) {
+        if (path.posix.basename(robot.path) !== file) {
+          fail("path", `${label}: path "${robot.path}" does not end in file "${file}".`, at);
+        }
+        if (robot.fileBase && toPreviewBase(robot.path) !== robot.fileBase) {
+          fail("file-base", `${label}: fileBase "${robot.fileBase}" does not match path "${robot.path}".`, {
+            ...at,
+            expected: toPreviewBase(robot.path),
+          });
+        }
+      }
+      const key = file.toLowerCase();
+      const info = seenFiles.get(key) || { count: 0, bases: new Set() };
+      info.count += 1;
+
+      const fileBase = robot?.fileBase || "";
+      if (fileBase) {
+        if (!FILEBASE_REGEX.test(fileBase)) {
+          fail("file-base", `${label}: fileBase "${fileBase}" is not in the expected slug--hash format.`, at);
+        }
+        const baseKey = fileBase.toLowerCase();
+        if (seenFileBases.has(baseKey)) {
+          fail("duplicate-file-base", `${label}: duplicate fileBase "${fileBase}".`, at);
+        } else {
+          seenFileBases.add(baseKey);
+        }
+        info.bases.add(baseKey);
+      }
+
+      seenFiles.set(key, info);
+    });
+
+    // Variants point at a plain robot of the same entry.
+    const bases = new Map(entry.robots.filter((robot) => robot?.fileBase).map((robot) => [robot.fileBase, robot]));
+    for (const robot of entry.robots) {
+      if (!robot?.variantOf) continue;
+      const base = bases.get(robot.variantOf);
+      if (!base || base === robot || base.kind) {
+        fail(
+          "variant-of",
+          `${label}: variantOf "${robot.variantOf}" of "${robot.file}" must be the fileBase of another, non-variant robot in the entry.`,
+          { repoKey: expected, fileBase: robot.fileBase || undefined }
+        );
+      }
+    }
+
+    for (const [fileKey, info] of seenFiles.entries()) {
+      if (info.count > 1 && info.bases.size < info.count) {
+        fail("duplicate-file", `${label}: duplicate file "${fileKey}" requires unique fileBase values.`, {
+          repoKey: expected,
+        });
+      }
+    }
+  });
+  return issues;
+};
+
+/** `repoKey::fileBase` of every catalogued robot. */
+export const catalogKeys = (robots) => {
+  const keys = new Set();
+  for (const entry of Array.isArray(robots) ? robots : []) {
+    const repoKey = normalizeRepoKey(entry.repo || entry.repoKey);
+    for (const robot of Array.isArray(entry.robots) ? entry.robots : []) {
+      if (robot?.fileBase) keys.add(robotKey(repoKey, robot.fileBase));
+    }
+  }
+  return keys;
+};
+
+/**
+ * Duplicate keys and file paths of previews.json entries; with `robots`,
+ * also entries whose robot isn't in robots.json.
+ */
+export const checkPreviews = (previews, { robots } = {}) => {
+  const entries = Array.isArray(previews?.previews) ? previews.previews : [];
+  const known = robots ? catalogKeys(robots) : null;
+  const issues = [];
+  const seenKeys = new Set();
+
+  entries.forEach((entry, index) => {
+    const repoKey = (entry.repoKey || "").toLowerCase();
+    const fileBase = entry.fileBase || "";
+    const key = robotKey(repoKey, fileBase);
+    const at = { repoKey, fileBase };
+    if (entry.repoKey !== repoKey) {
+      issues.push(
+        error(PREVIEWS_FILE, "repo-key", `Entry ${key}: repoKey "${entry.repoKey}" must be lower case.`, {
+          ...at,
+          pointer: `/previews/${index}/repoKey`,
+          expected: repoKey,
+        })
+      );
+    }
+    if (seenKeys.has(key)) {
+      issues.push(error(PREVIEWS_FILE, "duplicate-preview", `Duplicate preview entry for ${key}.`, at));
+    } else {
+      seenKeys.add(key);
+    }
+    if (known && !known.has(key)) {
+      issues.push(error(PREVIEWS_FILE, "unknown-robot", `Entry ${key}: no robot with this repoKey and fileBase.`, at));
+    }
+
+    for (const [field, folder, ext] of PREVIEW_FIELDS) {
+      const value = entry[field];
+      if (!value) continue;
+      const expected = `${folder}/${repoKey}/${fileBase}.${ext}`;
+      if (normalizePath(value) !== expected) {
+        issues.push(
+          error(PREVIEWS_FILE, "preview-path", `Entry ${key}: ${field} should be "${expected}", got "${value}".`, {
+            ...at,
+            field,
+            pointer: `/previews/${index}/${field}`,
+            expected,
+          })
+        );
+      }
+    }
+  });
+  return issues;
+};
+
+/**
+ * Agreement between robots.json and the files generated from it:
+ * - `meta`: robots.meta.json, whose `count` is the number of entries.
+ * - `assets`: paths under docs/ of every file in previews/ and thumbnails/.
+ *   Files previews.json points at must exist; files it doesn't mention are
+ *   reported as warnings (cleanup-previews removes them).
+ * - `manifests`: `[{ file, manifest }]` for docs/manifests/<repoKey>/<fileBase>.json.
+ */
+export const checkConsistency = ({ robots, meta, previews, assets, manifests = [] }) => {
+  const issues = [];
+  const entries = Array.isArray(robots) ? robots : [];
+  if (meta && meta.count !== entries.length) {
+    issues.push(
+      error(META_FILE, "meta-count", `count is ${meta.count} but robots.json has ${entries.length} entries.`, {
+        field: "count",
+        pointer: "/count",
+        expected: entries.length,
+      })
+    );
+  }
+
+  if (assets) {
+    const referenced = new Set();
+    for (const entry of Array.isArray(previews?.previews) ? previews.previews : []) {
+      for (const [field] of PREVIEW_FIELDS) {
+        if (typeof entry[field] !== "string" || !entry[field]) continue;
+        const rel = normalizePath(entry[field]);
+        referenced.add(rel);
+        if (!assets.has(rel)) {
+          const message = `${field} file "docs/${rel}" does not exist.`;
+          issues.push(
+            error(PREVIEWS_FILE, "missing-file", `Entry ${robotKey(entry.repoKey, entry.fileBase)}: ${message}`, {
+              repoKey: entry.repoKey,
+              fileBase: entry.fileBase,
+              field,
+            })
+          );
+        }
+      }
+    }
+    for (const rel of [...assets].sort()) {
+      if (!referenced.has(rel)) {
+        issues.push(warning(`docs/${rel}`, "orphan-file", "Not referenced by previews.json."));
+      }
+    }
+  }
+
+  const robotsByKey = new Map();
+  for (const entry of entries) {
+    const repoKey = normalizeRepoKey(entry.repo || entry.repoKey);
+    for (const robot of Array.isArray(entry.robots) ? entry.robots : []) {
+      if (robot?.fileBase) robotsByKey.set(robotKey(repoKey, robot.fileBase), robot);
+    }
+  }
+  for (const { file, manifest } of manifests) {
+    const [repoKey, fileBase] = [
+      file.split("/").slice(2, 4).join("/").toLowerCase(),
+      path.posix.basename(file, ".json"),
+    ];
+    const at = { repoKey, fileBase };
+    const robot = robotsByKey.get(robotKey(repoKey, fileBase));
+    if (!robot) {
+      issues.push(error(file, "unknown-robot", "No robot with this repoKey and fileBase.", at));
+      continue;
+    }
+    if (manifest?.repoKey !== repoKey || manifest?.fileBase !== fileBase) {
+      const named = `${manifest?.repoKey}/${manifest?.fileBase}`;
+      issues.push(error(file, "manifest-key", `repoKey/fileBase "${named}" do not match the file name.`, at));
+    }
+    if (robot.path && manifest?.filePath !== robot.path) {
+      const message = `filePath "${manifest?.filePath}" differs from robots.json path "${robot.path}".`;
+      issues.push(warning(file, "manifest-stale", message, at));
+    }
+  }
+  return issues;
+};
+
+/**
+ * Sets the value at each fixable issue's `pointer` in `data` to `expected`,
+ * in place. Pass only issues of the file `data` was read from. Returns the
+ * changes made, `[{ rule, pointer, from, to }]`.
+ */
+export const applyFixes = (data, issues) => {
+  const changes = [];
+  for (const issue of issues) {
+    if (!issue.pointer || issue.expected === undefined) continue;
+    const keys = issue.pointer.split("/").slice(1);
+    const last = keys.pop();
+    const parent = keys.reduce((value, key) => value?.[key], data);
+    if (!parent || typeof parent !== "object") continue;
+    if (JSON.stringify(parent[last]) === JSON.stringify(issue.expected)) continue;
+    changes.push({ rule: issue.rule, pointer: issue.pointer, from: parent[last], to: issue.expected });
+    parent[last] = issue.expected;
+  }
+  return changes;
+};
+
+/** `{ errors, warnings }` counts over a list of issues. */
+export const countIssues = (issues) => ({
+  errors: issues.filter((issue) => issue.severity === "error").length,
+  warnings: issues.filter((issue) => issue.severity === "warning").length,
+});
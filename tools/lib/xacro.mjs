@@ -0,0 +1,592 @@
+// Expands xacro robot descriptions to plain URDF without a ROS install.
+// Covers what published descriptions use in practice: properties (values and
+// blocks), macros with default, inherited and block parameters, includes,
+// xacro:if/unless, ${} expressions and $(arg|find|dirname|env|optenv|eval).
+//
+// Paths are repo-relative. `$(find pkg)` and `$(dirname)` expand to
+// "/<dir>" with the repo root as "/", so include filenames and mesh URIs
+// built from them still resolve against the tree listing.
+
+import path from "node:path";
+import { indexPackages } from "./meshes.mjs";
+import { childElements, parseXml, serializeXml } from "./xml.mjs";
+
+const MAX_DEPTH = 100;
+
+const CONSTANTS = { pi: Math.PI, e: Math.E, inf: Infinity, nan: NaN };
+
+const FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  atan2: Math.atan2,
+  sinh: Math.sinh,
+  cosh: Math.cosh,
+  tanh: Math.tanh,
+  sqrt: Math.sqrt,
+  exp: Math.exp,
+  log: (value, base) => (base === undefined ? Math.log(value) : Math.log(value) / Math.log(base)),
+  log10: Math.log10,
+  pow: Math.pow,
+  fabs: Math.abs,
+  abs: Math.abs,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+  min: Math.min,
+  max: Math.max,
+  radians: (value) => (value * Math.PI) / 180,
+  degrees: (value) => (value * 180) / Math.PI,
+  float: (value) => Number(value),
+  int: (value) => Math.trunc(Number(value)),
+  str: (value) => stringify(value),
+  bool: (value) => truthy(value),
+};
+
+const KEYWORDS = new Set(["and", "or", "not", "if", "else", "True", "False", "None", "true", "false"]);
+const LITERALS = { True: true, true: true, False: false, false: false, None: null };
+
+const stringify = (value) => {
+  if (value === true) return "True";
+  if (value === false) return "False";
+  if (value === null || value === undefined) return "";
+  return String(value);
+};
+
+const truthy = (value) => (typeof value === "string" ? value.length > 0 : Boolean(value));
+
+// Property values are text until used; like xacro, expressions see numbers
+// and booleans where the text reads as one.
+const coerce = (value) => {
+  if (typeof value !== "string") return value;
+  const trimmed = value.trim();
+  if (trimmed !== "" && Number.isFinite(Number(trimmed))) return Number(trimmed);
+  if (trimmed === "true" || trimmed === "True") return true;
+  if (trimmed === "false" || trimmed === "False") return false;
+  return value;
+};
+
+const tokenize = (expr) => {
+  const pattern =
+    /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|('[^']*'|"[^"]*")|([A-Za-z_][\w.]*)|(\*\*|\/\/|==|!=|<=|>=|[-+*/%<>(),]))/y;
+  const tokens = [];
+  let index = 0;
+  while (index < expr.length && expr.slice(index).trim() !== "") {
+    pattern.lastIndex = index;
+    const match = pattern.exec(expr);
+    if (!match) throw new Error(`Cannot parse expression "${expr}" near "${expr.slice(index).trim()}".`);
+    index = pattern.lastIndex;
+    if (match[1] !== undefined) tokens.push({ type: "number", value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: "string", value: match[2].slice(1, -1) });
+    else if (match[3] !== undefined) tokens.push({ type: KEYWORDS.has(match[3]) ? "keyword" : "name", value: match[3] });
+    else tokens.push({ type: "op", value: match[4] });
+  }
+  return tokens;
+};
+
+const BINARY = {
+  "+": (a, b) => (typeof a === "string" || typeof b === "string" ? stringify(a) + stringify(b) : a + b),
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "//": (a, b) => Math.floor(a / b),
+  "%": (a, b) => ((a % b) + b) % b,
+  "**": (a, b) => a ** b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+};
+
+/**
+ * Compiles a Python-style xacro expression into `(resolve) => value`, where
+ * `resolve(name)` looks up properties. Supports arithmetic, comparisons,
+ * and/or/not, `a if cond else b`, math constants and functions.
+ */
+export const compileExpression = (expr) => {
+  const tokens = tokenize(expr);
+  let pos = 0;
+  const is = (type, value) =>
+    pos < tokens.length && tokens[pos].type === type && (value === undefined || tokens[pos].value === value);
+  const expect = (type, value) => {
+    if (!is(type, value)) throw new Error(`Expected "${value ?? type}" in expression "${expr}".`);
+    return tokens[pos++];
+  };
+  const binaryLevel = (next, operators) => () => {
+    let left = next();
+    while (tokens[pos]?.type === "op" && operators.includes(tokens[pos].value)) {
+      const apply = BINARY[tokens[pos++].value];
+      const lhs = left;
+      const rhs = next();
+      left = (resolve) => apply(lhs(resolve), rhs(resolve));
+    }
+    return left;
+  };
+
+  const atom = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error(`Unexpected end of expression "${expr}".`);
+    if (token.type === "number" || token.type === "string") return () => token.value;
+    if (token.type === "keyword" && Object.hasOwn(LITERALS, token.value)) return () => LITERALS[token.value];
+    if (token.type === "op" && token.value === "(") {
+      const inner = conditional();
+      expect("op", ")");
+      return inner;
+    }
+    if (token.type === "name") {
+      const name = token.value.replace(/^math\./, "");
+      if (is("op", "(")) {
+        pos += 1;
+        const params = [];
+        while (!is("op", ")")) {
+          params.push(conditional());
+          if (!is("op", ")")) expect("op", ",");
+        }
+        pos += 1;
+        const fn = FUNCTIONS[name];
+        if (!fn) throw new Error(`Unknown function "${token.value}" in expression "${expr}".`);
+        return (resolve) => fn(...params.map((param) => coerce(param(resolve))));
+      }
+      return (resolve) => {
+        const value = resolve(token.value);
+        if (value !== undefined) return coerce(value);
+        if (Object.hasOwn(CONSTANTS, name)) return CONSTANTS[name];
+        throw new Error(`Undefined property "${token.value}".`);
+      };
+    }
+    throw new Error(`Unexpected "${token.value}" in expression "${expr}".`);
+  };
+  const power = () => {
+    const base = atom();
+    if (!is("op", "**")) return base;
+    pos += 1;
+    const exponent = unary();
+    return (resolve) => base(resolve) ** exponent(resolve);
+  };
+  const unary = () => {
+    if (is("op", "-") || is("op", "+")) {
+      const sign = tokens[pos++].value === "-" ? -1 : 1;
+      const operand = unary();
+      return (resolve) => sign * operand(resolve);
+    }
+    return power();
+  };
+  const multiplicative = binaryLevel(unary, ["*", "/", "//", "%"]);
+  const additive = binaryLevel(multiplicative, ["+", "-"]);
+  const comparison = binaryLevel(additive, ["==", "!=", "<", "<=", ">", ">="]);
+  const negation = () => {
+    if (!is("keyword", "not")) return comparison();
+    pos += 1;
+    const operand = negation();
+    return (resolve) => !truthy(operand(resolve));
+  };
+  const conjunction = () => {
+    let left = negation();
+    while (is("keyword", "and")) {
+      pos += 1;
+      const lhs = left;
+      const rhs = negation();
+      left = (resolve) => {
+        const value = lhs(resolve);
+        return truthy(value) ? rhs(resolve) : value;
+      };
+    }
+    return left;
+  };
+  const disjunction = () => {
+    let left = conjunction();
+    while (is("keyword", "or")) {
+      pos += 1;
+      const lhs = left;
+      const rhs = conjunction();
+      left = (resolve) => {
+        const value = lhs(resolve);
+        return truthy(value) ? value : rhs(resolve);
+      };
+    }
+    return left;
+  };
+  const conditional = () => {
+    const body = disjunction();
+    if (!is("keyword", "if")) return body;
+    pos += 1;
+    const test = disjunction();
+    expect("keyword", "else");
+    const otherwise = conditional();
+    return (resolve) => (truthy(test(resolve)) ? body(resolve) : otherwise(resolve));
+  };
+
+  const compiled = conditional();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}" in expression "${expr}".`);
+  return compiled;
+};
+
+const createScope = (parent = null) => ({ parent, properties: new Map(), macros: new Map() });
+
+const lookup = (scope, kind, name) => {
+  for (let current = scope; current; current = current.parent) {
+    if (current[kind].has(name)) return current[kind].get(name);
+  }
+  return undefined;
+};
+
+const rootScope = (scope) => {
+  let current = scope;
+  while (current.parent) current = current.parent;
+  return current;
+};
+
+const findClosing = (text, start, open, close) => {
+  let depth = 0;
+  let quote = "";
+  for (let i = start; i < text.length; i += 1) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = "";
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === open) {
+      depth += 1;
+    } else if (char === close) {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  throw new Error(`Unterminated "${text.slice(start - 1, start + 1)}" in "${text}".`);
+};
+
+const repoDir = (dir) => (dir === "." || dir === "" ? "/" : `/${dir}`);
+
+const runExtension = (command, state, file) => {
+  const [name, ...rest] = command.trim().split(/\s+/);
+  switch (name) {
+    case "arg": {
+      if (!state.args.has(rest[0])) throw new Error(`Undefined xacro argument "${rest[0]}".`);
+      return state.args.get(rest[0]);
+    }
+    case "find": {
+      const dir = state.findPackage(rest[0]);
+      if (dir === undefined) throw new Error(`Package "${rest[0]}" is not part of this repository.`);
+      return repoDir(dir);
+    }
+    case "dirname":
+      return repoDir(path.posix.dirname(file));
+    case "env":
+      if (!Object.hasOwn(state.env, rest[0])) throw new Error(`Environment variable "${rest[0]}" is not set.`);
+      return state.env[rest[0]];
+    case "optenv":
+      return Object.hasOwn(state.env, rest[0]) ? state.env[rest[0]] : rest.slice(1).join(" ");
+    case "eval":
+      return compileExpression(command.trim().slice(4))((key) => state.args.get(key));
+    case "anon":
+      return rest[0];
+    default:
+      throw new Error(`Unsupported substitution "$(${command.trim()})".`);
+  }
+};
+
+/**
+ * Evaluates `${...}` and `$(...)` in attribute or text content. A value made
+ * of a single `${...}` keeps its type (number/boolean); anything else is text.
+ * `$${` and `$$(` escape a literal dollar.
+ */
+const evaluateText = (text, scope, state, file) => {
+  if (!text.includes("$")) return text;
+  const parts = [];
+  let buffer = "";
+  let i = 0;
+  while (i < text.length) {
+    if (text.startsWith("$${", i) || text.startsWith("$$(", i)) {
+      buffer += text.slice(i + 1, i + 3);
+      i += 3;
+    } else if (text.startsWith("${", i) || text.startsWith("$(", i)) {
+      const bracket = text[i + 1];
+      const end = findClosing(text, i + 1, bracket, bracket === "{" ? "}" : ")");
+      const inner = text.slice(i + 2, end);
+      if (buffer) parts.push(buffer);
+      buffer = "";
+      parts.push(
+        bracket === "{"
+          ? compileExpression(evaluateText(inner, scope, state, file))((name) => lookup(scope, "properties", name))
+          : runExtension(String(evaluateText(inner, scope, state, file)), state, file)
+      );
+      i = end + 1;
+    } else {
+      buffer += text[i];
+      i += 1;
+    }
+  }
+  if (buffer) parts.push(buffer);
+  if (parts.length === 1) return parts[0];
+  return parts.map(stringify).join("");
+};
+
+const substitute = (text, scope, state, file) => stringify(evaluateText(text, scope, state, file));
+
+const toCondition = (value, raw) => {
+  const coerced = coerce(value);
+  if (typeof coerced === "boolean") return coerced;
+  if (typeof coerced === "number") return coerced !== 0;
+  throw new Error(`Invalid xacro condition "${raw}" (evaluated to "${stringify(value)}").`);
+};
+
+// params="a b:=1 c:=^ d:=^|2 *origin **content"
+const parseParams = (spec) =>
+  [...String(spec || "").matchAll(/(\*{1,2})?([^\s:=*]+)(?::=(\^\|?)?('[^']*'|"[^"]*"|\S*))?/g)].map(
+    ([, stars, name, inherit, value]) => ({
+      name,
+      block: stars === "**" ? "children" : stars ? "element" : null,
+      inherit: Boolean(inherit),
+      default:
+        value === undefined || (inherit && !inherit.includes("|"))
+          ? undefined
+          : value.replace(/^(['"])(.*)\1$/, "$2"),
+    })
+  );
+
+const directiveName = (node, state) => {
+  const colon = node.name.indexOf(":");
+  if (colon === -1 || !state.prefixes.has(node.name.slice(0, colon))) return "";
+  return node.name.slice(colon + 1);
+};
+
+const isXacroNamespace = (key, value) => key.startsWith("xmlns:") && /xacro/i.test(value);
+
+const registerPrefixes = (root, state) => {
+  for (const [key, value] of Object.entries(root.attributes)) {
+    if (isXacroNamespace(key, value)) state.prefixes.add(key.slice(6));
+  }
+};
+
+const resolveInclude = (filename, file) => {
+  const target = filename.startsWith("/")
+    ? filename.slice(1)
+    : path.posix.join(path.posix.dirname(file), filename);
+  return path.posix.normalize(target).replace(/^\/+/, "");
+};
+
+const callMacro = async (macro, node, attributes, scope, state, file, depth) => {
+  const local = createScope(macro.scope);
+  const given = { ...attributes };
+  const blocks = childElements(node);
+  let blockIndex = 0;
+  for (const param of macro.params) {
+    if (param.block) {
+      const element = blocks[blockIndex++];
+      if (!element) throw new Error(`Macro "${macro.name}" expects block parameter "${param.name}".`);
+      local.properties.set(param.name, {
+        block: param.block === "children" ? element.children : [element],
+        scope,
+        file,
+      });
+    } else if (Object.hasOwn(given, param.name)) {
+      local.properties.set(param.name, evaluateText(given[param.name], scope, state, file));
+      delete given[param.name];
+    } else if (param.inherit && lookup(scope, "properties", param.name) !== undefined) {
+      local.properties.set(param.name, lookup(scope, "properties", param.name));
+    } else if (param.default !== undefined) {
+      local.properties.set(param.name, evaluateText(param.default, local, state, macro.file));
+    } else {
+      throw new Error(`Macro "${macro.name}" called without parameter "${param.name}" (line ${node.line}).`);
+    }
+  }
+  const unknown = Object.keys(given);
+  if (unknown.length) {
+    throw new Error(`Macro "${macro.name}" has no parameter(s) ${unknown.join(", ")} (line ${node.line}).`);
+  }
+  return expandNodes(macro.body, local, state, macro.file, depth + 1);
+};
+
+const runDirective = async (directive, node, scope, state, file, depth) => {
+  const attributes = node.attributes;
+  const text = (key) => substitute(attributes[key] ?? "", scope, state, file);
+  switch (directive) {
+    case "property": {
+      const name = text("name");
+      if (!name) throw new Error(`xacro:property without a name (line ${node.line}).`);
+      const target =
+        attributes.scope === "global" ? rootScope(scope) : attributes.scope === "parent" ? scope.parent || scope : scope;
+      if (Object.hasOwn(attributes, "value")) {
+        target.properties.set(name, evaluateText(attributes.value, scope, state, file));
+      } else if (Object.hasOwn(attributes, "default")) {
+        if (lookup(scope, "properties", name) === undefined) {
+          target.properties.set(name, evaluateText(attributes.default, scope, state, file));
+        }
+      } else {
+        target.properties.set(name, { block: node.children, scope, file });
+      }
+      return [];
+    }
+    case "arg": {
+      const name = text("name");
+      if (!state.args.has(name) && Object.hasOwn(attributes, "default")) {
+        state.args.set(name, text("default"));
+      }
+      return [];
+    }
+    case "macro": {
+      const name = text("name").replace(/^xacro:/, "");
+      scope.macros.set(name, { name, params: parseParams(attributes.params), body: node.children, scope, file });
+      return [];
+    }
+    case "include": {
+      const target = resolveInclude(text("filename"), file);
+      if (state.stack.includes(target)) throw new Error(`Circular xacro include of "${target}".`);
+      let source;
+      try {
+        source = await state.readFile(target);
+      } catch (error) {
+        throw new Error(`Cannot include "${target}" from "${file}": ${error.message}`);
+      }
+      const root = parseXml(source);
+      registerPrefixes(root, state);
+      const ns = text("ns");
+      const includeScope = ns ? createScope(scope) : scope;
+      state.stack.push(target);
+      const nodes = await expandNodes(root.children, includeScope, state, target, depth + 1);
+      state.stack.pop();
+      if (ns) {
+        for (const kind of ["properties", "macros"]) {
+          for (const [key, value] of includeScope[kind]) scope[kind].set(`${ns}.${key}`, value);
+        }
+      }
+      return nodes;
+    }
+    case "if":
+    case "unless": {
+      const condition = toCondition(evaluateText(attributes.value ?? "", scope, state, file), attributes.value);
+      return condition === (directive === "if") ? expandNodes(node.children, scope, state, file, depth) : [];
+    }
+    case "insert_block": {
+      const name = text("name");
+      const block = lookup(scope, "properties", name);
+      if (!block?.block) throw new Error(`No block named "${name}" to insert (line ${node.line}).`);
+      return expandNodes(block.block, block.scope, state, block.file, depth + 1);
+    }
+    case "element": {
+      const { "xacro:name": elementName, ...rest } = attributes;
+      const element = { ...node, name: substitute(elementName || "", scope, state, file), attributes: rest };
+      return [await expandElement(element, scope, state, file, depth)];
+    }
+    case "attribute":
+      return [{ type: "attribute", name: text("name"), value: text("value") }];
+    case "call": {
+      const { macro: macroName, ...rest } = attributes;
+      const name = substitute(macroName || "", scope, state, file);
+      const macro = lookup(scope, "macros", name);
+      if (!macro) throw new Error(`Unknown xacro macro "${name}" (line ${node.line}).`);
+      return callMacro(macro, node, rest, scope, state, file, depth);
+    }
+    default: {
+      const macro = lookup(scope, "macros", directive);
+      if (!macro) throw new Error(`Unknown xacro macro or tag "${node.name}" (line ${node.line}).`);
+      return callMacro(macro, node, attributes, scope, state, file, depth);
+    }
+  }
+};
+
+const expandElement = async (node, scope, state, file, depth) => {
+  const attributes = {};
+  for (const [key, value] of Object.entries(node.attributes)) {
+    if (key.startsWith("xmlns:") && state.prefixes.has(key.slice(6))) continue;
+    attributes[key] = substitute(value, scope, state, file);
+  }
+  const children = [];
+  for (const child of await expandNodes(node.children, scope, state, file, depth)) {
+    if (child.type === "attribute") attributes[child.name] = child.value;
+    else children.push(child);
+  }
+  return { type: "element", name: node.name, attributes, children, line: node.line };
+};
+
+const expandNodes = async (nodes, scope, state, file, depth) => {
+  if (depth > MAX_DEPTH) throw new Error(`xacro expansion nested deeper than ${MAX_DEPTH} levels (recursive macro?).`);
+  const output = [];
+  for (const node of nodes) {
+    if (node.type === "text") {
+      output.push({ type: "text", value: substitute(node.value, scope, state, file) });
+      continue;
+    }
+    const directive = directiveName(node, state);
+    if (directive) {
+      output.push(...(await runDirective(directive, node, scope, state, file, depth)));
+    } else {
+      output.push(await expandElement(node, scope, state, file, depth));
+    }
+  }
+  return output;
+};
+
+/**
+ * Expands one xacro document to URDF text.
+ *
+ * Options: `file` (repo-relative path of the source, for relative includes),
+ * `readFile(path)` (async, returns the text of another repo file),
+ * `findPackage(name)` (package directory, "" for the repo root, or
+ * undefined), `args` (overrides for xacro:arg) and `env`.
+ */
+export const expandXacro = async (source, options = {}) => {
+  const file = options.file || "robot.urdf.xacro";
+  const state = {
+    args: new Map(Object.entries(options.args || {})),
+    env: options.env || {},
+    findPackage: options.findPackage || (() => undefined),
+    readFile:
+      options.readFile ||
+      (async () => {
+        throw new Error("includes are not available");
+      }),
+    prefixes: new Set(["xacro"]),
+    stack: [file],
+  };
+  const root = parseXml(source);
+  registerPrefixes(root, state);
+  const robot = await expandElement(root, createScope(), state, file, 0);
+  return `<?xml version="1.0"?>\n${serializeXml(robot)}\n`;
+};
+
+/**
+ * Picks the xacro files worth expanding as robots: `*.urdf.xacro` files when
+ * the repo has any (by convention the top-level descriptions), otherwise
+ * every `.xacro` file. Include-only files are weeded out after expansion.
+ */
+export const findXacroEntryPoints = (treePaths) => {
+  const xacros = treePaths.filter((treePath) => treePath.toLowerCase().endsWith(".xacro"));
+  const described = xacros.filter((treePath) => treePath.toLowerCase().endsWith(".urdf.xacro"));
+  return described.length ? described : xacros;
+};
+
+/** "urdf/arm.urdf.xacro" -> "urdf/arm.urdf": where the generated URDF notionally lives. */
+export const xacroUrdfPath = (source) => `${source.replace(/\.xacro$/i, "").replace(/\.urdf$/i, "")}.urdf`;
+
+/**
+ * Expands every xacro entry point of a repo tree. Returns `{ generated,
+ * failed }`: generated robots carry `{ source, path, urdf, links }`; entry
+ * points that fail to expand or yield no <link> (macro libraries) are listed
+ * in `failed` with the reason.
+ */
+export const generateXacroRobots = async (treePaths, readFile, { args = {}, limit = 25 } = {}) => {
+  const packages = indexPackages(treePaths);
+  const findPackage = (name) => packages.get(name)?.[0];
+  const generated = [];
+  const failed = [];
+  for (const source of findXacroEntryPoints(treePaths).slice(0, limit)) {
+    try {
+      const urdf = await expandXacro(await readFile(source), { file: source, readFile, findPackage, args });
+      const links = childElements(parseXml(urdf), "link").length;
+      if (links === 0) {
+        failed.push({ source, error: "expansion produced no <link> elements" });
+        continue;
+      }
+      generated.push({ source, path: xacroUrdfPath(source), urdf, links });
+    } catch (error) {
+      failed.push({ source, error: error.message });
+    }
+  }
+  return { generated, failed };
+};
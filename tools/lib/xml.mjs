@@ -0,0 +1,180 @@
+// Minimal XML reader for robot description files (URDF, xacro, SDF, MJCF).
+// It keeps element order and text nodes, drops comments and processing
+// instructions, and reports malformed input with a line number.
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+export const decodeEntities = (value) =>
+  value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const point = code[1] === "x" || code[1] === "X" ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+      return Number.isFinite(point) ? String.fromCodePoint(point) : match;
+    }
+    return ENTITIES[code] ?? match;
+  });
+
+const lineAt = (text, offset) => text.slice(0, offset).split("\n").length;
+
+const fail = (text, offset, message) => {
+  const error = new Error(`XML parse error (line ${lineAt(text, offset)}): ${message}`);
+  error.line = lineAt(text, offset);
+  return error;
+};
+
+const isSpace = (char) => char === " " || char === "\n" || char === "\t" || char === "\r";
+
+const readTag = (text, start) => {
+  let i = start + 1;
+  while (i < text.length && !isSpace(text[i]) && text[i] !== ">" && text[i] !== "/") i += 1;
+  const name = text.slice(start + 1, i);
+  if (!name) throw fail(text, start, "missing tag name");
+
+  const attributes = {};
+  while (i < text.length) {
+    while (isSpace(text[i])) i += 1;
+    if (text[i] === ">") return { name, attributes, selfClosing: false, end: i + 1 };
+    if (text[i] === "/" && text[i + 1] === ">") return { name, attributes, selfClosing: true, end: i + 2 };
+    const nameStart = i;
+    while (i < text.length && !isSpace(text[i]) && text[i] !== "=" && text[i] !== ">" && text[i] !== "/") i += 1;
+    const attrName = text.slice(nameStart, i);
+    if (!attrName) throw fail(text, i, `unexpected "${text[i] || "end of input"}" in <${name}>`);
+    while (isSpace(text[i])) i += 1;
+    if (text[i] !== "=") throw fail(text, i, `attribute "${attrName}" in <${name}> has no value`);
+    i += 1;
+    while (isSpace(text[i])) i += 1;
+    const quote = text[i];
+    if (quote !== '"' && quote !== "'") throw fail(text, i, `attribute "${attrName}" in <${name}> is not quoted`);
+    const valueEnd = text.indexOf(quote, i + 1);
+    if (valueEnd === -1) throw fail(text, i, `unterminated value for "${attrName}" in <${name}>`);
+    attributes[attrName] = decodeEntities(text.slice(i + 1, valueEnd));
+    i = valueEnd + 1;
+  }
+  throw fail(text, start, `unterminated <${name}> tag`);
+};
+
+/**
+ * Parses an XML document and returns its root element as
+ * `{ type: "element", name, attributes, children, line }`, where children are
+ * elements or `{ type: "text", value }` nodes.
+ */
+export const parseXml = (source) => {
+  const text = String(source);
+  const document = { type: "element", name: "#document", attributes: {}, children: [], line: 1 };
+  const stack = [document];
+  const pushText = (value) => {
+    if (!value) return;
+    stack[stack.length - 1].children.push({ type: "text", value });
+  };
+
+  let index = 0;
+  while (index < text.length) {
+    const lt = text.indexOf("<", index);
+    if (lt === -1) {
+      pushText(decodeEntities(text.slice(index)));
+      break;
+    }
+    if (lt > index) pushText(decodeEntities(text.slice(index, lt)));
+
+    if (text.startsWith("<!--", lt)) {
+      const end = text.indexOf("-->", lt + 4);
+      if (end === -1) throw fail(text, lt, "unterminated comment");
+      index = end + 3;
+      continue;
+    }
+    if (text.startsWith("<![CDATA[", lt)) {
+      const end = text.indexOf("]]>", lt + 9);
+      if (end === -1) throw fail(text, lt, "unterminated CDATA section");
+      pushText(text.slice(lt + 9, end));
+      index = end + 3;
+      continue;
+    }
+    if (text.startsWith("<?", lt)) {
+      const end = text.indexOf("?>", lt + 2);
+      if (end === -1) throw fail(text, lt, "unterminated processing instruction");
+      index = end + 2;
+      continue;
+    }
+    if (text.startsWith("<!", lt)) {
+      let depth = 0;
+      let i = lt + 2;
+      for (; i < text.length; i += 1) {
+        if (text[i] === "[") depth += 1;
+        else if (text[i] === "]") depth -= 1;
+        else if (text[i] === ">" && depth <= 0) break;
+      }
+      if (i >= text.length) throw fail(text, lt, "unterminated declaration");
+      index = i + 1;
+      continue;
+    }
+    if (text[lt + 1] === "/") {
+      const end = text.indexOf(">", lt);
+      if (end === -1) throw fail(text, lt, "unterminated closing tag");
+      const name = text.slice(lt + 2, end).trim();
+      const current = stack[stack.length - 1];
+      if (stack.length === 1 || current.name !== name) {
+        throw fail(text, lt, `unexpected </${name}>${stack.length > 1 ? ` (expected </${current.name}>)` : ""}`);
+      }
+      stack.pop();
+      index = end + 1;
+      continue;
+    }
+
+    const tag = readTag(text, lt);
+    const element = {
+      type: "element",
+      name: tag.name,
+      attributes: tag.attributes,
+      children: [],
+      line: lineAt(text, lt),
+    };
+    stack[stack.length - 1].children.push(element);
+    if (!tag.selfClosing) stack.push(element);
+    index = tag.end;
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw fail(text, text.length, `unclosed <${open.name}> (opened on line ${open.line})`);
+  }
+  const roots = document.children.filter((node) => node.type === "element");
+  if (roots.length !== 1) {
+    throw fail(text, 0, roots.length ? "more than one root element" : "no root element");
+  }
+  return roots[0];
+};
+
+export const childElements = (element, name) =>
+  (element?.children || []).filter((node) => node.type === "element" && (!name || node.name === name));
+
+export const firstChild = (element, name) => childElements(element, name)[0] || null;
+
+export const textContent = (element) =>
+  (element?.children || [])
+    .map((node) => (node.type === "text" ? node.value : textContent(node)))
+    .join("");
+
+const escapeText = (value) => value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+const escapeAttribute = (value) => escapeText(value).replace(/"/g, "&quot;");
+
+/**
+ * Serialises an element tree back to XML. Whitespace-only text is dropped and
+ * element-only content is re-indented; mixed content is written inline.
+ */
+export const serializeXml = (element, depth = 0) => {
+  const pad = "  ".repeat(depth);
+  const attributes = Object.entries(element.attributes || {})
+    .map(([key, value]) => ` ${key}="${escapeAttribute(String(value))}"`)
+    .join("");
+  const children = (element.children || []).filter(
+    (node) => node.type === "element" || node.value.trim() !== ""
+  );
+  if (children.length === 0) return `${pad}<${element.name}${attributes}/>`;
+  if (children.every((node) => node.type === "element")) {
+    const inner = children.map((node) => serializeXml(node, depth + 1)).join("\n");
+    return `${pad}<${element.name}${attributes}>\n${inner}\n${pad}</${element.name}>`;
+  }
+  const inner = children
+    .map((node) => (node.type === "text" ? escapeText(node.value) : serializeXml(node, 0)))
+    .join("");
+  return `${pad}<${element.name}${attributes}>${inner}</${element.name}>`;
+};
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import sharp from "sharp";
+import { parseArgs } from "./lib/gallery.mjs";
+import { QA_DEFAULTS, analyzeImage, checkImage, groupLookalikes } from "./lib/preview-qa.mjs";
+
+const ROOT = path.resolve();
+const DOCS = path.join(ROOT, "docs");
+
+const args = parseArgs();
+const reportPath = path.resolve(String(args.get("report") || path.join(ROOT, "reports", "preview-qa-report.json")));
+const repoFilter = String(args.get("repo") || "").toLowerCase();
+const size = Math.max(16, Number(args.get("size") || 128));
+const failOn = String(args.get("fail-on") || "error");
+const baselinePath = path.resolve(String(args.get("baseline") || path.join(DOCS, "preview-qa-baseline.json")));
+const updateBaseline = Boolean(args.get("update-baseline"));
+const options = {
+  minOccupancy: Number(args.get("min-occupancy") || QA_DEFAULTS.minOccupancy),
+  duplicateDistance: Number(args.get("duplicate-distance") ?? QA_DEFAULTS.duplicateDistance),
+};
+
+// Thumbnails are stills; previews are checked through every animation frame.
+const SOURCES = [
+  { kind: "thumbnail", dir: "thumbnails", ext: ".png" },
+  { kind: "preview", dir: "previews", ext: ".webp" },
+];
+
+const listFiles = async (dir) => {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(fullPath)));
+    } else {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+};
+
+// Accepted findings as `[{ file, rule }]`; they are reported but don't fail
+// the run, so CI only trips on new problems.
+const readBaseline = async () => {
+  try {
+    const entries = JSON.parse(await fs.readFile(baselinePath, "utf8"));
+    return new Set(entries.map((entry) => `${entry.file}#${entry.rule}`));
+  } catch (error) {
+    if (error.code === "ENOENT") return new Set();
+    throw error;
+  }
+};
+
+// Decodes at `size` pixels wide; animated WebPs come back as stacked pages.
+const decodeFrames = async (filePath) => {
+  const { data, info } = await sharp(filePath, { animated: true })
+    .resize({ width: size })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const frameHeight = info.pageHeight || info.height;
+  const frameBytes = info.width * frameHeight * 4;
+  const frames = [];
+  for (let offset = 0; offset + frameBytes <= data.length; offset += frameBytes) {
+    frames.push({ data: data.subarray(offset, offset + frameBytes), width: info.width, height: frameHeight });
+  }
+  return frames;
+};
+
+const main = async () => {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    settings: { ...QA_DEFAULTS, ...options, size },
+    summary: { checked: 0, errors: 0, warnings: 0, failing: 0 },
+    images: [],
+    lookalikes: [],
+  };
+
+  for (const { kind, dir, ext } of SOURCES) {
+    const root = path.join(DOCS, dir);
+    for (const filePath of await listFiles(root)) {
+      if (path.extname(filePath) !== ext) continue;
+      const parts = path.relative(root, filePath).split(path.sep);
+      if (parts.length !== 3) continue;
+      const repoKey = `${parts[0]}/${parts[1]}`;
+      if (repoFilter && repoKey !== repoFilter) continue;
+      const item = {
+        kind,
+        repoKey,
+        fileBase: path.basename(parts[2], ext),
+        file: path.relative(DOCS, filePath).split(path.sep).join("/"),
+      };
+      try {
+        const metrics = analyzeImage(await decodeFrames(filePath), options);
+        report.images.push({ ...item, ...metrics, issues: checkImage(metrics, options) });
+      } catch (error) {
+        report.images.push({ ...item, issues: [{ severity: "error", rule: "decode-error", message: error.message }] });
+      }
+    }
+  }
+
+  // Lookalikes are compared within a kind; blank images all hash alike and
+  // are already flagged.
+  for (const { kind } of SOURCES) {
+    const candidates = report.images.filter(
+      (image) => image.kind === kind && image.hash && !image.issues.some((issue) => issue.rule === "blank")
+    );
+    const byKey = new Map(candidates.map((image) => [`${image.repoKey}::${image.fileBase}`, image]));
+    const items = [...byKey].map(([key, image]) => ({ key, hash: image.hash }));
+    for (const keys of groupLookalikes(items, options)) {
+      report.lookalikes.push({ kind, keys });
+      for (const key of keys) {
+        const others = keys.filter((other) => other !== key);
+        byKey.get(key).issues.push({
+          severity: "warning",
+          rule: "duplicate",
+          message: `Looks like ${others.length} other ${kind}(s): ${others.join(", ")}.`,
+        });
+      }
+    }
+  }
+
+  const failingSeverities = failOn === "warning" ? ["error", "warning"] : ["error"];
+  const baseline = updateBaseline ? new Set() : await readBaseline();
+  const failing = [];
+  for (const image of report.images) {
+    const errors = image.issues.filter((issue) => issue.severity === "error").length;
+    report.summary.checked += 1;
+    report.summary.errors += errors;
+    report.summary.warnings += image.issues.length - errors;
+    for (const issue of image.issues) {
+      if (baseline.has(`${image.file}#${issue.rule}`)) {
+        issue.baseline = true;
+      } else if (failingSeverities.includes(issue.severity)) {
+        failing.push({ image, issue });
+      }
+    }
+  }
+  report.summary.failing = failing.length;
+
+  await fs.mkdir(path.dirname(reportPath), { recursive: true });
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+  console.log(`[preview-qa] Report written: ${reportPath}`);
+  const { checked, errors, warnings } = report.summary;
+  console.log(`[preview-qa] ${checked} images checked, ${errors} errors, ${warnings} warnings`);
+
+  if (updateBaseline) {
+    const entries = failing.map(({ image, issue }) => ({ file: image.file, rule: issue.rule }));
+    await fs.writeFile(baselinePath, JSON.stringify(entries, null, 2));
+    console.log(`[preview-qa] Baseline written: ${baselinePath} (${entries.length} findings)`);
+    return;
+  }
+  for (const { image, issue } of failing) {
+    console.error(`- ${image.file} [${issue.rule}] ${issue.message}`);
+  }
+  if (failing.length) {
+    console.error(`[preview-qa] ${failing.length} finding(s) not in ${baselinePath}`);
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error) => {
+  console.error("[preview-qa] Failed:", error);
+  process.exitCode = 1;
+});
@@ -3,30 +3,11 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "./lib/gallery.mjs";
 
 const ROOT = path.resolve();
 
-const parseArgs = () => {
-  const args = new Map();
-  for (let i = 2; i < process.argv.length; i += 1) {
-    const arg = process.argv[i];
-    if (arg === "--") {
-      args.set("_", process.argv.slice(i + 1));
-      break;
-    }
-    if (!arg.startsWith("--")) continue;
-    const key = arg.slice(2);
-    const next = process.argv[i + 1];
-    if (next && !next.startsWith("--")) {
-      args.set(key, next);
-      i += 1;
-    } else {
-      args.set(key, true);
-    }
-  }
-  return args;
-};
-
 const args = parseArgs();
 const galleryRoot = path.resolve(args.get("gallery") || ROOT);
 const studioRoot = args.get("studio") ? path.resolve(args.get("studio")) : "";
@@ -35,12 +16,6 @@ const dryRun = Boolean(args.get("dry-run"));
 const extraArgs = args.get("_") || [];
 
 const main = async () => {
-  if (!studioRoot) {
-    console.error("[rebuild-previews] --studio is required (path to urdf-star-studio).");
-    process.exitCode = 1;
-    return;
-  }
-
   const raw = await fs.readFile(keysFile, "utf8");
   const keys = raw
     .split(",")
@@ -51,16 +26,15 @@ const main = async () => {
     return;
   }
 
-  const generatorPath = path.join(studioRoot, "scripts", "generate-missing-previews.mjs");
+  // The in-repo generator runs from the gallery root; --studio still hands
+  // the keys to urdf-star-studio's own script instead.
+  const generatorPath = studioRoot
+    ? path.join(studioRoot, "scripts", "generate-missing-previews.mjs")
+    : path.join(path.dirname(fileURLToPath(import.meta.url)), "generate-previews.mjs");
   const command = "node";
-  const commandArgs = [
-    generatorPath,
-    "--gallery",
-    galleryRoot,
-    "--only",
-    keys.join(","),
-    ...extraArgs,
-  ];
+  const commandArgs = studioRoot
+    ? [generatorPath, "--gallery", galleryRoot, "--only", keys.join(","), ...extraArgs]
+    : [generatorPath, "--only", keys.join(","), ...extraArgs];
 
   if (dryRun) {
     console.log("[rebuild-previews] Dry run:");
@@ -68,7 +42,7 @@ const main = async () => {
     return;
   }
 
-  const result = spawnSync(command, commandArgs, { stdio: "inherit" });
+  const result = spawnSync(command, commandArgs, { stdio: "inherit", cwd: galleryRoot });
   if (result.status !== 0) {
     process.exitCode = result.status || 1;
   }
@@ -2,28 +2,18 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
-import https from "node:https";
+import { normalizeRepoKey, parseArgs, parseRepo, toPreviewBase } from "./lib/gallery.mjs";
+import { applyKind, classifyItem, classifyRobots } from "./lib/classify.mjs";
+import { createGithubClient, gitBlobSha } from "./lib/github.mjs";
+import { createMeshIndex, resolveRobotMeshes } from "./lib/meshes.mjs";
+import { discoverModels, formatFromPath, modelName, parseRobotModel } from "./lib/models.mjs";
+import { createWalkBudget, readWalkStates, walkTree, writeWalkStates } from "./lib/tree-walk.mjs";
+import { generateXacroRobots } from "./lib/xacro.mjs";
 
 const ROOT = path.resolve();
 const ROBOTS_PATH = path.join(ROOT, "docs", "robots.json");
 const META_PATH = path.join(ROOT, "docs", "robots.meta.json");
-
-const parseArgs = () => {
-  const args = new Map();
-  for (let i = 2; i < process.argv.length; i += 1) {
-    const arg = process.argv[i];
-    if (!arg.startsWith("--")) continue;
-    const key = arg.slice(2);
-    const next = process.argv[i + 1];
-    if (next && !next.startsWith("--")) {
-      args.set(key, next);
-      i += 1;
-    } else {
-      args.set(key, true);
-    }
-  }
-  return args;
-};
+const GENERATED_DIR = path.join(ROOT, "docs", "generated");
 
 const args = parseArgs();
 const token = args.get("token") || process.env.GITHUB_TOKEN || process.env.GH_TOKEN || "";
@@ -39,24 +29,22 @@ const reportPath = args.get("report") || path.join(ROOT, "docs", "refresh-report
 const concurrency = Math.max(1, Number(args.get("concurrency") || 2));
 const maxRetries = Math.max(0, Number(args.get("retries") || 3));
 const retryDelayMs = Math.max(250, Number(args.get("retry-delay-ms") || 1000));
-
-const normalizeRepoKey = (value) =>
-  value
-    ? value
-        .replace(/^https?:\/\/github\.com\//, "")
-        .split("/")
-        .slice(0, 2)
-        .join("/")
-        .toLowerCase()
-    : "";
-
-const parseRepo = (repoUrl) => {
-  if (!repoUrl) return null;
-  const cleaned = repoUrl.replace(/^https?:\/\/github\.com\//, "").replace(/\.git$/i, "");
-  const [owner, repo] = cleaned.split("/");
-  if (!owner || !repo) return null;
-  return { owner, repo };
-};
+const checkMeshes = !args.get("skip-meshes");
+const classify = !args.get("skip-classify");
+const drift = Boolean(args.get("drift"));
+const previewKeysPath = args.get("preview-keys") || path.join(ROOT, "docs", "backfill-preview-keys.txt");
+const treeBudget = Number(args.get("tree-budget") || 500);
+const walkStatePath = args.get("walk-state") || path.join(ROOT, "reports", "tree-walk-state.json");
+const github = createGithubClient({
+  token,
+  userAgent: "urdf-robot-gallery-refresh",
+  maxRetries,
+  retryDelayMs,
+  logPrefix: "[refresh]",
+  fixtures: args.get("fixtures") ? path.resolve(String(args.get("fixtures"))) : "",
+  record: Boolean(args.get("record")),
+});
+const githubFetch = github.fetch;
 
 const pickBestPath = (paths, preferredPrefix, originalPath) => {
   if (!Array.isArray(paths) || paths.length === 0) return "";
@@ -74,99 +62,10 @@ const pickBestPath = (paths, preferredPrefix, originalPath) => {
   return [...candidates].sort((a, b) => a.length - b.length || a.localeCompare(b))[0];
 };
 
-const slugify = (value) =>
-  value
-    .trim()
-    .replace(/\.urdf$/i, "")
-    .replace(/[^a-zA-Z0-9._-]+/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "")
-    .toLowerCase();
-
-const hashString = (value) => {
-  let hash = 2166136261;
-  for (let i = 0; i < value.length; i += 1) {
-    hash ^= value.charCodeAt(i);
-    hash = Math.imul(hash, 16777619);
-  }
-  return (hash >>> 0).toString(36);
-};
-
-const toPreviewBase = (value) => {
-  const normalized = value.replace(/\\/g, "/").replace(/\.urdf$/i, "");
-  const name = normalized.split("/").pop() || normalized;
-  const slug = slugify(name) || "robot";
-  return `${slug}--${hashString(normalized)}`;
-};
-
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-const githubFetchOnce = (url) =>
-  new Promise((resolve, reject) => {
-    const request = https.get(
-      url,
-      {
-        headers: {
-          Accept: "application/vnd.github.v3+json",
-          "User-Agent": "urdf-robot-gallery-refresh",
-          ...(token ? { Authorization: `token ${token}` } : {}),
-        },
-      },
-      (res) => {
-        if (res.statusCode !== 200) {
-          const error = new Error(`GitHub API ${res.statusCode} for ${url}`);
-          error.statusCode = res.statusCode;
-          error.headers = res.headers;
-          res.resume();
-          reject(error);
-          return;
-        }
-        let data = "";
-        res.setEncoding("utf8");
-        res.on("data", (chunk) => {
-          data += chunk;
-        });
-        res.on("end", () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (error) {
-            reject(error);
-          }
-        });
-      }
-    );
-    request.on("error", reject);
-  });
-
-const githubFetch = async (url) => {
-  let attempt = 0;
-  while (true) {
-    try {
-      return await githubFetchOnce(url);
-    } catch (error) {
-      attempt += 1;
-      const status = error.statusCode || 0;
-      const headers = error.headers || {};
-      const remaining = Number(headers["x-ratelimit-remaining"] || "");
-      const reset = Number(headers["x-ratelimit-reset"] || "");
-      if (status === 403 && Number.isFinite(remaining) && remaining === 0 && reset) {
-        const waitMs = Math.max(reset * 1000 - Date.now() + 1000, retryDelayMs);
-        console.warn(`[refresh] rate limit hit, waiting ${Math.ceil(waitMs / 1000)}s`);
-        await sleep(waitMs);
-        continue;
-      }
-      const retryable = [429, 500, 502, 503, 504].includes(status);
-      if (!retryable || attempt > maxRetries) {
-        throw error;
-      }
-      const delay = retryDelayMs * Math.pow(2, attempt - 1);
-      console.warn(`[refresh] retry ${attempt}/${maxRetries} after ${delay}ms (${status || "err"})`);
-      await sleep(delay);
-    }
-  }
-};
-
 const main = async () => {
+  if (github.mode !== "live") {
+    console.log(`[refresh] GitHub ${github.mode} mode: ${args.get("fixtures")}`);
+  }
   const raw = await fs.readFile(ROBOTS_PATH, "utf8");
   const robotsJson = JSON.parse(raw);
   if (!Array.isArray(robotsJson)) {
@@ -179,7 +78,14 @@ const main = async () => {
     missingFiles: [],
     truncated: [],
     updatedRepos: [],
+    meshes: [],
+    xacro: [],
+    models: [],
+    drift: [],
+    duplicates: [],
+    classified: [],
   };
+  const generatedFiles = [];
 
   const entries = robotsJson.filter((entry) => {
     const repoKey = normalizeRepoKey(entry.repo || entry.repoKey);
@@ -189,6 +95,200 @@ const main = async () => {
   });
   const limitedEntries = limit > 0 ? entries.slice(0, limit) : entries;
 
+  const walkBudget = createWalkBudget(treeBudget);
+  const walkStates = await readWalkStates(walkStatePath);
+
+  // Truncated listings are replaced by a directory walk. Returns the blob
+  // nodes, or null while the walk is still incomplete. A failed request
+  // throws after its progress is saved, so the next run resumes from there.
+  const walkTruncatedTree = async (repoKey, repoInfo, treeData, focus) => {
+    const walk = await walkTree({
+      root: treeData.sha,
+      fetchTree: (sha) =>
+        githubFetch(`https://api.github.com/repos/${repoInfo.owner}/${repoInfo.repo}/git/trees/${sha}`),
+      focus,
+      budget: walkBudget,
+      state: walkStates[repoKey],
+    });
+    report.truncated.push({
+      repoKey,
+      complete: walk.complete,
+      requests: walk.requests,
+      pending: walk.state ? walk.state.pending.length : 0,
+    });
+    if (walk.state) {
+      walkStates[repoKey] = walk.state;
+      if (walk.error) throw new Error(walk.error);
+      return null;
+    }
+    delete walkStates[repoKey];
+    return walk.blobs.map((blob) => ({ ...blob, type: "blob" }));
+  };
+
+  const readBlob = async (repoInfo, sha) => {
+    const blob = await githubFetch(
+      `https://api.github.com/repos/${repoInfo.owner}/${repoInfo.repo}/git/blobs/${sha}`
+    );
+    return Buffer.from(blob.content || "", blob.encoding === "base64" ? "base64" : "utf8").toString("utf8");
+  };
+
+  const blobReader = (repoInfo, blobShas) => async (treePath) => {
+    const sha = blobShas.get(treePath);
+    if (!sha) throw new Error("not found in tree");
+    return readBlob(repoInfo, sha);
+  };
+
+  // Resolves the <mesh> references of one parsed model against the tree.
+  // Only robots with something to report are returned.
+  const findMeshProblems = (repoInfo, meshIndex, modelPath, model) => {
+    const result = resolveRobotMeshes(meshIndex, model, { urdfPath: modelPath, repoName: repoInfo.repo });
+    const problems =
+      result.unresolved.length + result.unsupported.length + result.caseMismatches.length;
+    return problems ? result : null;
+  };
+
+  // Parsed once for both the mesh check and classification; a parse failure
+  // is reported as a mesh-check error.
+  const readModel = (xml) => {
+    try {
+      return { model: parseRobotModel(xml).model, error: "" };
+    } catch (error) {
+      return { model: null, error: `parse failed: ${error.message}` };
+    }
+  };
+
+  // Marks fragments and variants among an entry's robots (`models[i]` is the
+  // parsed model of `robots[i]`, null if it couldn't be read) and lists them
+  // in the report.
+  const classifyEntry = (repoKey, robots, models) => {
+    if (!classify) return;
+    const results = classifyRobots(robots.map((robot, index) => classifyItem(robot, models[index])));
+    robots.forEach((robot, index) => {
+      const result = results[index];
+      applyKind(robot, result);
+      if (result && result.kind !== "robot") {
+        report.classified.push({ repoKey, fileBase: robot.fileBase, path: robot.path || robot.source, ...result });
+      }
+    });
+  };
+
+  // Repos without .urdf files are kept when their xacro entry points expand
+  // to URDF. The expanded files are written under docs/generated/ and the
+  // robots point back at their xacro source. Returns null when nothing
+  // expands.
+  const processXacroEntry = async (entry, repoKey, repoInfo, treePaths, blobShas) => {
+    const { generated, failed } = await generateXacroRobots(treePaths, blobReader(repoInfo, blobShas));
+    report.xacro.push(...failed.map((failure) => ({ repoKey, ...failure })));
+    if (generated.length === 0) return null;
+
+    const robots = (Array.isArray(entry.robots) ? entry.robots : []).filter(
+      (robot) => robot && typeof robot === "object"
+    );
+    const sources = new Set(generated.map((item) => item.source));
+    for (const robot of robots) {
+      if (robot.source && !sources.has(robot.source)) {
+        report.missingFiles.push({ repoKey, file: robot.source, reason: "xacro source not found or not expandable" });
+      }
+    }
+
+    const meshIndex = checkMeshes ? createMeshIndex(treePaths) : null;
+    const models = [];
+    entry.robots = generated.map((item) => {
+      const previous = robots.find((robot) => robot.source === item.source);
+      const fileName = path.posix.basename(item.path);
+      const fileBase = toPreviewBase(item.path);
+      const generatedPath = `generated/${repoKey}/${fileBase}.urdf`;
+      generatedFiles.push({ path: generatedPath, urdf: item.urdf });
+      const { model, error } = readModel(item.urdf);
+      models.push(model);
+      if (meshIndex) {
+        const result = error ? { error } : findMeshProblems(repoInfo, meshIndex, item.source, model);
+        if (result) report.meshes.push({ repoKey, fileBase, path: item.source, ...result });
+      }
+      return {
+        ...(previous || {}),
+        name: previous?.name || fileName.replace(/\.urdf$/i, ""),
+        file: fileName,
+        fileBase,
+        source: item.source,
+        generated: generatedPath,
+        blobSha: gitBlobSha(item.urdf),
+      };
+    });
+    classifyEntry(repoKey, entry.robots, models);
+    report.updatedRepos.push(repoKey);
+    return { keep: true };
+  };
+
+  // Last resort for repos without URDF or xacro: SDF and MJCF models are
+  // listed as they are, with `format` set. Returns null when none parse.
+  const processModelEntry = async (entry, repoKey, repoInfo, treePaths, blobShas) => {
+    const { found, failed } = await discoverModels(treePaths, blobReader(repoInfo, blobShas));
+    report.models.push(...failed.map((failure) => ({ repoKey, ...failure })));
+    if (found.length === 0) return null;
+
+    const robots = (Array.isArray(entry.robots) ? entry.robots : []).filter(
+      (robot) => robot && typeof robot === "object"
+    );
+    const meshIndex = checkMeshes ? createMeshIndex(treePaths) : null;
+    entry.robots = found.map((item) => {
+      const fileName = path.posix.basename(item.path);
+      const fileBase = toPreviewBase(item.path);
+      const previous = robots.find((robot) => robot.fileBase === fileBase);
+      if (meshIndex) {
+        const result = findMeshProblems(repoInfo, meshIndex, item.path, item.model);
+        if (result) report.meshes.push({ repoKey, fileBase, path: item.path, ...result });
+      }
+      return {
+        ...(previous || {}),
+        name: previous?.name || modelName(item.path),
+        file: fileName,
+        fileBase,
+        path: item.path,
+        format: item.format,
+        blobSha: blobShas.get(item.path),
+      };
+    });
+    classifyEntry(repoKey, entry.robots, found.map((item) => item.model));
+    report.updatedRepos.push(repoKey);
+    return { keep: true };
+  };
+
+  // Drift mode: compares each robot's pinned blob SHA with the current tree
+  // and leaves the entry alone. Generated robots are expanded again, so edits
+  // to included xacro files count as drift too.
+  const checkDrift = async (entry, repoKey, repoInfo, revision, treePaths, blobShas) => {
+    const robots = (Array.isArray(entry.robots) ? entry.robots : []).filter(
+      (robot) => robot && typeof robot === "object"
+    );
+    const pathByBase = new Map(treePaths.filter((p) => formatFromPath(p)).map((p) => [toPreviewBase(p), p]));
+    let expanded = null;
+    for (const robot of robots) {
+      const robotPath = robot.source || robot.path || pathByBase.get(robot.fileBase) || "";
+      let current = "";
+      if (robot.source) {
+        if (blobShas.has(robot.source)) {
+          expanded ||= await generateXacroRobots(treePaths, blobReader(repoInfo, blobShas));
+          const item = expanded.generated.find((generated) => generated.source === robot.source);
+          current = item ? gitBlobSha(item.urdf) : "";
+        }
+      } else {
+        current = blobShas.get(robotPath) || "";
+      }
+      const status = !current ? "missing" : !robot.blobSha ? "unpinned" : current !== robot.blobSha ? "changed" : "";
+      if (!status) continue;
+      report.drift.push({
+        repoKey,
+        fileBase: robot.fileBase,
+        file: robotPath || robot.file,
+        status,
+        pinned: robot.blobSha || null,
+        current: current || null,
+        ...(status === "changed" ? { from: entry.revision?.commit || null, to: revision.commit } : {}),
+      });
+    }
+  };
+
   const processEntry = async (entry) => {
     const repoKey = normalizeRepoKey(entry.repo || entry.repoKey);
     if (!repoKey) return { keep: true };
@@ -206,11 +306,26 @@ const main = async () => {
       return { keep: true };
     }
 
+    // The tree is read at the branch's head commit rather than the branch
+    // name, so the recorded revision is exactly what was scanned.
     const branch = repoData.default_branch || "main";
+    let commitData;
+    try {
+      commitData = await githubFetch(
+        `https://api.github.com/repos/${repoInfo.owner}/${repoInfo.repo}/commits/${encodeURIComponent(branch)}`
+      );
+    } catch (error) {
+      report.missingFiles.push({
+        repoKey,
+        reason: `commit fetch failed: ${error.message}`,
+      });
+      return { keep: true };
+    }
+
     let treeData;
     try {
       treeData = await githubFetch(
-        `https://api.github.com/repos/${repoInfo.owner}/${repoInfo.repo}/git/trees/${encodeURIComponent(branch)}?recursive=1`
+        `https://api.github.com/repos/${repoInfo.owner}/${repoInfo.repo}/git/trees/${commitData.sha}?recursive=1`
       );
     } catch (error) {
       report.missingFiles.push({
@@ -220,49 +335,79 @@ const main = async () => {
       return { keep: true };
     }
 
+    const normalizedPath = entry.path ? entry.path.replace(/^\/+|\/+$/g, "") : "";
+    let treeNodes = treeData.tree || [];
     if (treeData.truncated) {
-      report.truncated.push(repoKey);
-      return { keep: true };
+      try {
+        treeNodes = await walkTruncatedTree(repoKey, repoInfo, treeData, normalizedPath);
+      } catch (error) {
+        report.missingFiles.push({
+          repoKey,
+          reason: `tree walk failed: ${error.message}`,
+        });
+        return { keep: true };
+      }
+      // Entries stay as they are until the walk has seen the whole tree.
+      if (!treeNodes) return { keep: true };
     }
 
-    const treePaths = (treeData.tree || [])
-      .filter((node) => node?.path && node?.type === "blob")
-      .map((node) => node.path);
+    const treeBlobs = treeNodes.filter((node) => node?.path && node?.type === "blob");
+    const treePaths = treeBlobs.map((node) => node.path);
 
-    const normalizedPath = entry.path ? entry.path.replace(/^\/+|\/+$/g, "") : "";
     const hasPrefix = normalizedPath
       ? treePaths.some((p) => p.startsWith(`${normalizedPath}/`))
       : false;
     const normalizedTreePaths = normalizedPath && !hasPrefix
       ? treePaths.map((p) => `${normalizedPath}/${p}`)
       : treePaths;
+    const blobShas = new Map(
+      treeBlobs.map((node, index) => [normalizedTreePaths[index], node.sha])
+    );
+
+    const revision = { branch, commit: commitData.sha, tree: treeData.sha };
+    if (drift) {
+      await checkDrift(entry, repoKey, repoInfo, revision, normalizedTreePaths, blobShas);
+      return { keep: true };
+    }
+    entry.revision = revision;
 
     const urdfPaths = normalizedTreePaths.filter((p) => p.toLowerCase().endsWith(".urdf"));
     if (urdfPaths.length === 0) {
+      const result =
+        (await processXacroEntry(entry, repoKey, repoInfo, normalizedTreePaths, blobShas)) ||
+        (await processModelEntry(entry, repoKey, repoInfo, normalizedTreePaths, blobShas));
+      if (result) return result;
       report.removedRepos.push(repoKey);
       return { keep: false };
     }
 
-    const urdfByPath = new Map();
-    const urdfByName = new Map();
-    for (const p of urdfPaths) {
-      urdfByPath.set(p.toLowerCase(), p);
+    // Listed robots may be SDF/MJCF even when the repo also has URDFs; only
+    // URDFs are added automatically.
+    const modelPaths = normalizedTreePaths.filter((p) => formatFromPath(p));
+    const modelByPath = new Map();
+    const modelByName = new Map();
+    const modelByBase = new Map();
+    for (const p of modelPaths) {
+      modelByPath.set(p.toLowerCase(), p);
+      modelByBase.set(toPreviewBase(p), p);
       const name = path.posix.basename(p).toLowerCase();
-      if (!urdfByName.has(name)) urdfByName.set(name, []);
-      urdfByName.get(name).push(p);
+      if (!modelByName.has(name)) modelByName.set(name, []);
+      modelByName.get(name).push(p);
     }
 
     const robots = Array.isArray(entry.robots) ? entry.robots : [];
     const matchedPaths = new Set();
     const updatedRobots = [];
+    const robotPaths = [];
     for (const robot of robots) {
       if (!robot) continue;
       const isString = typeof robot === "string";
-      const rawFile = (isString ? robot : robot.file || "").replace(/\\/g, "/").replace(/^\/+/, "");
+      const rawFile = (isString ? robot : robot.path || robot.file || "").replace(/\\/g, "/").replace(/^\/+/, "");
       if (!rawFile) continue;
-      const direct = urdfByPath.get(rawFile.toLowerCase());
+      // A stored fileBase tells same-named files apart (it hashes the path).
+      const direct = modelByPath.get(rawFile.toLowerCase()) || (!isString && modelByBase.get(robot.fileBase));
       const nameKey = path.posix.basename(rawFile).toLowerCase();
-      const candidate = direct || pickBestPath(urdfByName.get(nameKey), normalizedPath, rawFile);
+      const candidate = direct || pickBestPath(modelByName.get(nameKey), normalizedPath, rawFile);
       if (!candidate) {
         report.missingFiles.push({
           repoKey,
@@ -271,16 +416,25 @@ const main = async () => {
         });
         continue;
       }
+      if (matchedPaths.has(candidate.toLowerCase())) {
+        report.duplicates.push({ repoKey, path: candidate });
+        continue;
+      }
       matchedPaths.add(candidate.toLowerCase());
       const fileName = path.posix.basename(candidate);
       const fileBase = toPreviewBase(candidate);
-      const name = !isString && robot?.name ? robot.name : fileName.replace(/\.urdf$/i, "");
+      const name = !isString && robot?.name ? robot.name : modelName(fileName);
+      const format = formatFromPath(candidate);
       updatedRobots.push({
         ...(isString ? {} : robot),
         name,
         file: fileName,
         fileBase,
+        path: candidate,
+        ...(format === "urdf" ? {} : { format }),
+        blobSha: blobShas.get(candidate),
       });
+      robotPaths.push(candidate);
     }
 
     const sortedExtra = urdfPaths
@@ -292,7 +446,40 @@ const main = async () => {
         name: fileName.replace(/\.urdf$/i, ""),
         file: fileName,
         fileBase: toPreviewBase(extra),
+        path: extra,
+        blobSha: blobShas.get(extra),
       });
+      robotPaths.push(extra);
+    }
+
+    // Each file is read once, for both the mesh check and classification.
+    if (checkMeshes || classify) {
+      const meshIndex = checkMeshes ? createMeshIndex(normalizedTreePaths) : null;
+      const models = new Map();
+      for (let i = 0; i < updatedRobots.length; i += 1) {
+        const urdfPath = robotPaths[i];
+        const sha = blobShas.get(urdfPath);
+        if (!sha || models.has(urdfPath)) continue;
+        let loaded;
+        try {
+          loaded = readModel(await readBlob(repoInfo, sha));
+        } catch (error) {
+          loaded = { model: null, error: `blob fetch failed: ${error.message}` };
+        }
+        models.set(urdfPath, loaded.model);
+        if (!meshIndex) continue;
+        const result = loaded.error
+          ? { error: loaded.error }
+          : findMeshProblems(repoInfo, meshIndex, urdfPath, loaded.model);
+        if (result) {
+          report.meshes.push({ repoKey, fileBase: updatedRobots[i].fileBase, path: urdfPath, ...result });
+        }
+      }
+      classifyEntry(
+        repoKey,
+        updatedRobots,
+        robotPaths.map((robotPath) => models.get(robotPath) || null)
+      );
     }
 
     entry.robots = updatedRobots;
@@ -316,6 +503,24 @@ const main = async () => {
 
   await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
   console.log(`[refresh] Report written: ${reportPath}`);
+  await writeWalkStates(walkStatePath, walkStates);
+  const unfinished = report.truncated.filter((item) => !item.complete).length;
+  if (unfinished) {
+    console.log(`[refresh] ${unfinished} truncated tree walk(s) saved to ${walkStatePath}; re-run to resume`);
+  }
+
+  if (drift) {
+    // Drifted robots are added to the keys rebuild-previews reads, next to
+    // any keys already queued there. Pins move on the next --write refresh.
+    const changed = report.drift.filter((item) => item.status === "changed");
+    const existing = await fs.readFile(previewKeysPath, "utf8").catch(() => "");
+    const keys = new Set(existing.split(",").map((key) => key.trim()).filter(Boolean));
+    for (const item of changed) keys.add(`${item.repoKey}::${item.fileBase}`);
+    await fs.writeFile(previewKeysPath, [...keys].sort().join(","));
+    console.log(`[refresh] ${changed.length} robot(s) drifted from their pinned blob`);
+    console.log(`[refresh] Preview keys written: ${previewKeysPath}`);
+    return;
+  }
 
   if (write) {
     await fs.writeFile(ROBOTS_PATH, JSON.stringify(refreshed, null, 2));
@@ -325,6 +530,14 @@ const main = async () => {
       count: refreshed.length,
     };
     await fs.writeFile(META_PATH, JSON.stringify(meta, null, 2));
+    for (const file of generatedFiles) {
+      const target = path.join(GENERATED_DIR, ...file.path.split("/").slice(1));
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, file.urdf);
+    }
+    if (generatedFiles.length) {
+      console.log(`[refresh] Wrote ${generatedFiles.length} generated URDF(s) to ${GENERATED_DIR}`);
+    }
     console.log(`[refresh] Updated ${ROBOTS_PATH}`);
     console.log(`[refresh] Updated ${META_PATH}`);
   } else {
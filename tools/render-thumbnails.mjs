@@ -3,48 +3,25 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import { chromium } from "playwright";
+import { normalizeRepoKey, parseArgs } from "./lib/gallery.mjs";
+import { runThumbnailPool, thumbnailUrl } from "./lib/thumbnails.mjs";
 
 const ROOT = path.resolve();
 const ROBOTS_JSON = path.join(ROOT, "docs", "robots.json");
 const OUTPUT_ROOT = path.join(ROOT, "docs", "thumbnails");
-const STUDIO_URL = (process.env.URDF_STUDIO_URL || "http://localhost:5173/").replace(/\/+$/, "/");
 const VIEWPORT = 256;
 
-const args = process.argv.slice(2);
-const getArg = (name) => {
-  const idx = args.indexOf(name);
-  if (idx === -1) return "";
-  return args[idx + 1] || "";
-};
-
-const repoFilter = getArg("--repo");
-const limit = Number(getArg("--limit") || 0);
-const force = args.includes("--force");
-
-const slugify = (value) =>
-  value
-    .trim()
-    .replace(/\.urdf$/i, "")
-    .replace(/[^a-zA-Z0-9._-]+/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "")
-    .toLowerCase();
-
-const hashString = (value) => {
-  let hash = 2166136261;
-  for (let i = 0; i < value.length; i += 1) {
-    hash ^= value.charCodeAt(i);
-    hash = Math.imul(hash, 16777619);
-  }
-  return (hash >>> 0).toString(36);
-};
-
-const toPreviewBase = (value) => {
-  const normalized = value.replace(/\\/g, "/").replace(/\.urdf$/i, "");
-  const name = normalized.split("/").pop() || normalized;
-  const slug = slugify(name) || "robot";
-  return `${slug}--${hashString(normalized)}`;
-};
+const args = parseArgs();
+const studioBase = args.get("studio-url") || process.env.URDF_STUDIO_URL || "http://localhost:5173/";
+const STUDIO_URL = String(studioBase).replace(/\/+$/, "/");
+const repoFilter = String(args.get("repo") || "");
+const limit = Number(args.get("limit") || 0);
+const force = Boolean(args.get("force"));
+const resume = Boolean(args.get("resume"));
+const concurrency = Math.max(1, Number(args.get("concurrency") || 4));
+const retries = Math.max(0, Number(args.get("retries") || 2));
+const retryDelayMs = Math.max(1, Number(args.get("retry-delay-ms") || 2000));
+const reportPath = path.resolve(String(args.get("report") || path.join(ROOT, "reports", "thumbnail-report.json")));
 
 const readRobots = async () => {
   const raw = await fs.readFile(ROBOTS_JSON, "utf8");
@@ -55,11 +32,11 @@ const readRobots = async () => {
   return parsed;
 };
 
-const buildTasks = (repos) => {
+const buildTasks = (repos, skipped) => {
   const tasks = [];
   for (const entry of repos) {
     const repoUrl = entry.repo;
-    const repoKey = entry.repoKey || repoUrl?.replace(/^https?:\/\/github\.com\//, "").toLowerCase();
+    const repoKey = normalizeRepoKey(repoUrl || entry.repoKey);
     if (!repoUrl || !repoKey) continue;
     if (repoFilter && repoKey !== repoFilter.toLowerCase()) continue;
     const robots = Array.isArray(entry.robots) ? entry.robots : [];
@@ -68,24 +45,32 @@ const buildTasks = (repos) => {
       const name = typeof robot === "string" ? robot : robot.name || robot.file || "";
       const fileBase = typeof robot === "string" ? "" : robot.fileBase || "";
       if (!file && !name) continue;
-      const baseTarget = file || name;
-      const baseName = fileBase || toPreviewBase(baseTarget || name);
-      if (!baseName) continue;
+      // The preview key hashes the file's path within the repo, which only
+      // refresh/backfill know; hashing the bare filename here would name the
+      // thumbnail differently from the gallery's lookup.
+      if (!fileBase) {
+        console.warn(`skip ${repoKey}/${file || name} (no fileBase; run backfill-urdf-paths first)`);
+        skipped.push({ repoKey, file: file || name, reason: "no fileBase" });
+        continue;
+      }
+      // Include-only files render as an empty frame; the gallery hides them.
+      if (robot.kind === "fragment") {
+        skipped.push({ repoKey, fileBase, reason: "fragment" });
+        continue;
+      }
+      // The repo-relative path keeps Studio from picking another file with
+      // the same name; entries backfilled before `path` existed fall back to it.
       tasks.push({
         repoUrl,
         repoKey,
-        baseName,
-        fileTarget: baseTarget,
+        baseName: fileBase,
+        fileTarget: robot.path || file || name,
       });
     }
   }
   return tasks;
 };
 
-const ensureDir = async (dir) => {
-  await fs.mkdir(dir, { recursive: true });
-};
-
 const fileExists = async (filePath) => {
   try {
     await fs.access(filePath);
@@ -95,59 +80,107 @@ const fileExists = async (filePath) => {
   }
 };
 
+const renderOnPage = async (page, task) => {
+  await page.goto(thumbnailUrl(STUDIO_URL, task), { waitUntil: "domcontentloaded", timeout: 60000 });
+  await page.waitForFunction(() => window.__URDF_THUMB_READY__ === true, {
+    timeout: 120000,
+  });
+  const error = await page.evaluate(() => window.__URDF_THUMB_ERROR__ || "");
+  if (error) {
+    throw new Error(error);
+  }
+  const canvas = await page.$("#urdf-thumb-canvas");
+  if (!canvas) {
+    throw new Error("Thumbnail canvas not found");
+  }
+  await fs.mkdir(path.dirname(task.outFile), { recursive: true });
+  await canvas.screenshot({ path: task.outFile, omitBackground: true });
+};
+
+// --resume only retries what failed last time, whether or not a stale
+// thumbnail exists for it.
+const readFailedKeys = async () => {
+  const previous = JSON.parse(
+    await fs.readFile(reportPath, "utf8").catch((error) => {
+      if (error.code === "ENOENT") throw new Error(`--resume: no previous report at ${reportPath}`);
+      throw error;
+    })
+  );
+  return new Set((previous.failed || []).map((item) => `${item.repoKey}::${item.fileBase}`));
+};
+
 const run = async () => {
   const repos = await readRobots();
-  const tasks = buildTasks(repos);
-  const finalTasks = limit > 0 ? tasks.slice(0, limit) : tasks;
-
-  if (finalTasks.length === 0) {
-    console.log("No robots to render.");
-    return;
+  const report = {
+    generatedAt: new Date().toISOString(),
+    studioUrl: STUDIO_URL,
+    concurrency,
+    retries,
+    done: [],
+    skipped: [],
+    failed: [],
+  };
+  let tasks = buildTasks(repos, report.skipped);
+  if (resume) {
+    const failedKeys = await readFailedKeys();
+    tasks = tasks.filter((task) => failedKeys.has(`${task.repoKey}::${task.baseName}`));
+    console.log(`Resuming ${tasks.length} failed thumbnail(s) from ${reportPath}`);
   }
+  const finalTasks = limit > 0 ? tasks.slice(0, limit) : tasks;
 
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({
-    viewport: { width: VIEWPORT, height: VIEWPORT },
-    deviceScaleFactor: 1,
-  });
-
-  let completed = 0;
+  const pending = [];
   for (const task of finalTasks) {
-    const outDir = path.join(OUTPUT_ROOT, task.repoKey);
-    const outFile = path.join(outDir, `${task.baseName}.png`);
-    if (!force && (await fileExists(outFile))) {
+    const outFile = path.join(OUTPUT_ROOT, task.repoKey, `${task.baseName}.png`);
+    if (!force && !resume && (await fileExists(outFile))) {
       console.log(`skip ${task.repoKey}/${task.baseName} (exists)`);
+      report.skipped.push({ repoKey: task.repoKey, fileBase: task.baseName, reason: "exists" });
       continue;
     }
+    pending.push({ ...task, outFile });
+  }
 
-    const page = await context.newPage();
-    const url = `${STUDIO_URL}?thumbnail=1&github=${encodeURIComponent(task.repoUrl)}&urdf=${encodeURIComponent(task.fileTarget)}`;
+  if (pending.length === 0) {
+    console.log("No robots to render.");
+  } else {
+    const browser = await chromium.launch({ headless: true });
     try {
-      await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60000 });
-      await page.waitForFunction(() => window.__URDF_THUMB_READY__ === true, {
-        timeout: 120000,
+      const context = await browser.newContext({
+        viewport: { width: VIEWPORT, height: VIEWPORT },
+        deviceScaleFactor: 1,
       });
-      const error = await page.evaluate(() => window.__URDF_THUMB_ERROR__ || "");
-      if (error) {
-        throw new Error(error);
-      }
-      const canvas = await page.$("#urdf-thumb-canvas");
-      if (!canvas) {
-        throw new Error("Thumbnail canvas not found");
+      const results = await runThumbnailPool({
+        tasks: pending,
+        concurrency,
+        retries,
+        retryDelayMs,
+        openWorker: async () => {
+          const page = await context.newPage();
+          return { render: (task) => renderOnPage(page, task), close: () => page.close() };
+        },
+        onResult: ({ task, status, attempts, error }) => {
+          if (status === "done") {
+            console.log(`done ${task.repoKey}/${task.baseName}`);
+          } else {
+            console.error(`fail ${task.repoKey}/${task.baseName} after ${attempts} attempt(s): ${error}`);
+          }
+        },
+      });
+      for (const { task, status, attempts, durationMs, error } of results) {
+        const item = { repoKey: task.repoKey, fileBase: task.baseName, file: task.fileTarget, attempts, durationMs };
+        report[status].push(error ? { ...item, error } : item);
       }
-      await ensureDir(outDir);
-      await canvas.screenshot({ path: outFile, omitBackground: true });
-      completed += 1;
-      console.log(`done ${task.repoKey}/${task.baseName}`);
-    } catch (error) {
-      console.error(`fail ${task.repoKey}/${task.baseName}:`, error.message || error);
     } finally {
-      await page.close();
+      await browser.close();
     }
   }
 
-  await browser.close();
-  console.log(`Rendered ${completed}/${finalTasks.length} thumbnails.`);
+  await fs.mkdir(path.dirname(reportPath), { recursive: true });
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+  console.log(`Rendered ${report.done.length}/${pending.length} thumbnails (${report.failed.length} failed).`);
+  console.log(`Report written: ${reportPath}`);
+  if (report.failed.length) {
+    process.exitCode = 1;
+  }
 };
 
 run().catch((error) => {
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import Ajv from "ajv/dist/2020.js";
+import { parseArgs } from "./lib/gallery.mjs";
+import {
+  PREVIEWS_FILE,
+  ROBOTS_FILE,
+  checkConsistency,
+  checkPreviews,
+  checkRobots,
+  countIssues,
+  schemaIssues,
+} from "./lib/validate.mjs";
+
+const ROOT = path.resolve();
+
+const args = parseArgs();
+const galleryRoot = path.resolve(String(args.get("gallery") || ROOT));
+const reportPath = args.get("report") ? path.resolve(String(args.get("report"))) : "";
+const json = Boolean(args.get("json"));
+
+const docsPath = (...parts) => path.join(galleryRoot, "docs", ...parts);
+
+const readJson = async (filePath, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (fallback !== undefined && error.code === "ENOENT") return fallback;
+    throw error;
+  }
+};
+
+// Paths relative to docs/, "/"-separated; a missing directory has no files.
+const listFiles = async (dir) => {
+  let entries;
+  try {
+    entries = await fs.readdir(docsPath(dir), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  const files = [];
+  for (const entry of entries) {
+    const rel = `${dir}/${entry.name}`;
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(rel)));
+    } else if (entry.isFile()) {
+      files.push(rel);
+    }
+  }
+  return files;
+};
+
+const main = async () => {
+  const [robots, robotsSchema, allowedTags, meta, previews, previewsSchema] = await Promise.all([
+    readJson(docsPath("robots.json")),
+    readJson(docsPath("robots.schema.json")),
+    readJson(docsPath("tags.json")),
+    readJson(docsPath("robots.meta.json"), null),
+    readJson(docsPath("previews.json")),
+    readJson(docsPath("previews.schema.json")),
+  ]);
+  const [previewFiles, thumbnailFiles, manifestFiles] = await Promise.all([
+    listFiles("previews"),
+    listFiles("thumbnails"),
+    listFiles("manifests"),
+  ]);
+  const manifests = await Promise.all(
+    manifestFiles
+      .filter((file) => file.endsWith(".json"))
+      .map(async (file) => ({ file: `docs/${file}`, manifest: await readJson(docsPath(file)) }))
+  );
+
+  // Every check runs even when the schema fails, so one run lists everything.
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+  const validateRobots = ajv.compile(robotsSchema);
+  const validatePreviews = ajv.compile(previewsSchema);
+  const entries = Array.isArray(robots) ? robots : [];
+  const issues = [
+    ...(validateRobots(robots) ? [] : schemaIssues(validateRobots.errors, robots, ROBOTS_FILE)),
+    ...checkRobots(entries, { allowedTags }),
+    ...(validatePreviews(previews) ? [] : schemaIssues(validatePreviews.errors, previews, PREVIEWS_FILE)),
+    ...checkPreviews(previews, { robots: entries }),
+    ...checkConsistency({
+      robots: entries,
+      meta,
+      previews,
+      assets: new Set([...previewFiles, ...thumbnailFiles]),
+      manifests,
+    }),
+  ];
+
+  const summary = countIssues(issues);
+  const report = { ok: summary.errors === 0, summary, issues };
+  if (reportPath) {
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+  }
+  if (!report.ok) process.exitCode = 1;
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const byFile = new Map();
+  for (const issue of issues) {
+    byFile.set(issue.file, [...(byFile.get(issue.file) || []), issue]);
+  }
+  for (const [file, fileIssues] of byFile) {
+    const log = fileIssues.some((issue) => issue.severity === "error") ? console.error : console.log;
+    log(`[validate] ${file}`);
+    for (const issue of fileIssues) {
+      log(`- ${issue.severity} [${issue.rule}] ${issue.message}`);
+    }
+  }
+  if (reportPath) console.log(`[validate] Report written: ${reportPath}`);
+  console.log(`[validate] ${report.ok ? "OK" : "Failed"}: ${summary.errors} errors, ${summary.warnings} warnings`);
+};
+
+main().catch((error) => {
+  console.error("[validate] Failed:", error);
+  process.exitCode = 1;
+});
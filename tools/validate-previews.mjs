@@ -2,63 +2,86 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
-import Ajv from "ajv";
+import Ajv from "ajv/dist/2020.js";
+import { parseArgs } from "./lib/gallery.mjs";
+import { PREVIEWS_FILE, applyFixes, checkPreviews, schemaIssues } from "./lib/validate.mjs";
 
 const ROOT = path.resolve();
-const PREVIEWS_PATH = path.join(ROOT, "docs", "previews.json");
-const SCHEMA_PATH = path.join(ROOT, "docs", "previews.schema.json");
+const DOCS = path.join(ROOT, "docs");
+const PREVIEWS_PATH = path.join(DOCS, "previews.json");
+const SCHEMA_PATH = path.join(DOCS, "previews.schema.json");
+const ROBOTS_PATH = path.join(DOCS, "robots.json");
+
+const args = parseArgs();
+const fix = Boolean(args.get("fix"));
 
 const readJson = async (filePath) => {
   const raw = await fs.readFile(filePath, "utf8");
   return JSON.parse(raw);
 };
 
-const normalizePath = (value) => value.replace(/^\/+/, "");
+const exists = (filePath) =>
+  fs.access(filePath).then(
+    () => true,
+    () => false
+  );
+
+// A fixed path points previews.json at the expected file. When only the file
+// at the old path exists, it is moved there so the entry keeps its media.
+const moveAsset = async (from, to) => {
+  const [source, target] = [from, to].map((rel) => path.join(DOCS, ...rel.replace(/^\/+/, "").split("/")));
+  if (source === target || !(await exists(source)) || (await exists(target))) return false;
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.rename(source, target);
+  return true;
+};
+
+// Lower-casing a repoKey changes the expected paths, so fixes run until none are left.
+const fixPreviews = async (previews, robots) => {
+  const changes = [];
+  for (let pass = 0; pass < 3; pass += 1) {
+    const applied = applyFixes(previews, checkPreviews(previews, { robots }));
+    if (!applied.length) break;
+    for (const change of applied) {
+      const moved = change.rule === "preview-path" && (await moveAsset(change.from, change.to));
+      changes.push({ ...change, moved });
+    }
+  }
+  return changes;
+};
 
 const main = async () => {
-  const [previews, schema] = await Promise.all([readJson(PREVIEWS_PATH), readJson(SCHEMA_PATH)]);
+  const [previews, schema, robots] = await Promise.all([
+    readJson(PREVIEWS_PATH),
+    readJson(SCHEMA_PATH),
+    readJson(ROBOTS_PATH),
+  ]);
+
+  if (fix && Array.isArray(previews?.previews)) {
+    const changes = await fixPreviews(previews, robots);
+    for (const { rule, pointer, from, to, moved } of changes) {
+      console.log(`[validate-previews] Fixed ${pointer} [${rule}]: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+      if (moved) console.log(`[validate-previews] Moved docs/${from.replace(/^\/+/, "")} to docs/${to}`);
+    }
+    if (changes.length) {
+      await fs.writeFile(PREVIEWS_PATH, JSON.stringify(previews, null, 2));
+    }
+    console.log(`[validate-previews] ${changes.length} fixes applied.`);
+  }
 
   const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
   const validate = ajv.compile(schema);
   if (!validate(previews)) {
     console.error("[validate-previews] Schema validation failed.");
-    for (const error of validate.errors || []) {
-      console.error(`- ${error.instancePath || "(root)"} ${error.message || "invalid"}`);
+    for (const issue of schemaIssues(validate.errors, previews, PREVIEWS_FILE)) {
+      console.error(`- ${issue.message}`);
     }
     process.exitCode = 1;
     return;
   }
 
-  const entries = Array.isArray(previews.previews) ? previews.previews : [];
-  const errors = [];
-  const seenKeys = new Set();
-
-  for (const entry of entries) {
-    const repoKey = entry.repoKey || "";
-    const fileBase = entry.fileBase || "";
-    const key = `${repoKey}::${fileBase}`;
-    if (seenKeys.has(key)) {
-      errors.push(`Duplicate preview entry for ${key}.`);
-    } else {
-      seenKeys.add(key);
-    }
-
-    const checks = [
-      ["webp", "previews", "webp"],
-      ["webm", "previews", "webm"],
-      ["mp4", "previews", "mp4"],
-      ["png", "thumbnails", "png"],
-    ];
-    for (const [field, folder, ext] of checks) {
-      const value = entry[field];
-      if (!value) continue;
-      const normalized = normalizePath(value);
-      const expected = `${folder}/${repoKey}/${fileBase}.${ext}`;
-      if (normalized !== expected) {
-        errors.push(`Entry ${key}: ${field} should be "${expected}", got "${value}".`);
-      }
-    }
-  }
+  // Every preview belongs to a robot in robots.json.
+  const errors = checkPreviews(previews, { robots }).map((issue) => issue.message);
 
   if (errors.length) {
     console.error("[validate-previews] Validation errors:");
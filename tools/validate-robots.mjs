@@ -2,115 +2,167 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
-import Ajv from "ajv";
+import Ajv from "ajv/dist/2020.js";
+import { findRepoDir, listRepoFiles, readRobotSource } from "./lib/checkout.mjs";
+import { normalizeRepoKey, parseArgs } from "./lib/gallery.mjs";
+import { parseRobotModel } from "./lib/models.mjs";
+import { lintUrdf } from "./lib/urdf.mjs";
+import { META_FILE, ROBOTS_FILE, applyFixes, checkConsistency, checkRobots, schemaIssues } from "./lib/validate.mjs";
 
 const ROOT = path.resolve();
-const ROBOTS_PATH = path.join(ROOT, "docs", "robots.json");
 const SCHEMA_PATH = path.join(ROOT, "docs", "robots.schema.json");
 const TAGS_PATH = path.join(ROOT, "docs", "tags.json");
 
+const args = parseArgs();
+const robotsPath = path.resolve(args.get("robots") || path.join(ROOT, "docs", "robots.json"));
+const urdfRoot = args.get("urdf-root") ? path.resolve(args.get("urdf-root")) : "";
+const lintReportPath = args.get("lint-report") || path.join(ROOT, "reports", "urdf-lint-report.json");
+const metaPath = path.join(path.dirname(robotsPath), "robots.meta.json");
+const fix = Boolean(args.get("fix"));
+
 const readJson = async (filePath) => {
   const raw = await fs.readFile(filePath, "utf8");
   return JSON.parse(raw);
 };
 
-const normalizeRepoKey = (value) =>
-  value
-    ? value
-        .replace(/^https?:\/\/github\.com\//, "")
-        .split("/")
-        .slice(0, 2)
-        .join("/")
-        .toLowerCase()
-    : "";
+const readMeta = () =>
+  readJson(metaPath).catch((error) => {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  });
 
-const FILEBASE_REGEX = /^[a-z0-9][a-z0-9._-]*--[a-z0-9]+$/i;
+const describe = (value) => (value === undefined ? "(missing)" : JSON.stringify(value));
+
+// Applies the deterministic fixes until none are left; fixing one value can
+// expose another (a canonical repo URL changes the expected repoKey).
+const fixCatalog = (robots, meta, validate, allowedTags) => {
+  const changes = [];
+  for (let pass = 0; pass < 3; pass += 1) {
+    const schemaErrors = validate(robots) ? [] : schemaIssues(validate.errors, robots, ROBOTS_FILE);
+    const applied = applyFixes(robots, [...schemaErrors, ...checkRobots(robots, { allowedTags })]);
+    if (!applied.length) break;
+    changes.push(...applied.map((change) => ({ file: ROBOTS_FILE, ...change })));
+  }
+  if (meta) {
+    const applied = applyFixes(meta, checkConsistency({ robots, meta }));
+    if (applied.length) meta.generatedAt = new Date().toISOString();
+    changes.push(...applied.map((change) => ({ file: META_FILE, ...change })));
+  }
+  return changes;
+};
+
+// Parses every catalogued URDF found under --urdf-root and writes the
+// structural issues to a JSON report. Fragments are include-only files and
+// are listed as skipped. Returns true when any robot has errors.
+const lintCatalog = async (robots) => {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    urdfRoot,
+    summary: { checked: 0, errors: 0, warnings: 0, missing: 0, skipped: 0 },
+    robots: [],
+    missing: [],
+    skipped: [],
+  };
+
+  for (const entry of robots) {
+    const repoKey = normalizeRepoKey(entry.repo || entry.repoKey);
+    const repoDir = await findRepoDir(urdfRoot, entry);
+    if (!repoDir) {
+      report.missing.push({ repoKey, reason: "no local checkout" });
+      continue;
+    }
+    const repoPaths = await listRepoFiles(repoDir);
+    for (const robot of entry.robots || []) {
+      if (!robot?.file) continue;
+      if (robot.kind === "fragment") {
+        report.skipped.push({ repoKey, fileBase: robot.fileBase || "", file: robot.file, reason: "fragment" });
+        continue;
+      }
+      let rel = robot.source || "";
+      let issues;
+      try {
+        const loaded = await readRobotSource(repoDir, repoPaths, robot);
+        if (!loaded) {
+          report.missing.push({ repoKey, file: robot.file, reason: "not found in checkout" });
+          continue;
+        }
+        rel = loaded.path;
+        issues = lintUrdf(parseRobotModel(loaded.xml).model);
+      } catch (error) {
+        issues = [{ severity: "error", rule: "parse-error", message: error.message, line: error.line }];
+      }
+      const errorCount = issues.filter((issue) => issue.severity === "error").length;
+      report.robots.push({
+        repoKey,
+        fileBase: robot.fileBase || "",
+        file: robot.file,
+        path: rel,
+        errors: errorCount,
+        warnings: issues.length - errorCount,
+        issues,
+      });
+      report.summary.checked += 1;
+      report.summary.errors += errorCount;
+      report.summary.warnings += issues.length - errorCount;
+    }
+  }
+  report.summary.missing = report.missing.length;
+  report.summary.skipped = report.skipped.length;
+
+  await fs.mkdir(path.dirname(lintReportPath), { recursive: true });
+  await fs.writeFile(lintReportPath, JSON.stringify(report, null, 2));
+  console.log(`[validate-robots] URDF lint report written: ${lintReportPath}`);
+  const { checked, errors, warnings, missing, skipped } = report.summary;
+  const counts = `${checked} checked, ${errors} errors, ${warnings} warnings, ${missing} missing, ${skipped} skipped`;
+  console.log(`[validate-robots] URDF lint: ${counts}`);
+  for (const result of report.robots) {
+    for (const issue of result.issues) {
+      if (issue.severity !== "error") continue;
+      const line = issue.line ? `:${issue.line}` : "";
+      console.error(`- ${result.repoKey}/${result.path}${line} [${issue.rule}] ${issue.message}`);
+    }
+  }
+  return errors > 0;
+};
 
 const main = async () => {
-  const [robots, schema, allowedTags] = await Promise.all([
-    readJson(ROBOTS_PATH),
+  const [robots, schema, allowedTags, meta] = await Promise.all([
+    readJson(robotsPath),
     readJson(SCHEMA_PATH),
     readJson(TAGS_PATH),
+    readMeta(),
   ]);
 
   const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
   const validate = ajv.compile(schema);
+
+  if (fix && Array.isArray(robots)) {
+    const changes = fixCatalog(robots, meta, validate, allowedTags);
+    for (const { file, rule, pointer, from, to } of changes) {
+      console.log(`[validate-robots] Fixed ${file} ${pointer} [${rule}]: ${describe(from)} -> ${describe(to)}`);
+    }
+    if (changes.some((change) => change.file === ROBOTS_FILE)) {
+      await fs.writeFile(robotsPath, JSON.stringify(robots, null, 2));
+    }
+    if (changes.some((change) => change.file === META_FILE)) {
+      await fs.writeFile(metaPath, JSON.stringify(meta, null, 2));
+    }
+    console.log(`[validate-robots] ${changes.length} fixes applied.`);
+  }
   if (!validate(robots)) {
     console.error("[validate-robots] Schema validation failed.");
-    for (const error of validate.errors || []) {
-      console.error(`- ${error.instancePath || "(root)"} ${error.message || "invalid"}`);
+    for (const issue of schemaIssues(validate.errors, robots, ROBOTS_FILE)) {
+      console.error(`- ${issue.message}`);
     }
     process.exitCode = 1;
     return;
   }
 
-  const allowedSet = new Set(allowedTags);
-
-  const errors = [];
-
-  robots.forEach((entry, index) => {
-    const repoKey = entry.repoKey || "";
-    const expected = normalizeRepoKey(entry.repo || repoKey);
-    if (repoKey && expected && repoKey.toLowerCase() !== expected) {
-      errors.push(
-        `Entry ${index}: repoKey "${repoKey}" does not match repo "${entry.repo}". Expected "${expected}".`
-      );
-    }
-
-    if (Array.isArray(entry.tags)) {
-      const invalid = entry.tags.filter((tag) => !allowedSet.has(tag));
-      if (invalid.length) {
-        errors.push(
-          `Entry ${index} (${repoKey || entry.repo}): invalid tag(s): ${invalid.join(", ")}.`
-        );
-      }
-    }
-
-    if (Array.isArray(entry.robots)) {
-      const seenFiles = new Map();
-      const seenFileBases = new Set();
-      for (const robot of entry.robots) {
-        const file = robot?.file || "";
-        if (!file) continue;
-        if (file.includes("/") || file.includes("\\")) {
-          errors.push(
-            `Entry ${index} (${repoKey || entry.repo}): file "${file}" must be a filename only (no path).`
-          );
-        }
-        const key = file.toLowerCase();
-        const info = seenFiles.get(key) || { count: 0, bases: new Set() };
-        info.count += 1;
-
-        const fileBase = robot?.fileBase || "";
-        if (fileBase) {
-          if (!FILEBASE_REGEX.test(fileBase)) {
-            errors.push(
-              `Entry ${index} (${repoKey || entry.repo}): fileBase "${fileBase}" is not in the expected slug--hash format.`
-            );
-          }
-          const baseKey = fileBase.toLowerCase();
-          if (seenFileBases.has(baseKey)) {
-            errors.push(
-              `Entry ${index} (${repoKey || entry.repo}): duplicate fileBase "${fileBase}".`
-            );
-          } else {
-            seenFileBases.add(baseKey);
-          }
-          info.bases.add(baseKey);
-        }
-
-        seenFiles.set(key, info);
-      }
-
-      for (const [fileKey, info] of seenFiles.entries()) {
-        if (info.count > 1 && info.bases.size < info.count) {
-          errors.push(
-            `Entry ${index} (${repoKey || entry.repo}): duplicate file "${fileKey}" requires unique fileBase values.`
-          );
-        }
-      }
-    }
-  });
+  const errors = [
+    ...checkRobots(robots, { allowedTags }),
+    // Only the count is checked here; validate-all covers the other files.
+    ...(meta ? checkConsistency({ robots, meta }) : []),
+  ].map((issue) => (issue.file === META_FILE ? `${META_FILE}: ${issue.message}` : issue.message));
 
   if (errors.length) {
     console.error("[validate-robots] Validation errors:");
@@ -118,10 +170,15 @@ const main = async () => {
       console.error(`- ${err}`);
     }
     process.exitCode = 1;
-    return;
   }
 
-  console.log("[validate-robots] OK");
+  if (urdfRoot && (await lintCatalog(robots))) {
+    process.exitCode = 1;
+  }
+
+  if (!process.exitCode) {
+    console.log("[validate-robots] OK");
+  }
 };
 
 main().catch((error) => {